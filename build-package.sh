@@ -22,6 +22,9 @@ mkdir -p "$PACKAGE_DIR/src/scripts/pInset/lib"
 cp "$SCRIPT_DIR/pInset.js" "$PACKAGE_DIR/src/scripts/pInset/"
 cp "$SCRIPT_DIR/lib/"*.js "$PACKAGE_DIR/src/scripts/pInset/lib/"
 
+# Copy the object catalog (read by lib/SkyCatalog.js)
+cp "$SCRIPT_DIR/lib/SkyCatalog.txt" "$PACKAGE_DIR/src/scripts/pInset/lib/"
+
 # Create the package zip
 cd "$PACKAGE_DIR"
 zip -r "$SCRIPT_DIR/pInset-$VERSION.zip" src/
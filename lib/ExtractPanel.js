@@ -4,15 +4,29 @@
 //
 // Contains all controls for the Extract mode:
 // - Target image selection
-// - Shape selection (Rectangular/Circular)
+// - Shape selection (Rectangular/Circular/Elliptical/Rounded/Lasso/Polygon)
+// - Corner radius control (Rounded shape only)
+// - Sides and rotation controls (Polygon shape only)
+// - Rotation control (Rectangular shape, also turned with a handle on the preview)
 // - Zoom factor control
 // - Interpolation method selection
+// - Region by sky coordinates or catalog target (plate-solved images)
 // - Preview and Extract buttons
 //
 // Author: Giovanni Rocca (iGio90) and Antigravity
 //
 // ----------------------------------------------------------------------------
 
+// Region shapes, in shape combo order
+var EXTRACT_SHAPES = ["Rectangular", "Circular", "Elliptical", "Rounded", "Lasso", "Polygon"];
+
+// Interpolation kernels and their names, in interpolation combo order
+var INTERPOLATION_METHODS = ["nearest", "bilinear", "bicubic", "lanczos"];
+var INTERPOLATION_NAMES = ["Nearest Neighbor", "Bilinear", "Bicubic", "Lanczos-3"];
+
+// Maximum number of lasso polygon vertices (kept small for metadata storage)
+var LASSO_MAX_POINTS = 64;
+
 /**
  * Create the complete Extract mode UI section.
  * @param {Dialog} dialog - Parent dialog
@@ -56,11 +70,23 @@ function createExtractControls(dialog, params, labelWidth, parent) {
    shapeLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
    
    dialog.shapeCombo = new ComboBox(result.group);
-   dialog.shapeCombo.addItem("Rectangular");
-   dialog.shapeCombo.addItem("Circular");
+   for (var i = 0; i < EXTRACT_SHAPES.length; i++) {
+      dialog.shapeCombo.addItem(EXTRACT_SHAPES[i]);
+   }
    dialog.shapeCombo.currentItem = 0;
    dialog.shapeCombo.onItemSelected = function(index) {
-      params.insetShape = index === 1 ? "Circular" : "Rectangular";
+      params.insetShape = EXTRACT_SHAPES[index];
+      result.cornerControl.visible = params.insetShape === "Rounded";
+      result.polygonControl.visible = params.insetShape === "Polygon";
+      result.angleControl.visible = params.insetShape === "Rectangular";
+      dialog.lassoPath = null;
+      // An existing region becomes a rectangular polygon until a lasso is drawn
+      if (params.insetShape === "Lasso" && !params.lassoPoints) {
+         params.lassoPoints = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+      }
+      if (params.insetShape === "Polygon") {
+         fitPolygonRegion(dialog);
+      }
       if (dialog.previewControl) {
          dialog.previewControl.repaint();
       }
@@ -71,6 +97,122 @@ function createExtractControls(dialog, params, labelWidth, parent) {
    shapeSizer.add(shapeLabel);
    shapeSizer.add(dialog.shapeCombo, 100);
    
+   // Corner Radius (percent of the smaller side, Rounded shape only)
+   result.cornerControl = new Control(result.group);
+   
+   var cornerLabel = new Label(result.cornerControl);
+   cornerLabel.text = "Corners:";
+   cornerLabel.setFixedWidth(labelWidth);
+   cornerLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.cornerRadiusControl = new NumericControl(result.cornerControl);
+   dialog.cornerRadiusControl.setRange(0, 50);
+   dialog.cornerRadiusControl.slider.setRange(0, 50);
+   dialog.cornerRadiusControl.setPrecision(0);
+   dialog.cornerRadiusControl.setValue(params.cornerRadius);
+   dialog.cornerRadiusControl.toolTip = "Corner radius as a percentage of the region's smaller side";
+   dialog.cornerRadiusControl.onValueUpdated = function(value) {
+      params.cornerRadius = value;
+      if (dialog.previewControl) {
+         dialog.previewControl.repaint();
+      }
+   };
+   
+   var cornerSizer = new HorizontalSizer;
+   cornerSizer.spacing = 6;
+   cornerSizer.add(cornerLabel);
+   cornerSizer.add(dialog.cornerRadiusControl, 100);
+   result.cornerControl.sizer = cornerSizer;
+   result.cornerControl.visible = false;
+   
+   // Sides and Rotation (Polygon shape only)
+   result.polygonControl = new Control(result.group);
+   
+   var sidesLabel = new Label(result.polygonControl);
+   sidesLabel.text = "Sides:";
+   sidesLabel.setFixedWidth(labelWidth);
+   sidesLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.polygonSidesSpin = new SpinBox(result.polygonControl);
+   dialog.polygonSidesSpin.setRange(3, 12);
+   dialog.polygonSidesSpin.value = params.polygonSides;
+   dialog.polygonSidesSpin.toolTip = "Number of sides of the regular polygon (6 = hexagon, 8 = octagon)";
+   dialog.polygonSidesSpin.onValueUpdated = function(value) {
+      params.polygonSides = value;
+      fitPolygonRegion(dialog);
+      if (dialog.previewControl) {
+         dialog.previewControl.repaint();
+      }
+   };
+   
+   var sidesSizer = new HorizontalSizer;
+   sidesSizer.spacing = 6;
+   sidesSizer.add(sidesLabel);
+   sidesSizer.add(dialog.polygonSidesSpin);
+   sidesSizer.addStretch();
+   
+   var rotationLabel = new Label(result.polygonControl);
+   rotationLabel.text = "Rotation:";
+   rotationLabel.setFixedWidth(labelWidth);
+   rotationLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.polygonRotationControl = new NumericControl(result.polygonControl);
+   dialog.polygonRotationControl.setRange(0, 360);
+   dialog.polygonRotationControl.slider.setRange(0, 360);
+   dialog.polygonRotationControl.setPrecision(0);
+   dialog.polygonRotationControl.setValue(params.polygonRotation);
+   dialog.polygonRotationControl.toolTip = "Polygon rotation in degrees, clockwise (0 = vertex at the top)";
+   dialog.polygonRotationControl.onValueUpdated = function(value) {
+      params.polygonRotation = value;
+      fitPolygonRegion(dialog);
+      if (dialog.previewControl) {
+         dialog.previewControl.repaint();
+      }
+   };
+   
+   var rotationSizer = new HorizontalSizer;
+   rotationSizer.spacing = 6;
+   rotationSizer.add(rotationLabel);
+   rotationSizer.add(dialog.polygonRotationControl, 100);
+   
+   var polygonSizer = new VerticalSizer;
+   polygonSizer.spacing = 6;
+   polygonSizer.add(sidesSizer);
+   polygonSizer.add(rotationSizer);
+   result.polygonControl.sizer = polygonSizer;
+   result.polygonControl.visible = false;
+   
+   // Region rotation (Rectangular shape only)
+   result.angleControl = new Control(result.group);
+   
+   var angleLabel = new Label(result.angleControl);
+   angleLabel.text = "Rotation:";
+   angleLabel.setFixedWidth(labelWidth);
+   angleLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.regionAngleControl = new NumericControl(result.angleControl);
+   dialog.regionAngleControl.setRange(-180, 180);
+   dialog.regionAngleControl.slider.setRange(0, 360);
+   dialog.regionAngleControl.setPrecision(1);
+   dialog.regionAngleControl.setValue(params.regionAngle);
+   dialog.regionAngleControl.toolTip = "Region rotation in degrees, clockwise about its center. " +
+                                       "The extract is resampled along the rotated axes.";
+   dialog.regionAngleControl.onValueUpdated = function(value) {
+      setRegionAngle(dialog, value);
+      if (dialog.isPreviewMode) {
+         createZoomedPreviewBitmap(dialog);
+      }
+      if (dialog.previewControl) {
+         dialog.previewControl.repaint();
+      }
+   };
+   
+   var angleSizer = new HorizontalSizer;
+   angleSizer.spacing = 6;
+   angleSizer.add(angleLabel);
+   angleSizer.add(dialog.regionAngleControl, 100);
+   result.angleControl.sizer = angleSizer;
+   
    // Zoom Factor
    var zoomLabel = new Label(result.group);
    zoomLabel.text = "Zoom:";
@@ -98,14 +240,14 @@ function createExtractControls(dialog, params, labelWidth, parent) {
    interpLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
    
    dialog.interpCombo = new ComboBox(result.group);
-   dialog.interpCombo.addItem("Nearest Neighbor");
-   dialog.interpCombo.addItem("Bilinear");
-   dialog.interpCombo.addItem("Bicubic");
-   dialog.interpCombo.addItem("Lanczos-3");
+   for (var i = 0; i < INTERPOLATION_NAMES.length; i++) {
+      dialog.interpCombo.addItem(INTERPOLATION_NAMES[i]);
+   }
    dialog.interpCombo.currentItem = 2; // Default to Bicubic
    dialog.interpCombo.onItemSelected = function(index) {
-      var methods = ["nearest", "bilinear", "bicubic", "lanczos"];
-      params.interpolationMethod = methods[index];
+      params.interpolationMethod = INTERPOLATION_METHODS[index];
+      // Finalize mode resamples rotated insets with the same kernel
+      if (dialog.insetKernelCombo) dialog.insetKernelCombo.currentItem = index;
    };
    params.interpolationMethod = "bicubic";
    
@@ -114,13 +256,121 @@ function createExtractControls(dialog, params, labelWidth, parent) {
    interpSizer.add(interpLabel);
    interpSizer.add(dialog.interpCombo, 100);
    
+   // Region by sky coordinates (plate-solved images)
+   var targetLabel = new Label(result.group);
+   targetLabel.text = "Target:";
+   targetLabel.setFixedWidth(labelWidth);
+   targetLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.skyTargetEdit = new Edit(result.group);
+   dialog.skyTargetEdit.toolTip = "Object from the bundled catalog: Messier, NGC or IC designation " +
+                                  "or common name (e.g. 'M 51', 'NGC 7000', 'Horsehead')";
+   
+   var findButton = new PushButton(result.group);
+   findButton.text = "Find";
+   findButton.toolTip = "Look up the target in the catalog and select the region around it";
+   findButton.onClick = function() {
+      findSkyTarget(dialog);
+   };
+   
+   var targetSizer = new HorizontalSizer;
+   targetSizer.spacing = 6;
+   targetSizer.add(targetLabel);
+   targetSizer.add(dialog.skyTargetEdit, 100);
+   targetSizer.add(findButton);
+   
+   var raLabel = new Label(result.group);
+   raLabel.text = "RA / Dec:";
+   raLabel.setFixedWidth(labelWidth);
+   raLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.skyRAEdit = new Edit(result.group);
+   dialog.skyRAEdit.text = params.skyRA;
+   dialog.skyRAEdit.toolTip = "Right ascension of the region center (J2000): hours as " +
+                              "'13 29 52.7', '13h29m52.7s' or '13.5h', or decimal degrees";
+   dialog.skyRAEdit.onTextUpdated = function(text) {
+      params.skyRA = text;
+   };
+   
+   dialog.skyDecEdit = new Edit(result.group);
+   dialog.skyDecEdit.text = params.skyDec;
+   dialog.skyDecEdit.toolTip = "Declination of the region center (J2000): '+47 11 43' or decimal degrees";
+   dialog.skyDecEdit.onTextUpdated = function(text) {
+      params.skyDec = text;
+   };
+   
+   var raSizer = new HorizontalSizer;
+   raSizer.spacing = 6;
+   raSizer.add(raLabel);
+   raSizer.add(dialog.skyRAEdit, 50);
+   raSizer.add(dialog.skyDecEdit, 50);
+   
+   var fieldLabel = new Label(result.group);
+   fieldLabel.text = "Field:";
+   fieldLabel.setFixedWidth(labelWidth);
+   fieldLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.skyWidthEdit = new NumericEdit(result.group);
+   dialog.skyWidthEdit.label.text = "";
+   dialog.skyWidthEdit.setReal(true);
+   dialog.skyWidthEdit.setRange(0.1, 600);
+   dialog.skyWidthEdit.setPrecision(1);
+   dialog.skyWidthEdit.setValue(params.skyWidth);
+   dialog.skyWidthEdit.toolTip = "Width of the region in arcminutes";
+   dialog.skyWidthEdit.onValueUpdated = function(value) {
+      params.skyWidth = value;
+   };
+   
+   var byLabel = new Label(result.group);
+   byLabel.text = "\u00D7";
+   byLabel.textAlignment = TextAlign_Center | TextAlign_VertCenter;
+   
+   dialog.skyHeightEdit = new NumericEdit(result.group);
+   dialog.skyHeightEdit.label.text = "";
+   dialog.skyHeightEdit.setReal(true);
+   dialog.skyHeightEdit.setRange(0.1, 600);
+   dialog.skyHeightEdit.setPrecision(1);
+   dialog.skyHeightEdit.setValue(params.skyHeight);
+   dialog.skyHeightEdit.toolTip = "Height of the region in arcminutes (Circular regions use the larger side)";
+   dialog.skyHeightEdit.onValueUpdated = function(value) {
+      params.skyHeight = value;
+   };
+   
+   var fieldUnit = new Label(result.group);
+   fieldUnit.text = "arcmin";
+   fieldUnit.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   var goButton = new PushButton(result.group);
+   goButton.text = "Go";
+   goButton.toolTip = "Select the region at these coordinates, using the image's astrometric solution";
+   goButton.onClick = function() {
+      applySkyRegion(dialog);
+   };
+   
+   var fieldSizer = new HorizontalSizer;
+   fieldSizer.spacing = 4;
+   fieldSizer.add(fieldLabel);
+   fieldSizer.add(dialog.skyWidthEdit);
+   fieldSizer.add(byLabel);
+   fieldSizer.add(dialog.skyHeightEdit);
+   fieldSizer.add(fieldUnit);
+   fieldSizer.addStretch();
+   fieldSizer.add(goButton);
+   
    // Group sizer
    var groupSizer = new VerticalSizer;
    groupSizer.margin = 6;
    groupSizer.spacing = 6;
    groupSizer.add(shapeSizer);
+   groupSizer.add(result.cornerControl);
+   groupSizer.add(result.polygonControl);
+   groupSizer.add(result.angleControl);
    groupSizer.add(zoomSizer);
    groupSizer.add(interpSizer);
+   groupSizer.addSpacing(4);
+   groupSizer.add(targetSizer);
+   groupSizer.add(raSizer);
+   groupSizer.add(fieldSizer);
    
    result.group.sizer = groupSizer;
    dialog.extractGroup = result.group;
@@ -222,8 +472,6 @@ function createZoomedPreviewBitmap(dialog) {
    var params = dialog.params;
    
    // Source region
-   var srcX = params.regionX;
-   var srcY = params.regionY;
    var srcW = params.regionWidth;
    var srcH = params.regionHeight;
    
@@ -238,54 +486,49 @@ function createZoomedPreviewBitmap(dialog) {
    var displayW = Math.round(scaledW * displayScale);
    var displayH = Math.round(scaledH * displayScale);
    
-   // Extract and scale region
-   var srcRect = new Rect(srcX, srcY, srcX + srcW, srcY + srcH);
-   
    // Create buffer for the display-sized image
    var numChannels = image.numberOfChannels;
    var displayBuffer = [];
    
    for (var c = 0; c < numChannels; c++) {
-      var srcBuffer = new Float32Array(srcW * srcH);
-      image.getSamples(srcBuffer, srcRect, c);
-      
-      var dstBuffer = new Float32Array(displayW * displayH);
-      ScalingUtils.scaleBuffer(srcBuffer, srcW, srcH, dstBuffer, displayW, displayH, params.interpolationMethod || "bicubic");
-      displayBuffer.push(dstBuffer);
+      displayBuffer.push(resampleExtractRegion(image, params, c, displayW, displayH));
    }
    
+   // Same screen stretch as the full image preview, when enabled
+   var stretches = StretchUtils.previewStretch(dialog, dialog.targetView, params);
+   var value = function(channel, idx) {
+      var v = displayBuffer[channel][idx];
+      return stretches ? StretchUtils.stretchValue(v, stretches[channel]) : v;
+   };
+   
    // Create bitmap from buffer
    dialog.zoomedPreviewBitmap = new Bitmap(displayW, displayH);
    
-   // For circular shape, calculate circle parameters
-   var isCircular = params.insetShape === "Circular";
+   // For non-rectangular shapes, pixels outside the outline are transparent
+   var isShaped = params.insetShape !== "Rectangular";
    var cx = displayW / 2;
    var cy = displayH / 2;
-   var radius = Math.min(displayW, displayH) / 2;
    
    for (var y = 0; y < displayH; y++) {
       for (var x = 0; x < displayW; x++) {
          var idx = y * displayW + x;
          var r, g, b, a;
          
-         // Check if pixel is inside the circle (for circular shape)
-         if (isCircular) {
-            var dx = x - cx;
-            var dy = y - cy;
-            var dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist > radius) {
-               // Outside circle - make transparent
+         // Check if pixel is inside the shape (for shaped regions)
+         if (isShaped) {
+            if (extractShapeDistance(params, x - cx, y - cy, displayW, displayH) > 0) {
+               // Outside shape - make transparent
                dialog.zoomedPreviewBitmap.setPixel(x, y, 0x00000000);
                continue;
             }
          }
          
          if (numChannels >= 3) {
-            r = Math.round(displayBuffer[0][idx] * 255);
-            g = Math.round(displayBuffer[1][idx] * 255);
-            b = Math.round(displayBuffer[2][idx] * 255);
+            r = Math.round(value(0, idx) * 255);
+            g = Math.round(value(1, idx) * 255);
+            b = Math.round(value(2, idx) * 255);
          } else {
-            var v = Math.round(displayBuffer[0][idx] * 255);
+            var v = Math.round(value(0, idx) * 255);
             r = g = b = v;
          }
          
@@ -297,7 +540,352 @@ function createZoomedPreviewBitmap(dialog) {
       }
    }
    
-   console.writeln("pInset: Created zoomed preview " + displayW + "x" + displayH + (isCircular ? " (circular)" : ""));
+   console.writeln("pInset: Created zoomed preview " + displayW + "x" + displayH + (isShaped ? " (" + params.insetShape.toLowerCase() + ")" : ""));
+}
+
+/**
+ * Signed distance from a point to the outline of the selected extract shape.
+ * @param {Object} params - Parameters object (insetShape, cornerRadius, polygon settings)
+ * @param {Number} dx - X offset of the point from the shape center
+ * @param {Number} dy - Y offset of the point from the shape center
+ * @param {Number} width - Width of the shape bounding box
+ * @param {Number} height - Height of the shape bounding box
+ * @returns {Number} Negative inside, positive outside (always inside for rectangles)
+ */
+function extractShapeDistance(params, dx, dy, width, height) {
+   if (params.insetShape === "Circular") {
+      var radius = Math.min(width, height) / 2;
+      return GeometryUtils.ellipseSignedDistance(dx, dy, radius, radius);
+   }
+   if (params.insetShape === "Elliptical") {
+      return GeometryUtils.ellipseSignedDistance(dx, dy, width / 2, height / 2);
+   }
+   if (params.insetShape === "Rounded") {
+      var cornerRadius = params.cornerRadius / 100 * Math.min(width, height);
+      return GeometryUtils.roundedRectSignedDistance(dx, dy, width / 2, height / 2, cornerRadius);
+   }
+   var points = extractPolygonPoints(params);
+   if (points) {
+      var polygon = GeometryUtils.mapPolygon(points, -width / 2, -height / 2, width, height);
+      return GeometryUtils.polygonSignedDistance(dx, dy, polygon);
+   }
+   return -Infinity;
+}
+
+/**
+ * Get the vertices of the selected polygon shape.
+ * @param {Object} params - Parameters object (insetShape, lassoPoints, polygonSides, polygonRotation)
+ * @returns {Array} Vertices {x, y} normalized to the region, or null for other shapes
+ */
+function extractPolygonPoints(params) {
+   if (params.insetShape === "Lasso") {
+      return params.lassoPoints;
+   }
+   if (params.insetShape === "Polygon") {
+      return GeometryUtils.regularPolygon(params.polygonSides, params.polygonRotation).points;
+   }
+   return null;
+}
+
+/**
+ * Fit a region size to the bounding box aspect of the regular polygon,
+ * so the polygon is not stretched. The size shrinks to stay within limits.
+ * @param {Object} params - Parameters object (polygonSides, polygonRotation)
+ * @param {Number} width - Requested width
+ * @param {Number} height - Requested height
+ * @param {Number} maxWidth - Maximum width
+ * @param {Number} maxHeight - Maximum height
+ * @returns {Object} {width, height}
+ */
+function polygonRegionSize(params, width, height, maxWidth, maxHeight) {
+   var aspect = GeometryUtils.regularPolygon(params.polygonSides, params.polygonRotation).aspect;
+   var w = Math.max(width, height / aspect, 10);
+   w = Math.min(w, maxWidth, maxHeight / aspect);
+   return { width: Math.round(w), height: Math.round(w * aspect) };
+}
+
+/**
+ * Reshape the current region to the polygon aspect, keeping its center.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function fitPolygonRegion(dialog) {
+   var p = dialog.params;
+   if (!dialog.hasDrawnRegion || p.insetShape !== "Polygon") return;
+   
+   var cx = p.regionX + p.regionWidth / 2;
+   var cy = p.regionY + p.regionHeight / 2;
+   var size = polygonRegionSize(p, p.regionWidth, 0,
+      2 * Math.min(cx, dialog.imageWidth - cx), 2 * Math.min(cy, dialog.imageHeight - cy));
+   
+   p.regionX = Math.round(cx - size.width / 2);
+   p.regionY = Math.round(cy - size.height / 2);
+   p.regionWidth = size.width;
+   p.regionHeight = size.height;
+   updateZoomLimit(dialog);
+}
+
+/**
+ * Rotation of the extract region. Only rectangles are rotated.
+ * @param {Object} params - Parameters object (insetShape, regionAngle)
+ * @returns {Number} Degrees clockwise about the region center (0 for other shapes)
+ */
+function extractRegionAngle(params) {
+   return params.insetShape === "Rectangular" ? (params.regionAngle || 0) : 0;
+}
+
+/**
+ * Place the extract region by center, size and angle. The turned rectangle
+ * has to fit the image: it is moved inside, or the placement is rejected.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Number} cx, cy - Region center in image coordinates
+ * @param {Number} width, height - Size of the unrotated region
+ * @param {Number} angle - Degrees clockwise
+ * @param {Boolean} moveInside - Move the center to fit instead of rejecting a region that leaves the image
+ * @returns {Boolean} Whether the region was placed
+ */
+function placeRotatedRegion(dialog, cx, cy, width, height, angle, moveInside) {
+   var radians = angle * Math.PI / 180;
+   var cos = Math.abs(Math.cos(radians));
+   var sin = Math.abs(Math.sin(radians));
+   var halfW = (width * cos + height * sin) / 2;
+   var halfH = (width * sin + height * cos) / 2;
+   if (2 * halfW > dialog.imageWidth || 2 * halfH > dialog.imageHeight) return false;
+   
+   var fitX = Math.max(halfW, Math.min(dialog.imageWidth - halfW, cx));
+   var fitY = Math.max(halfH, Math.min(dialog.imageHeight - halfH, cy));
+   if (!moveInside && (fitX !== cx || fitY !== cy)) return false;
+   
+   var p = dialog.params;
+   p.regionX = Math.round(fitX - width / 2);
+   p.regionY = Math.round(fitY - height / 2);
+   p.regionWidth = width;
+   p.regionHeight = height;
+   p.regionAngle = angle;
+   return true;
+}
+
+/**
+ * Set the rotation of the extract region and sync the rotation control.
+ * A drawn region is moved to keep its corners inside the image; an angle
+ * that does not fit at all is ignored.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Number} angle - Degrees clockwise (normalized to -180..180)
+ */
+function setRegionAngle(dialog, angle) {
+   var p = dialog.params;
+   angle = Math.round((((angle % 360) + 540) % 360 - 180) * 10) / 10;
+   if (!dialog.hasDrawnRegion || p.insetShape !== "Rectangular") {
+      p.regionAngle = angle;
+   } else {
+      placeRotatedRegion(dialog, p.regionX + p.regionWidth / 2, p.regionY + p.regionHeight / 2,
+                         p.regionWidth, p.regionHeight, angle, true);
+   }
+   if (dialog.regionAngleControl) {
+      dialog.regionAngleControl.setValue(p.regionAngle);
+   }
+}
+
+/**
+ * Resize a rotated region from a corner handle. The mouse offset is measured
+ * along the rotated axes and the opposite corner stays in place.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Number} px - X position in preview coordinates
+ * @param {Number} py - Y position in preview coordinates
+ */
+function resizeRotatedRegion(dialog, px, py) {
+   var orig = dialog.originalRegion;
+   var angle = dialog.params.regionAngle;
+   var handle = dialog.resizeHandle;
+   var d = GeometryUtils.rotateVector((px - dialog.dragStartX) / dialog.previewScale,
+                                      (py - dialog.dragStartY) / dialog.previewScale, -angle);
+   
+   // Edges of the unrotated region, relative to its original center
+   var left = -orig.w / 2;
+   var right = orig.w / 2;
+   var top = -orig.h / 2;
+   var bottom = orig.h / 2;
+   if (handle.indexOf("w") !== -1) left = Math.min(left + d.x, right - 10);
+   if (handle.indexOf("e") !== -1) right = Math.max(right + d.x, left + 10);
+   if (handle.indexOf("n") !== -1) top = Math.min(top + d.y, bottom - 10);
+   if (handle.indexOf("s") !== -1) bottom = Math.max(bottom + d.y, top + 10);
+   
+   var shift = GeometryUtils.rotateVector((left + right) / 2, (top + bottom) / 2, angle);
+   placeRotatedRegion(dialog, orig.x + orig.w / 2 + shift.x, orig.y + orig.h / 2 + shift.y,
+                      Math.round(right - left), Math.round(bottom - top), angle, false);
+}
+
+/**
+ * Position of the rotation handle of a rectangular region: above the top
+ * edge on a stem, turned with the region.
+ * @param {Dialog} dialog - The parent dialog
+ * @returns {Object} {x, y, baseX, baseY} in preview coordinates (relative to the bitmap origin)
+ */
+function regionRotationHandle(dialog) {
+   var p = dialog.params;
+   var s = dialog.previewScale;
+   var cx = (p.regionX + p.regionWidth / 2) * s;
+   var cy = (p.regionY + p.regionHeight / 2) * s;
+   var half = p.regionHeight / 2 * s;
+   var base = GeometryUtils.rotateVector(0, -half, extractRegionAngle(p));
+   var tip = GeometryUtils.rotateVector(0, -half - 24, extractRegionAngle(p));
+   return { x: cx + tip.x, y: cy + tip.y, baseX: cx + base.x, baseY: cy + base.y };
+}
+
+/**
+ * Read one channel of the extract region scaled to a size. Rotated regions
+ * are resampled along their rotated axes from their bounding box.
+ * @param {Image} image - Source image
+ * @param {Object} params - Parameters object (region, angle, interpolationMethod)
+ * @param {Number} channel - Channel index
+ * @param {Number} width, height - Output size
+ * @returns {Float32Array} Output samples
+ */
+function resampleExtractRegion(image, params, channel, width, height) {
+   var method = params.interpolationMethod || "bicubic";
+   var dst = new Float32Array(width * height);
+   var angle = extractRegionAngle(params);
+   
+   if (!angle) {
+      var srcRect = new Rect(params.regionX, params.regionY,
+                             params.regionX + params.regionWidth, params.regionY + params.regionHeight);
+      var src = new Float32Array(params.regionWidth * params.regionHeight);
+      image.getSamples(src, srcRect, channel);
+      ScalingUtils.scaleBuffer(src, params.regionWidth, params.regionHeight, dst, width, height, method);
+      return dst;
+   }
+   
+   // Bounding box of the turned corners, with a margin for the interpolation kernel
+   var corners = GeometryUtils.sourceOutline("Rectangular", params.regionX, params.regionY,
+      params.regionX + params.regionWidth, params.regionY + params.regionHeight, { sourceAngle: angle });
+   var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+   for (var i = 0; i < corners.length; i++) {
+      x0 = Math.min(x0, corners[i].x);
+      y0 = Math.min(y0, corners[i].y);
+      x1 = Math.max(x1, corners[i].x);
+      y1 = Math.max(y1, corners[i].y);
+   }
+   x0 = Math.max(0, Math.floor(x0) - 3);
+   y0 = Math.max(0, Math.floor(y0) - 3);
+   x1 = Math.min(image.width, Math.ceil(x1) + 3);
+   y1 = Math.min(image.height, Math.ceil(y1) + 3);
+   
+   var box = new Float32Array((x1 - x0) * (y1 - y0));
+   image.getSamples(box, new Rect(x0, y0, x1, y1), channel);
+   ScalingUtils.resampleRotated(box, x1 - x0, y1 - y0,
+      params.regionX + params.regionWidth / 2 - x0, params.regionY + params.regionHeight / 2 - y0,
+      params.regionWidth, params.regionHeight, dst, width, height, angle, method);
+   return dst;
+}
+
+/**
+ * Show a warning for the sky coordinate controls.
+ * @param {String} text - Message text
+ */
+function skyRegionWarning(text) {
+   var msgBox = new MessageBox(text, "pInset", StdIcon_Warning, StdButton_Ok);
+   msgBox.execute();
+}
+
+/**
+ * Look up the target name in the bundled catalog, fill in its coordinates and
+ * a field a quarter larger than the object, then select the region.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function findSkyTarget(dialog) {
+   var p = dialog.params;
+   var name = dialog.skyTargetEdit.text;
+   if (name.trim().length === 0) return;
+   
+   var object = SkyCatalog.lookup(name);
+   if (!object) {
+      skyRegionWarning("'" + name + "' is not in the bundled catalog. Enter its RA/Dec instead.");
+      return;
+   }
+   
+   p.skyRA = WcsUtils.formatRA(object.ra);
+   p.skyDec = WcsUtils.formatDec(object.dec);
+   p.skyWidth = Math.max(1, Math.round(object.major * 12.5) / 10);
+   p.skyHeight = Math.max(1, Math.round(object.minor * 12.5) / 10);
+   dialog.skyRAEdit.text = p.skyRA;
+   dialog.skyDecEdit.text = p.skyDec;
+   dialog.skyWidthEdit.setValue(p.skyWidth);
+   dialog.skyHeightEdit.setValue(p.skyHeight);
+   
+   console.writeln("pInset: " + object.name + (object.alias ? " (" + object.alias + ")" : "") +
+      (object.common ? " - " + object.common : "") + " at RA " + p.skyRA + ", Dec " + p.skyDec);
+   applySkyRegion(dialog);
+}
+
+/**
+ * Select the region centered on the entered RA/Dec with the entered angular
+ * field, converted to pixels through the target image's astrometric solution.
+ * The region is clipped to the image.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function applySkyRegion(dialog) {
+   var p = dialog.params;
+   if (!dialog.targetView || dialog.targetView.isNull) {
+      skyRegionWarning("Please select a target image first.");
+      return;
+   }
+   
+   var solution = WcsUtils.readSolution(dialog.targetView.window);
+   if (!solution || !solution.crval) {
+      skyRegionWarning("'" + dialog.targetView.id + "' has no astrometric solution. " +
+         "Plate-solve it (e.g. with ImageSolver) to select regions by sky coordinates.");
+      return;
+   }
+   
+   var ra = WcsUtils.parseRA(p.skyRA);
+   var dec = WcsUtils.parseDec(p.skyDec);
+   if (isNaN(ra) || isNaN(dec)) {
+      skyRegionWarning("Invalid coordinates. Enter RA as '13 29 52.7' (hours) or degrees, " +
+         "and Dec as '+47 11 43' or degrees.");
+      return;
+   }
+   
+   var center = WcsUtils.skyToImage(solution, ra, dec, dialog.imageHeight);
+   if (!center || center.x < 0 || center.y < 0 || center.x > dialog.imageWidth || center.y > dialog.imageHeight) {
+      skyRegionWarning("RA " + WcsUtils.formatRA(ra) + ", Dec " + WcsUtils.formatDec(dec) +
+         " is outside '" + dialog.targetView.id + "'.");
+      return;
+   }
+   
+   // Sky fields are upright
+   setRegionAngle(dialog, 0);
+   
+   var scale = WcsUtils.pixelScale(solution);
+   var w = p.skyWidth * 60 / scale;
+   var h = p.skyHeight * 60 / scale;
+   if (p.insetShape === "Circular") {
+      w = h = Math.max(w, h);
+   }
+   w = Math.max(10, Math.min(dialog.imageWidth, Math.round(w)));
+   h = Math.max(10, Math.min(dialog.imageHeight, Math.round(h)));
+   if (p.insetShape === "Circular") {
+      w = h = Math.min(w, h);
+   }
+   
+   p.regionX = Math.max(0, Math.min(dialog.imageWidth - w, Math.round(center.x - w / 2)));
+   p.regionY = Math.max(0, Math.min(dialog.imageHeight - h, Math.round(center.y - h / 2)));
+   p.regionWidth = w;
+   p.regionHeight = h;
+   dialog.hasDrawnRegion = true;
+   dialog.lassoPath = null;
+   
+   console.writeln("pInset: Region centered on RA " + WcsUtils.formatRA(ra) + ", Dec " + WcsUtils.formatDec(dec) +
+      " at pixel (" + center.x.toFixed(1) + ", " + center.y.toFixed(1) + ")");
+   if (p.insetShape === "Polygon") {
+      fitPolygonRegion(dialog);
+   } else {
+      updateZoomLimit(dialog);
+   }
+   if (dialog.isPreviewMode) {
+      createZoomedPreviewBitmap(dialog);
+   }
+   if (dialog.previewControl) {
+      dialog.previewControl.repaint();
+   }
 }
 
 /**
@@ -354,13 +942,17 @@ function extractRegionToNewImage(dialog) {
    var srcW = params.regionWidth;
    var srcH = params.regionHeight;
    
-   console.writeln("pInset: Extracting region " + srcX + "," + srcY + " size " + srcW + "x" + srcH);
+   var angle = extractRegionAngle(params);
+   
+   console.writeln("pInset: Extracting region " + srcX + "," + srcY + " size " + srcW + "x" + srcH +
+      (angle ? " rotated " + angle + " degrees" : ""));
    
    // Calculate scaled dimensions
    var scaledW = Math.round(srcW * params.zoomFactor);
    var scaledH = Math.round(srcH * params.zoomFactor);
    
    var isCircular = params.insetShape === "Circular";
+   var isShaped = params.insetShape !== "Rectangular";
    
    // For circular shapes, force square dimensions using the larger dimension
    if (isCircular) {
@@ -390,44 +982,31 @@ function extractRegionToNewImage(dialog) {
    var newView = newWindow.mainView;
    var newImage = newView.image;
    
-   // Extract and scale each channel
-   var srcRect = new Rect(srcX, srcY, srcX + srcW, srcY + srcH);
-   
    // Begin process to make the image writable
    newView.beginProcess();
    
    for (var c = 0; c < numChannels; c++) {
-      // Extract source region
-      var srcBuffer = new Float32Array(srcW * srcH);
-      image.getSamples(srcBuffer, srcRect, c);
-      
-      // Scale using selected interpolation method
-      var dstBuffer = new Float32Array(scaledW * scaledH);
-      ScalingUtils.scaleBuffer(srcBuffer, srcW, srcH, dstBuffer, scaledW, scaledH, params.interpolationMethod);
-      
-      // Write to new image
+      // Extract and scale using selected interpolation method, then write to new image
+      var dstBuffer = resampleExtractRegion(image, params, c, scaledW, scaledH);
       newImage.setSamples(dstBuffer, new Rect(0, 0, scaledW, scaledH), c);
    }
    
-   // For circular shape, create and apply alpha channel
-   if (isCircular) {
+   // For non-rectangular shapes, create and apply alpha channel
+   if (isShaped) {
       var alphaBuffer = new Float32Array(scaledW * scaledH);
       var cx = scaledW / 2;
       var cy = scaledH / 2;
-      var radius = Math.min(scaledW, scaledH) / 2;
       
       // 1. Generate Mask
       for (var y = 0; y < scaledH; y++) {
          for (var x = 0; x < scaledW; x++) {
-            var dx = x - cx;
-            var dy = y - cy;
-            var dist = Math.sqrt(dx * dx + dy * dy);
+            var dist = extractShapeDistance(params, x - cx, y - cy, scaledW, scaledH);
             
             // Use smooth edge with 1-pixel antialiasing
-            if (dist <= radius - 1) {
+            if (dist <= -1) {
                alphaBuffer[y * scaledW + x] = 1.0; 
-            } else if (dist <= radius) {
-               alphaBuffer[y * scaledW + x] = radius - dist; 
+            } else if (dist <= 0) {
+               alphaBuffer[y * scaledW + x] = -dist; 
             } else {
                alphaBuffer[y * scaledW + x] = 0.0; 
             }
@@ -449,7 +1028,7 @@ function extractRegionToNewImage(dialog) {
       
       // 3. Write Alpha Channel - DISABLED
       // newImage.setSamples(alphaBuffer, new Rect(0, 0, scaledW, scaledH), numChannels);
-      console.writeln("pInset: Applied circular mask to RGB (black background)");
+      console.writeln("pInset: Applied " + params.insetShape.toLowerCase() + " mask to RGB (black background)");
    }
    
    newView.endProcess();
@@ -461,6 +1040,26 @@ function extractRegionToNewImage(dialog) {
    keywords.push(new FITSKeyword("pInset_RegionW", srcW.toString(), "pInset: Source region width"));
    keywords.push(new FITSKeyword("pInset_RegionH", srcH.toString(), "pInset: Source region height"));
    keywords.push(new FITSKeyword("pInset_Shape", params.insetShape, "pInset: Shape type"));
+   if (angle) {
+      keywords.push(new FITSKeyword("pInset_RegionAngle", angle.toString(), "pInset: Region rotation (degrees, clockwise)"));
+   }
+   if (params.insetShape === "Rounded") {
+      keywords.push(new FITSKeyword("pInset_CornerRadius", params.cornerRadius.toString(), "pInset: Corner radius (% of smaller side)"));
+   }
+   if (params.insetShape === "Polygon") {
+      keywords.push(new FITSKeyword("pInset_Sides", params.polygonSides.toString(), "pInset: Polygon sides"));
+      keywords.push(new FITSKeyword("pInset_Rotation", params.polygonRotation.toString(), "pInset: Polygon rotation (degrees)"));
+   }
+   if (params.insetShape === "Lasso") {
+      // Vertices in thousandths of the region size, split to fit the FITS value length
+      var pairs = [];
+      for (var i = 0; i < params.lassoPoints.length; i++) {
+         pairs.push(Math.round(params.lassoPoints[i].x * 1000) + "," + Math.round(params.lassoPoints[i].y * 1000));
+      }
+      for (var i = 0, k = 1; i < pairs.length; i += 6, k++) {
+         keywords.push(new FITSKeyword("pInset_Polygon" + k, pairs.slice(i, i + 6).join(" "), "pInset: Lasso vertices"));
+      }
+   }
    keywords.push(new FITSKeyword("pInset_Zoom", params.zoomFactor.toString(), "pInset: Zoom factor"));
    keywords.push(new FITSKeyword("pInset_Source", dialog.targetView.id, "pInset: Source image ID"));
    newWindow.keywords = keywords;
@@ -473,6 +1072,64 @@ function extractRegionToNewImage(dialog) {
    console.writeln("pInset: Extraction complete - created " + newView.id);
 }
 
+/**
+ * Convert a preview position to a lasso vertex in image coordinates.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Number} px - X position in preview coordinates
+ * @param {Number} py - Y position in preview coordinates
+ * @returns {Object} Vertex {x, y} clamped to the image
+ */
+function lassoImagePoint(dialog, px, py) {
+   return {
+      x: Math.max(0, Math.min(dialog.imageWidth, px / dialog.previewScale)),
+      y: Math.max(0, Math.min(dialog.imageHeight, py / dialog.previewScale))
+   };
+}
+
+/**
+ * Close the lasso in progress and make it the extraction region.
+ * The path is simplified, its bounding box becomes the region and the
+ * vertices are stored normalized to that box.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function finishLassoPath(dialog) {
+   var path = GeometryUtils.simplifyPolygon(dialog.lassoPath, LASSO_MAX_POINTS);
+   dialog.lassoPath = null;
+   dialog.lassoCursor = null;
+   
+   var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+   for (var i = 0; i < path.length; i++) {
+      minX = Math.min(minX, path[i].x);
+      minY = Math.min(minY, path[i].y);
+      maxX = Math.max(maxX, path[i].x);
+      maxY = Math.max(maxY, path[i].y);
+   }
+   
+   var x0 = Math.floor(minX);
+   var y0 = Math.floor(minY);
+   var w = Math.ceil(maxX) - x0;
+   var h = Math.ceil(maxY) - y0;
+   if (path.length < 3 || w < 10 || h < 10) {
+      console.writeln("pInset: Lasso region too small, draw a larger shape");
+      return;
+   }
+   
+   var points = [];
+   for (var i = 0; i < path.length; i++) {
+      points.push({ x: (path[i].x - x0) / w, y: (path[i].y - y0) / h });
+   }
+   
+   dialog.params.regionX = x0;
+   dialog.params.regionY = y0;
+   dialog.params.regionWidth = w;
+   dialog.params.regionHeight = h;
+   dialog.params.lassoPoints = points;
+   dialog.hasDrawnRegion = true;
+   
+   console.writeln("pInset: Lasso closed with " + points.length + " vertices");
+   updateZoomLimit(dialog);
+}
+
 /**
  * Set up mouse event handlers for the Extract preview control.
  * @param {Dialog} dialog - The parent dialog
@@ -494,7 +1151,35 @@ function createExtractPreviewHandlers(dialog, previewControl) {
       dialog.dragStartX = px;
       dialog.dragStartY = py;
       
+      var isLasso = dialog.params.insetShape === "Lasso";
+      
+      // Polygon in progress: click adds a vertex, clicking the first vertex closes it
+      if (isLasso && dialog.lassoPath) {
+         var first = dialog.lassoPath[0];
+         var hs = dialog.handleSize;
+         if (dialog.lassoPath.length >= 3 &&
+             Math.abs(px - first.x * dialog.previewScale) <= hs &&
+             Math.abs(py - first.y * dialog.previewScale) <= hs) {
+            finishLassoPath(dialog);
+            this.repaint();
+            return;
+         }
+         dialog.lassoPath.push(lassoImagePoint(dialog, px, py));
+         dialog.lassoDragPoints = 0;
+         dialog.interactionMode = "lasso";
+         return;
+      }
+      
       if (dialog.hasDrawnRegion) {
+         // Rotation handle of rectangles turns the region about its center
+         if (dialog.params.insetShape === "Rectangular") {
+            var handle = regionRotationHandle(dialog);
+            if (Math.sqrt((px - handle.x) * (px - handle.x) + (py - handle.y) * (py - handle.y)) <= 10) {
+               dialog.interactionMode = "rotate";
+               return;
+            }
+         }
+         
          var hit = dialog.hitTestRegion(px, py);
          
          if (hit.handle) {
@@ -517,13 +1202,32 @@ function createExtractPreviewHandlers(dialog, previewControl) {
          }
       }
       
+      if (isLasso) {
+         // Start a new polygon (click vertices) or freehand lasso (drag)
+         dialog.lassoPath = [lassoImagePoint(dialog, px, py)];
+         dialog.lassoDragPoints = 0;
+         dialog.interactionMode = "lasso";
+         dialog.hasDrawnRegion = false;
+         return;
+      }
+      
+      // A new rectangle starts upright
+      setRegionAngle(dialog, 0);
       dialog.interactionMode = "draw";
       dialog.hasDrawnRegion = true;
    };
    
+   // Double click closes a polygon in progress
+   previewControl.onMouseDoubleClick = function(x, y, buttonState, modifiers) {
+      if (dialog.lassoPath && dialog.lassoPath.length >= 3) {
+         finishLassoPath(dialog);
+         this.repaint();
+      }
+   };
+   
    // Mouse move handler
    previewControl.onMouseMove = function(x, y, buttonState, modifiers) {
-      if (!dialog.interactionMode) return;
+      if (!dialog.interactionMode && !dialog.lassoPath) return;
       if (!dialog.previewBitmap) return;
       
       var offsetX = (this.width - dialog.previewBitmap.width) / 2;
@@ -531,7 +1235,27 @@ function createExtractPreviewHandlers(dialog, previewControl) {
       var px = x - offsetX;
       var py = y - offsetY;
       
-      if (dialog.interactionMode === "draw") {
+      if (dialog.lassoPath) {
+         // Rubber band from the last vertex to the cursor
+         dialog.lassoCursor = { x: px, y: py };
+      }
+      
+      if (!dialog.interactionMode) {
+         this.repaint();
+         return;
+      }
+      
+      if (dialog.interactionMode === "lasso") {
+         // Dragging adds freehand vertices every few preview pixels
+         var last = dialog.lassoPath[dialog.lassoPath.length - 1];
+         var ldx = px - last.x * dialog.previewScale;
+         var ldy = py - last.y * dialog.previewScale;
+         if (ldx * ldx + ldy * ldy >= 9) {
+            dialog.lassoPath.push(lassoImagePoint(dialog, px, py));
+            dialog.lassoDragPoints++;
+         }
+         
+      } else if (dialog.interactionMode === "draw") {
          var x0 = Math.min(dialog.dragStartX, px);
          var y0 = Math.min(dialog.dragStartY, py);
          var x1 = Math.max(dialog.dragStartX, px);
@@ -551,6 +1275,11 @@ function createExtractPreviewHandlers(dialog, previewControl) {
             var size = Math.max(imgW, imgH);
             imgW = size;
             imgH = size;
+         } else if (dialog.params.insetShape === "Polygon") {
+            var size = polygonRegionSize(dialog.params, imgW, imgH,
+               dialog.imageWidth - imgX, dialog.imageHeight - imgY);
+            imgW = size.width;
+            imgH = size.height;
          }
          
          dialog.params.regionX = imgX;
@@ -561,12 +1290,31 @@ function createExtractPreviewHandlers(dialog, previewControl) {
       } else if (dialog.interactionMode === "move") {
          var newX = Math.round((px - dialog.dragOffsetX) / dialog.previewScale);
          var newY = Math.round((py - dialog.dragOffsetY) / dialog.previewScale);
+         var angle = extractRegionAngle(dialog.params);
+         
+         if (angle) {
+            // Rotated regions keep their turned corners inside the image
+            placeRotatedRegion(dialog, newX + dialog.params.regionWidth / 2, newY + dialog.params.regionHeight / 2,
+                               dialog.params.regionWidth, dialog.params.regionHeight, angle, true);
+         } else {
+            newX = Math.max(0, Math.min(dialog.imageWidth - dialog.params.regionWidth, newX));
+            newY = Math.max(0, Math.min(dialog.imageHeight - dialog.params.regionHeight, newY));
+            
+            dialog.params.regionX = newX;
+            dialog.params.regionY = newY;
+         }
          
-         newX = Math.max(0, Math.min(dialog.imageWidth - dialog.params.regionWidth, newX));
-         newY = Math.max(0, Math.min(dialog.imageHeight - dialog.params.regionHeight, newY));
+      } else if (dialog.interactionMode === "rotate") {
+         // The handle points from the region center to the mouse, snapping to the axes within a few degrees
+         var cx = (dialog.params.regionX + dialog.params.regionWidth / 2) * dialog.previewScale;
+         var cy = (dialog.params.regionY + dialog.params.regionHeight / 2) * dialog.previewScale;
+         var angle = Math.atan2(px - cx, cy - py) * 180 / Math.PI;
+         var axis = Math.round(angle / 90) * 90;
+         if (Math.abs(angle - axis) <= 3) angle = axis;
+         setRegionAngle(dialog, angle);
          
-         dialog.params.regionX = newX;
-         dialog.params.regionY = newY;
+      } else if (dialog.interactionMode === "resize" && extractRegionAngle(dialog.params)) {
+         resizeRotatedRegion(dialog, px, py);
          
       } else if (dialog.interactionMode === "resize") {
          var orig = dialog.originalRegion;
@@ -607,6 +1355,19 @@ function createExtractPreviewHandlers(dialog, previewControl) {
             }
             newW = size;
             newH = size;
+         } else if (dialog.params.insetShape === "Polygon") {
+            // Keep the polygon aspect, following the side that changed most,
+            // anchored at the opposite corner
+            var fromWest = dialog.resizeHandle.indexOf("w") !== -1;
+            var fromNorth = dialog.resizeHandle.indexOf("n") !== -1;
+            var byWidth = Math.abs(newW - orig.w) >= Math.abs(newH - orig.h);
+            var size = polygonRegionSize(dialog.params, byWidth ? newW : 0, byWidth ? 0 : newH,
+               fromWest ? orig.x + orig.w : dialog.imageWidth - orig.x,
+               fromNorth ? orig.y + orig.h : dialog.imageHeight - orig.y);
+            newW = size.width;
+            newH = size.height;
+            if (fromWest) newX = orig.x + orig.w - newW;
+            if (fromNorth) newY = orig.y + orig.h - newH;
          }
          
          dialog.params.regionX = newX;
@@ -620,6 +1381,16 @@ function createExtractPreviewHandlers(dialog, previewControl) {
    
    // Mouse release handler
    previewControl.onMouseRelease = function(x, y, button, buttonState, modifiers) {
+      if (dialog.interactionMode === "lasso") {
+         // A freehand drag closes the lasso; single clicks keep adding vertices
+         dialog.interactionMode = null;
+         if (dialog.lassoDragPoints > 2 && dialog.lassoPath.length >= 3) {
+            finishLassoPath(dialog);
+         }
+         this.repaint();
+         return;
+      }
+      
       dialog.interactionMode = null;
       dialog.resizeHandle = null;
       dialog.originalRegion = null;
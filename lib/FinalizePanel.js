@@ -5,6 +5,7 @@
 // Contains controls for the Finalize mode:
 // - Source image selection (outside group)
 // - Extracted image selection (outside group)
+// - Composition inset list (outside group)
 // - Finalize Options group (disabled until both images selected)
 //
 // Author: Giovanni Rocca (iGio90) and Antigravity
@@ -20,14 +21,13 @@
 
 /**
  * Read extraction metadata from a view's FITS keywords.
+ * Shows a warning if the view was not created by pInset Extract mode.
  * @param {Dialog} dialog - The parent dialog
  * @param {View} view - The extracted image view
+ * @returns {Object} Metadata {regionX, regionY, regionW, regionH, regionAngle, shape, cornerRadius, sides, rotation, points, zoom, sourceId, flipH, flipV} or null
  */
 function readExtractionMetadata(dialog, view) {
-   // Reset region state first - clear any previous shape
-   dialog.hasDrawnRegion = false;
-   
-   if (!view || view.isNull) return;
+   if (!view || view.isNull) return null;
    
    var window = view.window;
    var keywords = window.keywords;
@@ -37,10 +37,18 @@ function readExtractionMetadata(dialog, view) {
       regionY: null,
       regionW: null,
       regionH: null,
+      regionAngle: 0,
       shape: null,
+      cornerRadius: null,
+      sides: null,
+      rotation: null,
+      points: null,
       zoom: null,
-      sourceId: null
+      sourceId: null,
+      flipH: false,
+      flipV: false
    };
+   var polygonChunks = [];
    
    // Parse FITS keywords
    for (var i = 0; i < keywords.length; i++) {
@@ -52,57 +60,269 @@ function readExtractionMetadata(dialog, view) {
       else if (name === "pInset_RegionY") metadata.regionY = parseInt(value);
       else if (name === "pInset_RegionW") metadata.regionW = parseInt(value);
       else if (name === "pInset_RegionH") metadata.regionH = parseInt(value);
+      else if (name === "pInset_RegionAngle") metadata.regionAngle = parseFloat(value) || 0;
       else if (name === "pInset_Shape") metadata.shape = value.replace(/'/g, "").trim();
+      else if (name === "pInset_CornerRadius") metadata.cornerRadius = parseFloat(value);
+      else if (name === "pInset_Sides") metadata.sides = parseInt(value);
+      else if (name === "pInset_Rotation") metadata.rotation = parseFloat(value);
+      else if (name.indexOf("pInset_Polygon") === 0) {
+         polygonChunks[parseInt(name.substring(14))] = value.replace(/'/g, "").trim();
+      }
       else if (name === "pInset_Zoom") metadata.zoom = parseFloat(value);
       else if (name === "pInset_Source") metadata.sourceId = value.replace(/'/g, "").trim();
+      else if (name === "pInset_FlipH") metadata.flipH = value.replace(/'/g, "").trim() === "T";
+      else if (name === "pInset_FlipV") metadata.flipV = value.replace(/'/g, "").trim() === "T";
+   }
+   
+   if (polygonChunks.length > 0) {
+      metadata.points = parsePolygonKeywords(polygonChunks.join(" "));
+   }
+   if (metadata.shape === "Polygon") {
+      metadata.points = GeometryUtils.regularPolygon(metadata.sides || 6, metadata.rotation || 0).points;
+   }
+   if (metadata.shape === "Lasso" && !metadata.points) {
+      console.writeln("pInset: Lasso polygon missing in '" + view.id + "', using the region rectangle");
+      metadata.shape = "Rectangular";
    }
    
    // Check if we have valid metadata
    if (metadata.regionX !== null && metadata.regionW !== null) {
-      dialog.params.regionX = metadata.regionX;
-      dialog.params.regionY = metadata.regionY;
-      dialog.params.regionWidth = metadata.regionW;
-      dialog.params.regionHeight = metadata.regionH;
-      dialog.params.insetShape = metadata.shape || "Rectangular";
-      dialog.params.zoomFactor = metadata.zoom || 2.0;
-      dialog.hasDrawnRegion = true;
-      
       console.writeln("pInset: Loaded metadata - Region: " + metadata.regionX + "," + metadata.regionY + 
-         " Size: " + metadata.regionW + "x" + metadata.regionH + " Shape: " + metadata.shape);
+         " Size: " + metadata.regionW + "x" + metadata.regionH + " Shape: " + metadata.shape +
+         (metadata.regionAngle ? " Rotation: " + metadata.regionAngle : ""));
       
       // If we found source image ID, log it
       if (metadata.sourceId && dialog.finalizeSourceList) {
          console.writeln("pInset: Source image was: " + metadata.sourceId);
       }
-   } else {
-      // No valid metadata - show warning to user
-      console.writeln("pInset: No pInset metadata found in image '" + view.id + "'");
-      var msgBox = new MessageBox(
-         "This image does not contain pInset extraction metadata.\n\n" +
-         "Please select an image that was created using pInset Extract mode.",
-         "pInset - Invalid Inset Image",
-         StdIcon_Warning,
-         StdButton_Ok
-      );
-      msgBox.execute();
+      return metadata;
+   }
+   
+   // No valid metadata - show warning to user
+   console.writeln("pInset: No pInset metadata found in image '" + view.id + "'");
+   var msgBox = new MessageBox(
+      "This image does not contain pInset extraction metadata.\n\n" +
+      "Please select an image that was created using pInset Extract mode.",
+      "pInset - Invalid Inset Image",
+      StdIcon_Warning,
+      StdButton_Ok
+   );
+   msgBox.execute();
+   return null;
+}
+
+/**
+ * Store the mirroring of an inset in the FITS keywords of its extracted image,
+ * so the inset keeps it when the image is added to a composition again.
+ * @param {Object} inset - The composition inset
+ */
+function storeInsetFlip(inset) {
+   if (!inset.view || inset.view.isNull) return;
+   
+   var window = inset.view.window;
+   var keywords = [];
+   var current = window.keywords;
+   for (var i = 0; i < current.length; i++) {
+      if (current[i].name !== "pInset_FlipH" && current[i].name !== "pInset_FlipV") {
+         keywords.push(current[i]);
+      }
+   }
+   if (inset.flipH) {
+      keywords.push(new FITSKeyword("pInset_FlipH", "T", "pInset: Content mirrored left to right"));
+   }
+   if (inset.flipV) {
+      keywords.push(new FITSKeyword("pInset_FlipV", "T", "pInset: Content mirrored top to bottom"));
+   }
+   window.keywords = keywords;
+}
+
+/**
+ * Parse lasso polygon vertices stored by Extract mode.
+ * Vertices are "x,y" pairs in thousandths of the region size, separated by spaces.
+ * @param {String} text - Joined pInset_Polygon keyword values
+ * @returns {Array} Normalized vertices {x, y}, or null if fewer than 3
+ */
+function parsePolygonKeywords(text) {
+   var pairs = text.split(/\s+/);
+   var points = [];
+   for (var i = 0; i < pairs.length; i++) {
+      var xy = pairs[i].split(",");
+      if (xy.length !== 2) continue;
+      points.push({ x: parseInt(xy[0]) / 1000, y: parseInt(xy[1]) / 1000 });
+   }
+   return points.length >= 3 ? points : null;
+}
+
+/**
+ * Create the state for one inset of the composition.
+ * @param {View} view - The extracted image view
+ * @param {Object} metadata - Extraction metadata from readExtractionMetadata
+ * @returns {Object} Inset state: source region, canvas position/size, anchors, curve and preview bitmap
+ */
+function createCompositionInset(view, metadata) {
+   return {
+      view: view,
+      // Source region (from extraction metadata), turned by shapeOptions.sourceAngle about its center
+      regionX: metadata.regionX,
+      regionY: metadata.regionY,
+      regionWidth: metadata.regionW,
+      regionHeight: metadata.regionH,
+      shape: metadata.shape || "Rectangular",
+      // Shape settings shared by source indicator and inset (corner radius as a fraction)
+      shapeOptions: {
+         cornerRadius: (metadata.cornerRadius !== null ? metadata.cornerRadius : 15) / 100,
+         points: metadata.points,
+         sourceAngle: metadata.regionAngle
+      },
+      zoom: metadata.zoom || 2.0,
+      // Position/size in source image coordinates (set by initializeInsetPosition)
+      x: 0,
+      y: 0,
+      width: 100,
+      height: 100,
+      bitmap: null,
+      // Screen stretch of the inset image for its preview bitmap (see StretchUtils)
+      stretchCache: null,
+      // Magnification of rotated content for the current size (see insetContentZoom)
+      contentZoom: null,
+      // Source anchor positions for connection lines
+      // For circular: angles in radians (0 = right, PI = left)
+      sourceAnchors: {
+         leftAngle: Math.PI,
+         rightAngle: 0
+      },
+      // For rectangular: perimeter positions of the four lines on the source box and
+      // on the inset (see GeometryUtils.rectPerimeterPoint), corners NW, NE, SW, SE
+      edgeAnchors: {
+         source: [0, 1, 3, 2],
+         inset: [0, 1, 3, 2]
+      },
+      // Bend of curved connection lines: offset of the line midpoints in source pixels
+      curve: { x: 0, y: 0 },
+      // Caption text (empty = no caption)
+      caption: "",
+      // Content rotation in degrees, clockwise (the inset shape stays upright)
+      rotation: 0,
+      // Content mirrored left to right / top to bottom before it is rotated
+      // (insets from a flipped image of the same object), kept in pInset_FlipH/V keywords
+      flipH: metadata.flipH === true,
+      flipV: metadata.flipV === true
+   };
+}
+
+/**
+ * Add an extracted image to the composition and make it the active inset.
+ * Images already in the composition are just selected.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {View} view - The extracted image view
+ */
+function addFinalizeInset(dialog, view) {
+   if (!view || view.isNull) return;
+   
+   for (var i = 0; i < dialog.insets.length; i++) {
+      if (dialog.insets[i].view.id === view.id) {
+         selectFinalizeInset(dialog, i);
+         return;
+      }
    }
+   
+   var metadata = readExtractionMetadata(dialog, view);
+   if (!metadata) return;
+   
+   dialog.insets.push(createCompositionInset(view, metadata));
+   dialog.activeInsetIndex = dialog.insets.length - 1;
+   updateInsetSelector(dialog);
+   
+   dialog.checkFinalizeImagesSelected();
+   dialog.updateFinalizePreview();
 }
 
 /**
- * Check if both finalize images are selected and enable/disable options group.
+ * Remove the active inset from the composition.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function removeActiveFinalizeInset(dialog) {
+   if (dialog.activeInsetIndex < 0) return;
+   
+   dialog.insets.splice(dialog.activeInsetIndex, 1);
+   dialog.activeInsetIndex = Math.min(dialog.activeInsetIndex, dialog.insets.length - 1);
+   updateInsetSelector(dialog);
+   
+   dialog.checkFinalizeImagesSelected();
+   if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+}
+
+/**
+ * Make an inset the active one (the one edited by the preview handles).
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Number} index - Index in dialog.insets
+ */
+function selectFinalizeInset(dialog, index) {
+   if (index < 0 || index >= dialog.insets.length) return;
+   
+   dialog.activeInsetIndex = index;
+   if (dialog.insetSelectCombo) dialog.insetSelectCombo.currentItem = index;
+   if (dialog.captionEdit) dialog.captionEdit.text = dialog.insets[index].caption;
+   if (dialog.insetRotationControl) dialog.insetRotationControl.setValue(dialog.insets[index].rotation);
+   if (dialog.insetFlipHCheck) dialog.insetFlipHCheck.checked = dialog.insets[index].flipH;
+   if (dialog.insetFlipVCheck) dialog.insetFlipVCheck.checked = dialog.insets[index].flipV;
+   if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+}
+
+/**
+ * Refresh the inset selector combo box from the composition.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function updateInsetSelector(dialog) {
+   if (!dialog.insetSelectCombo) return;
+   
+   var combo = dialog.insetSelectCombo;
+   combo.clear();
+   for (var i = 0; i < dialog.insets.length; i++) {
+      combo.addItem((i + 1) + ": " + dialog.insets[i].view.id);
+   }
+   if (dialog.activeInsetIndex >= 0) combo.currentItem = dialog.activeInsetIndex;
+   
+   combo.enabled = dialog.insets.length > 0;
+   if (dialog.removeInsetButton) dialog.removeInsetButton.enabled = dialog.insets.length > 0;
+   
+   // Caption text follows the active inset
+   if (dialog.captionEdit) {
+      dialog.captionEdit.text = dialog.activeInsetIndex >= 0 ? dialog.insets[dialog.activeInsetIndex].caption : "";
+      dialog.captionEdit.enabled = dialog.insets.length > 0;
+   }
+   if (dialog.insetRotationControl) {
+      dialog.insetRotationControl.setValue(dialog.activeInsetIndex >= 0 ? dialog.insets[dialog.activeInsetIndex].rotation : 0);
+      dialog.insetRotationControl.enabled = dialog.insets.length > 0;
+   }
+   if (dialog.insetFlipHCheck) {
+      var active = dialog.getActiveInset();
+      dialog.insetFlipHCheck.checked = !!active && active.flipH;
+      dialog.insetFlipVCheck.checked = !!active && active.flipV;
+      dialog.insetFlipHCheck.enabled = dialog.insets.length > 0;
+      dialog.insetFlipVCheck.enabled = dialog.insets.length > 0;
+   }
+}
+
+/**
+ * Check if the source image and at least one inset are selected and enable/disable options group.
  * @param {Dialog} dialog - The parent dialog
  */
 function checkFinalizeImagesSelected(dialog) {
    var sourceValid = !!(dialog.finalizeSourceView && !dialog.finalizeSourceView.isNull);
-   var insetValid = !!(dialog.finalizeInsetView && !dialog.finalizeInsetView.isNull);
-   var hasValidMetadata = dialog.hasDrawnRegion;
+   var hasInsets = dialog.insets.length > 0;
    
-   // Check if source and inset are the same image
+   // Check if the source is also used as an inset
    var imagesAreDifferent = true;
-   if (sourceValid && insetValid) {
-      if (dialog.finalizeSourceView.id === dialog.finalizeInsetView.id) {
-         imagesAreDifferent = false;
-         
+   if (sourceValid && hasInsets) {
+      for (var i = 0; i < dialog.insets.length; i++) {
+         if (dialog.finalizeSourceView.id === dialog.insets[i].view.id) {
+            imagesAreDifferent = false;
+            break;
+         }
+      }
+      
+      if (!imagesAreDifferent) {
          if (!dialog._shownSameImageWarning) {
             dialog._shownSameImageWarning = true;
             console.writeln("pInset: Source and inset images are identical");
@@ -120,26 +340,37 @@ function checkFinalizeImagesSelected(dialog) {
       }
    }
    
-   // Additional check: region must fit within source image
+   // Additional check: every region must fit within source image
    var regionFitsSource = true;
-   if (sourceValid && hasValidMetadata && imagesAreDifferent) {
+   if (sourceValid && hasInsets && imagesAreDifferent) {
       var srcImage = dialog.finalizeSourceView.image;
-      var regionEndX = dialog.params.regionX + dialog.params.regionWidth;
-      var regionEndY = dialog.params.regionY + dialog.params.regionHeight;
+      var badInset = null;
       
-      if (regionEndX > srcImage.width || regionEndY > srcImage.height ||
-          dialog.params.regionX < 0 || dialog.params.regionY < 0) {
+      for (var i = 0; i < dialog.insets.length; i++) {
+         var inset = dialog.insets[i];
+         var regionEndX = inset.regionX + inset.regionWidth;
+         var regionEndY = inset.regionY + inset.regionHeight;
+         
+         if (regionEndX > srcImage.width || regionEndY > srcImage.height ||
+             inset.regionX < 0 || inset.regionY < 0) {
+            badInset = inset;
+            break;
+         }
+      }
+      
+      if (badInset) {
          regionFitsSource = false;
          
          // Show warning if this is a new invalid state
          if (!dialog._shownRegionSizeWarning) {
             dialog._shownRegionSizeWarning = true;
-            console.writeln("pInset: Region exceeds source image bounds");
+            console.writeln("pInset: Region of '" + badInset.view.id + "' exceeds source image bounds");
             var msgBox = new MessageBox(
-               "The inset region (" + dialog.params.regionWidth + "x" + dialog.params.regionHeight + 
-               " at " + dialog.params.regionX + "," + dialog.params.regionY + 
+               "The inset region of '" + badInset.view.id + "' (" + badInset.regionWidth + "x" + badInset.regionHeight + 
+               " at " + badInset.regionX + "," + badInset.regionY + 
                ") exceeds the source image dimensions (" + srcImage.width + "x" + srcImage.height + ").\n\n" +
-               "Please select a different source image that contains the original extraction region.",
+               "Please select a different source image that contains the original extraction region, " +
+               "or remove this inset.",
                "pInset - Region Mismatch",
                StdIcon_Warning,
                StdButton_Ok
@@ -152,30 +383,37 @@ function checkFinalizeImagesSelected(dialog) {
    }
    
    // Enable options group and generate button only if all validations pass
-   var allValid = sourceValid && insetValid && hasValidMetadata && imagesAreDifferent && regionFitsSource;
+   var allValid = sourceValid && hasInsets && imagesAreDifferent && regionFitsSource;
    dialog.finalizeGroup.enabled = allValid;
    if (dialog.generateButton) {
       dialog.generateButton.enabled = allValid;
    }
    
-   // Initialize inset position and create bitmap if valid
-   if (allValid && !dialog.insetBitmap) {
-      initializeInsetPosition(dialog);
-      createInsetBitmap(dialog);
+   // Initialize position and create bitmap for newly added insets
+   if (allValid) {
+      for (var i = 0; i < dialog.insets.length; i++) {
+         if (!dialog.insets[i].bitmap) {
+            initializeInsetPosition(dialog, dialog.insets[i], i);
+            createInsetBitmap(dialog, dialog.insets[i]);
+         }
+      }
    }
 }
 
 /**
  * Initialize the inset position and size.
- * Scales inset to 1/3 of source image width, positioned at bottom-left with margin.
+ * Scales inset to 1/3 of source image width. Successive insets are placed
+ * in the bottom-left, bottom-right, top-left and top-right corners.
  * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The composition inset
+ * @param {Number} index - Index of the inset in the composition
  */
-function initializeInsetPosition(dialog) {
+function initializeInsetPosition(dialog, inset, index) {
    if (!dialog.finalizeSourceView || dialog.finalizeSourceView.isNull) return;
-   if (!dialog.finalizeInsetView || dialog.finalizeInsetView.isNull) return;
+   if (!inset.view || inset.view.isNull) return;
    
    var srcImage = dialog.finalizeSourceView.image;
-   var insetImage = dialog.finalizeInsetView.image;
+   var insetImage = inset.view.image;
    
    // Default margin from edge (in source image coordinates)
    var margin = 20;
@@ -183,58 +421,663 @@ function initializeInsetPosition(dialog) {
    // Scale inset to 1/3 of source image width
    // For circular shapes, force square dimensions to match circular content
    var targetWidth = Math.round(srcImage.width / 3);
-   var isCircular = dialog.params.insetShape === "Circular";
+   var isCircular = inset.shape === "Circular";
    var aspectRatio = isCircular ? 1.0 : insetImage.height / insetImage.width;
    var targetHeight = Math.round(targetWidth * aspectRatio);
    
-   dialog.insetWidth = targetWidth;
-   dialog.insetHeight = targetHeight;
+   inset.width = targetWidth;
+   inset.height = targetHeight;
    
-   // Position at bottom-left corner with margin
-   dialog.insetX = margin;
-   dialog.insetY = srcImage.height - targetHeight - margin;
+   // Cycle through the corners, cascading once all four are used
+   var corner = index % 4;
+   var cascade = Math.floor(index / 4) * margin * 2;
+   var left = margin + cascade;
+   var right = srcImage.width - targetWidth - margin - cascade;
+   var top = margin + cascade;
+   var bottom = srcImage.height - targetHeight - margin - cascade;
+   
+   inset.x = (corner === 1 || corner === 3) ? right : left;
+   inset.y = (corner === 2 || corner === 3) ? top : bottom;
    
    // Clamp to valid range
-   dialog.insetX = Math.max(0, dialog.insetX);
-   dialog.insetY = Math.max(0, dialog.insetY);
+   inset.x = Math.max(0, inset.x);
+   inset.y = Math.max(0, inset.y);
    
-   console.writeln("pInset: Initialized inset at " + dialog.insetX + "," + dialog.insetY + 
-      " size " + dialog.insetWidth + "x" + dialog.insetHeight + 
+   console.writeln("pInset: Initialized inset '" + inset.view.id + "' at " + inset.x + "," + inset.y + 
+      " size " + inset.width + "x" + inset.height + 
       " (scaled from " + insetImage.width + "x" + insetImage.height + ")");
 }
 
 /**
- * Generate the final image with the inset.
+ * Get the border stroke stack, outermost first. Strokes are drawn in order,
+ * so each outer stroke shows around the strokes drawn on top of it.
+ * The stack applies to source indicators, connection lines and inset borders.
+ * @param {Object} params - Parameters object
+ * @param {Object} mainColor - Main stroke color {r, g, b, a} normalized 0-1
+ * @returns {Array} Strokes {color, grow} where grow is the extra width on each side of the main stroke
+ */
+function borderStrokeStack(params, mainColor) {
+   var strokes = [{ color: mainColor, grow: 0 }];
+   if (params.outlineEnabled === true && params.outlineWidth > 0) {
+      strokes.unshift({
+         color: {
+            r: params.outlineColorR / 255,
+            g: params.outlineColorG / 255,
+            b: params.outlineColorB / 255,
+            a: params.outlineOpacity / 100
+         },
+         grow: params.outlineWidth
+      });
+   }
+   return strokes;
+}
+
+/**
+ * Get the dash pattern of a stroked element from the dialog parameters.
+ * @param {Object} params - Parameters object
+ * @param {String} element - "indicator", "connection" or "border"
+ * @param {Number} thickness - Stroke thickness in pixels
+ * @param {Number} scale - Optional scale of the dash lengths (preview zoom)
+ * @returns {Array} Dash pattern (see GeometryUtils.dashPattern), or null for solid lines
+ */
+function lineDashPattern(params, element, thickness, scale) {
+   scale = scale || 1.0;
+   return GeometryUtils.dashPattern(params[element + "LineStyle"], params.dashLength * scale,
+                                    params.dashGap * scale, thickness);
+}
+
+/**
+ * Get the drop shadow or outer glow settings from the dialog parameters.
+ * @param {Object} params - Parameters object
+ * @param {String} prefix - "shadow" or "glow"
+ * @returns {Object} Engine effect {offset, blur, color, opacity}, or null when disabled
+ */
+function insetEffectSettings(params, prefix) {
+   if (params[prefix + "Enabled"] !== true) return null;
+   return {
+      offset: params[prefix + "Offset"],
+      blur: params[prefix + "Blur"],
+      color: {
+         r: params[prefix + "ColorR"] / 255,
+         g: params[prefix + "ColorG"] / 255,
+         b: params[prefix + "ColorB"] / 255
+      },
+      opacity: params[prefix + "Opacity"] / 100
+   };
+}
+
+/**
+ * Get the projection cone color from the dialog parameters.
+ * @param {Object} params - Parameters object
+ * @returns {Object} Color {r, g, b, a} normalized 0-1, or null when disabled
+ */
+function projectionConeColor(params) {
+   if (params.coneEnabled !== true) return null;
+   return {
+      r: params.coneColorR / 255,
+      g: params.coneColorG / 255,
+      b: params.coneColorB / 255,
+      a: params.coneOpacity / 100
+   };
+}
+
+/**
+ * Lay out the caption of an inset from the dialog parameters.
+ * @param {Object} params - Parameters object
+ * @param {Object} inset - The composition inset
+ * @param {Number} x0, y0, x1, y1 - Inset bounds in target coordinates
+ * @param {Number} scale - Size of a source pixel in target coordinates (1 for the output image)
+ * @returns {Object} {text, font, box {x0, y0, x1, y1}, baseline {x, y} relative to the box origin,
+ *                   color, plate} with colors {r, g, b, a} normalized 0-1, or null without a caption
+ */
+function insetCaptionLayout(params, inset, x0, y0, x1, y1, scale) {
+   if (params.captionEnabled !== true || !inset.caption || params.captionSize < 1) return null;
+   
+   var font = new Font(params.captionFont);
+   font.pixelSize = Math.max(1, Math.round(params.captionSize * scale));
+   font.bold = params.captionBold === true;
+   
+   var caption = insetTextLayout(inset.caption, font, inset.shape, x0, y0, x1, y1, params.captionPlacement,
+                                 params.indicatorBorderWidth * scale);
+   caption.color = {
+      r: params.captionColorR / 255,
+      g: params.captionColorG / 255,
+      b: params.captionColorB / 255,
+      a: params.captionOpacity / 100
+   };
+   caption.plate = params.captionPlateEnabled !== true ? null : {
+      r: params.captionPlateColorR / 255,
+      g: params.captionPlateColorG / 255,
+      b: params.captionPlateColorB / 255,
+      a: params.captionPlateOpacity / 100
+   };
+   return caption;
+}
+
+/**
+ * Effective magnification of an inset: the width of its content area (inside
+ * the border, which feathered insets do not have) over the source region width,
+ * times the zoom of rotated content.
+ * @param {Object} params - Parameters object
+ * @param {Object} inset - The composition inset
+ * @returns {Number} Magnification
+ */
+function insetMagnification(params, inset) {
+   var borderWidth = (params.indicatorBorderWidth !== undefined) ? params.indicatorBorderWidth : 2;
+   var frameWidth = params.featherInsets === true ? 0 : borderWidth;
+   return Math.max(1, inset.width - 2 * frameWidth) / inset.regionWidth * insetContentZoom(inset);
+}
+
+/**
+ * Lay out the magnification badge of an inset: the effective magnification
+ * (see insetMagnification) on a plate in the border color.
+ * @param {Object} params - Parameters object
+ * @param {Object} inset - The composition inset
+ * @param {Number} x0, y0, x1, y1 - Inset bounds in target coordinates
+ * @param {Number} scale - Size of a source pixel in target coordinates (1 for the output image)
+ * @returns {Object} Text layout like insetCaptionLayout, or null when the badge is disabled
+ */
+function insetBadgeLayout(params, inset, x0, y0, x1, y1, scale) {
+   if (params.badgeEnabled !== true || params.badgeSize < 1 || !(inset.regionWidth > 0)) return null;
+   
+   var font = new Font(params.captionFont);
+   font.pixelSize = Math.max(1, Math.round(params.badgeSize * scale));
+   font.bold = true;
+   
+   var text = "\u00D7" + insetMagnification(params, inset).toFixed(1);
+   var badge = insetTextLayout(text, font, inset.shape, x0, y0, x1, y1, params.badgeCorner,
+                               params.indicatorBorderWidth * scale);
+   badge.plate = {
+      r: params.indicatorColorR / 255,
+      g: params.indicatorColorG / 255,
+      b: params.indicatorColorB / 255,
+      a: params.indicatorOpacity / 100
+   };
+   // Black or white text, whichever reads better on the plate
+   var luma = 0.299 * badge.plate.r + 0.587 * badge.plate.g + 0.114 * badge.plate.b;
+   var ink = luma > 0.5 ? 0 : 1;
+   badge.color = { r: ink, g: ink, b: ink, a: 1.0 };
+   return badge;
+}
+
+/**
+ * Place a line of text at an inset (see GeometryUtils.captionBox).
+ * @param {String} text - Text to show
+ * @param {Font} font - Font with its pixel size in target coordinates
+ * @param {String} shape - Inset shape
+ * @param {Number} x0, y0, x1, y1 - Inset bounds in target coordinates
+ * @param {String} placement - Placement (see CAPTION_PLACEMENTS)
+ * @param {Number} margin - Distance from the inset edge
+ * @returns {Object} {text, font, box {x0, y0, x1, y1}, baseline {x, y} relative to the box origin}
+ */
+function insetTextLayout(text, font, shape, x0, y0, x1, y1, placement, margin) {
+   // Corners of round insets are those of the inscribed rectangle
+   var bounds = (placement === "Above" || placement === "Below") ? { x0: x0, y0: y0, x1: x1, y1: y1 } :
+      GeometryUtils.inscribedRect(shape, x0, y0, x1, y1);
+   
+   // Padding is kept without a plate too, so the text does not move when the plate is toggled
+   var pad = Math.round(font.pixelSize / 4);
+   return {
+      text: text,
+      font: font,
+      box: GeometryUtils.captionBox(bounds.x0, bounds.y0, bounds.x1, bounds.y1,
+                                    font.width(text) + 2 * pad, font.height + 2 * pad, placement, margin),
+      baseline: { x: pad, y: pad + font.ascent }
+   };
+}
+
+/**
+ * Lay out a scale bar in a corner of the source image or of an inset: a round
+ * angle (about a fifth of the width) as a bar with end ticks, labeled above.
+ * @param {Object} params - Parameters object
+ * @param {Number} arcsecPerUnit - Angular size of one target coordinate unit in arcseconds
+ * @param {String} shape - Shape of the area (the source image is "Rectangular")
+ * @param {Number} x0, y0, x1, y1 - Area bounds in target coordinates
+ * @param {Number} scale - Size of a source pixel in target coordinates (1 for the output image)
+ * @returns {Object} Text layout of the label (like insetCaptionLayout) plus bars: the bar and
+ *                   tick rectangles {x0, y0, x1, y1}, not overlapping
+ */
+function scaleBarLayout(params, arcsecPerUnit, shape, x0, y0, x1, y1, scale) {
+   var bounds = GeometryUtils.inscribedRect(shape, x0, y0, x1, y1);
+   var angle = WcsUtils.niceAngle((bounds.x1 - bounds.x0) / 5 * arcsecPerUnit);
+   var length = angle / arcsecPerUnit;
+   var thickness = Math.max(1, params.indicatorBorderWidth * scale);
+   var tick = 3 * thickness;
+   
+   var font = new Font(params.captionFont);
+   font.pixelSize = Math.max(1, Math.round(params.scaleBarTextSize * scale));
+   font.bold = true;
+   var text = WcsUtils.formatAngle(angle);
+   
+   // Label and bar are placed together, the label centered over the bar
+   var pad = Math.round(font.pixelSize / 4);
+   var textWidth = font.width(text) + 2 * pad;
+   var textHeight = font.height + 2 * pad;
+   var block = GeometryUtils.captionBox(bounds.x0, bounds.y0, bounds.x1, bounds.y1,
+                                        Math.max(length, textWidth), textHeight + tick,
+                                        params.scaleBarCorner, 2 * thickness);
+   var cx = (block.x0 + block.x1) / 2;
+   var cy = block.y1 - tick / 2;
+   return {
+      text: text,
+      font: font,
+      box: { x0: cx - textWidth / 2, y0: block.y0, x1: cx + textWidth / 2, y1: block.y0 + textHeight },
+      baseline: { x: pad, y: pad + font.ascent },
+      color: {
+         r: params.indicatorColorR / 255,
+         g: params.indicatorColorG / 255,
+         b: params.indicatorColorB / 255,
+         a: params.indicatorOpacity / 100
+      },
+      plate: null,
+      bars: [
+         { x0: cx - length / 2 + thickness, y0: cy - thickness / 2,
+           x1: cx + length / 2 - thickness, y1: cy + thickness / 2 },
+         { x0: cx - length / 2, y0: cy - tick / 2, x1: cx - length / 2 + thickness, y1: cy + tick / 2 },
+         { x0: cx + length / 2 - thickness, y0: cy - tick / 2, x1: cx + length / 2, y1: cy + tick / 2 }
+      ]
+   };
+}
+
+/**
+ * Lay out a north/east compass in a corner of the source image or of an inset:
+ * an arrow per direction from a common origin, labeled past its tip.
+ * @param {Object} params - Parameters object
+ * @param {Object} directions - {north, east} unit vectors from WcsUtils.skyDirections
+ * @param {String} shape - Shape of the area (the source image is "Rectangular")
+ * @param {Number} x0, y0, x1, y1 - Area bounds in target coordinates
+ * @param {Number} scale - Size of a source pixel in target coordinates (1 for the output image)
+ * @returns {Object} {origin {x, y}, arms [{tip {x, y}, label}], thickness, headSize, color}
+ *                   where each label is a text layout like insetCaptionLayout
+ */
+function compassLayout(params, directions, shape, x0, y0, x1, y1, scale) {
+   var size = params.compassSize * scale;
+   var thickness = Math.max(1, params.indicatorBorderWidth * scale);
+   var color = {
+      r: params.compassColorR / 255,
+      g: params.compassColorG / 255,
+      b: params.compassColorB / 255,
+      a: params.compassOpacity / 100
+   };
+   
+   var font = new Font(params.captionFont);
+   font.pixelSize = Math.max(1, Math.round(size / 4));
+   font.bold = true;
+   
+   // Arms and labels around the origin at 0, 0 (labels are centered just past the tips)
+   var arms = [{ direction: directions.north, text: "N" }, { direction: directions.east, text: "E" }];
+   var minX = 0, minY = 0, maxX = 0, maxY = 0;
+   for (var i = 0; i < arms.length; i++) {
+      var d = arms[i].direction;
+      var width = font.width(arms[i].text);
+      var height = font.height;
+      var reach = size + Math.max(width, height) / 2 + thickness;
+      var cx = d.x * reach;
+      var cy = d.y * reach;
+      arms[i].tip = { x: d.x * size, y: d.y * size };
+      arms[i].label = {
+         text: arms[i].text,
+         font: font,
+         box: { x0: cx - width / 2, y0: cy - height / 2, x1: cx + width / 2, y1: cy + height / 2 },
+         baseline: { x: 0, y: font.ascent },
+         color: color,
+         plate: null
+      };
+      minX = Math.min(minX, arms[i].tip.x, arms[i].label.box.x0);
+      minY = Math.min(minY, arms[i].tip.y, arms[i].label.box.y0);
+      maxX = Math.max(maxX, arms[i].tip.x, arms[i].label.box.x1);
+      maxY = Math.max(maxY, arms[i].tip.y, arms[i].label.box.y1);
+   }
+   
+   // Move the whole compass into the corner
+   var bounds = GeometryUtils.inscribedRect(shape, x0, y0, x1, y1);
+   var block = GeometryUtils.captionBox(bounds.x0, bounds.y0, bounds.x1, bounds.y1, maxX - minX, maxY - minY,
+                                        params.compassCorner, 2 * thickness);
+   var dx = block.x0 - minX;
+   var dy = block.y0 - minY;
+   var result = {
+      origin: { x: dx, y: dy },
+      arms: [],
+      thickness: thickness,
+      headSize: Math.max(3 * thickness, size / 5),
+      color: color
+   };
+   for (var i = 0; i < arms.length; i++) {
+      var box = arms[i].label.box;
+      arms[i].label.box = { x0: box.x0 + dx, y0: box.y0 + dy, x1: box.x1 + dx, y1: box.y1 + dy };
+      result.arms.push({ tip: { x: arms[i].tip.x + dx, y: arms[i].tip.y + dy }, label: arms[i].label });
+   }
+   return result;
+}
+
+/**
+ * Shape settings of an inset's own outline: lasso and polygon vertices are
+ * mirrored with the content (the source region keeps inset.shapeOptions).
+ * @param {Object} inset - The composition inset
+ * @returns {Object} Shape settings (see InsetEngine Shape Masks)
+ */
+function insetShapeOptions(inset) {
+   return GeometryUtils.mirrorShapeOptions(inset.shapeOptions, inset.flipH, inset.flipV);
+}
+
+/**
+ * Extra magnification of rotated inset content, so it still covers the whole shape.
+ * The result is kept on the inset until its size, rotation or mirroring changes (the previews ask often).
+ * @param {Object} inset - The composition inset
+ * @returns {Number} Magnification (1 without rotation)
+ */
+function insetContentZoom(inset) {
+   if (!inset.rotation) return 1;
+   
+   var key = inset.width + "x" + inset.height + "@" + inset.rotation +
+             (inset.flipH ? "H" : "") + (inset.flipV ? "V" : "");
+   if (!inset.contentZoom || inset.contentZoom.key !== key) {
+      inset.contentZoom = {
+         key: key,
+         zoom: GeometryUtils.rotationCoverZoom(inset.shape, inset.width, inset.height, insetShapeOptions(inset),
+                                               inset.rotation)
+      };
+   }
+   return inset.contentZoom.zoom;
+}
+
+/**
+ * Map a source image position to its place in an inset's content: offset from
+ * the region center along the region axes, scaled from the region to the content
+ * area inside the border (magnified by insetContentZoom), mirrored with the content
+ * and turned by the inset rotation.
+ * @param {Object} inset - The composition inset
+ * @param {Number} sx, sy - Position in source image coordinates
+ * @param {Number} x0, y0, x1, y1 - Inset bounds in target coordinates
+ * @param {Number} frame - Border width around the content in target coordinates
+ * @returns {Object} {x, y} in target coordinates
+ */
+function insetContentPoint(inset, sx, sy, x0, y0, x1, y1, frame) {
+   var zoom = insetContentZoom(inset);
+   var local = GeometryUtils.rotateVector(sx - inset.regionX - inset.regionWidth / 2,
+                                          sy - inset.regionY - inset.regionHeight / 2,
+                                          -(inset.shapeOptions.sourceAngle || 0));
+   var dx = local.x * (x1 - x0 - 2 * frame) / inset.regionWidth * zoom;
+   var dy = local.y * (y1 - y0 - 2 * frame) / inset.regionHeight * zoom;
+   var p = GeometryUtils.rotateVector(inset.flipH ? -dx : dx, inset.flipV ? -dy : dy, inset.rotation || 0);
+   return { x: (x0 + x1) / 2 + p.x, y: (y0 + y1) / 2 + p.y };
+}
+
+/**
+ * Directions of north and east inside an inset, turned back by the rotation of
+ * its source region, then mirrored and turned with its content (a mirrored
+ * inset swaps the handedness of the compass).
+ * @param {Object} directions - {north, east} from WcsUtils.skyDirections
+ * @param {Object} inset - The composition inset
+ * @returns {Object} {north, east} unit vectors {x, y}
+ */
+function insetSkyDirections(directions, inset) {
+   var sourceAngle = inset.shapeOptions.sourceAngle || 0;
+   var rotation = inset.rotation || 0;
+   if (!sourceAngle && !rotation && !inset.flipH && !inset.flipV) return directions;
+   
+   var turn = function(v) {
+      var local = GeometryUtils.rotateVector(v.x, v.y, -sourceAngle);
+      return GeometryUtils.rotateVector(inset.flipH ? -local.x : local.x, inset.flipV ? -local.y : local.y,
+                                        rotation);
+   };
+   return {
+      north: turn(directions.north),
+      east: turn(directions.east)
+   };
+}
+
+/**
+ * Lay out the labels of the catalog objects inside an inset's source region.
+ * Source positions are mapped like the inset content (see insetContentPoint). Each
+ * label sits at the end of a short diagonal leader tick pointing at its object,
+ * up and to the right or, when that leaves the inset or covers an earlier
+ * label, along one of the other diagonals.
+ * @param {Object} params - Parameters object
+ * @param {Object} solution - Astrometric solution of the source image (with crval and crpix)
+ * @param {Number} sourceHeight - Source image height in pixels
+ * @param {Object} inset - The composition inset
+ * @param {Number} x0, y0, x1, y1 - Inset bounds in target coordinates
+ * @param {Number} frame - Border width around the content in target coordinates (0 for feathered insets)
+ * @param {Number} scale - Size of a source pixel in target coordinates (1 for the output image)
+ * @returns {Array} Labels {tick {x0, y0, x1, y1}, thickness, color, label} where each label is a
+ *                  text layout like insetCaptionLayout; empty when disabled
+ */
+function insetObjectLabels(params, solution, sourceHeight, inset, x0, y0, x1, y1, frame, scale) {
+   if (params.objectLabelsEnabled !== true || params.objectLabelsSize < 1 || !solution || !solution.crval ||
+       !(inset.regionWidth > 0) || !(inset.regionHeight > 0)) {
+      return [];
+   }
+   
+   var font = new Font(params.captionFont);
+   font.pixelSize = Math.max(1, Math.round(params.objectLabelsSize * scale));
+   var color = {
+      r: params.objectLabelsColorR / 255,
+      g: params.objectLabelsColorG / 255,
+      b: params.objectLabelsColorB / 255,
+      a: params.objectLabelsOpacity / 100
+   };
+   var thickness = Math.max(1, font.pixelSize / 12);
+   var gap = font.pixelSize / 4;
+   var reach = font.pixelSize * 0.75;
+   
+   // Part of the content area that is visible for round shapes
+   var bounds = GeometryUtils.inscribedRect(inset.shape, x0 + frame, y0 + frame, x1 - frame, y1 - frame);
+   
+   var directions = [{ x: 1, y: -1 }, { x: -1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }];
+   
+   // Objects in the bounding box of the (possibly rotated) region; the bounds test drops the others
+   var outline = GeometryUtils.sourceOutline("Rectangular", inset.regionX, inset.regionY, inset.regionX + inset.regionWidth,
+                                             inset.regionY + inset.regionHeight, inset.shapeOptions);
+   var region = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+   for (var i = 0; i < outline.length; i++) {
+      region.x0 = Math.min(region.x0, outline[i].x);
+      region.y0 = Math.min(region.y0, outline[i].y);
+      region.x1 = Math.max(region.x1, outline[i].x);
+      region.y1 = Math.max(region.y1, outline[i].y);
+   }
+   var found = SkyCatalog.objectsInside(solution, sourceHeight, region.x0, region.y0, region.x1, region.y1);
+   var labels = [];
+   for (var i = 0; i < found.length; i++) {
+      var position = insetContentPoint(inset, found[i].x, found[i].y, x0, y0, x1, y1, frame);
+      var px = position.x;
+      var py = position.y;
+      if (px < bounds.x0 || px > bounds.x1 || py < bounds.y0 || py > bounds.y1) continue;
+      
+      var text = found[i].object.name;
+      var width = font.width(text);
+      var height = font.height;
+      
+      // Up and to the right unless that leaves the inset or covers an earlier label
+      var best = null;
+      for (var k = 0; k < directions.length; k++) {
+         var d = directions[k];
+         var tick = {
+            x0: px + d.x * gap, y0: py + d.y * gap,
+            x1: px + d.x * (gap + reach), y1: py + d.y * (gap + reach)
+         };
+         var bx = d.x > 0 ? tick.x1 : tick.x1 - width;
+         var by = d.y > 0 ? tick.y1 : tick.y1 - height;
+         var box = { x0: bx, y0: by, x1: bx + width, y1: by + height };
+         var inside = box.x0 >= bounds.x0 && box.x1 <= bounds.x1 && box.y0 >= bounds.y0 && box.y1 <= bounds.y1;
+         var free = true;
+         for (var j = 0; j < labels.length && free; j++) {
+            var other = labels[j].label.box;
+            free = box.x1 <= other.x0 || box.x0 >= other.x1 || box.y1 <= other.y0 || box.y0 >= other.y1;
+         }
+         var rank = (inside ? 2 : 0) + (free ? 1 : 0);
+         if (!best || rank > best.rank) best = { rank: rank, tick: tick, box: box };
+         if (rank === 3) break;
+      }
+      
+      labels.push({
+         tick: best.tick,
+         thickness: thickness,
+         color: color,
+         label: {
+            text: text,
+            font: font,
+            box: best.box,
+            baseline: { x: 0, y: font.ascent },
+            color: color,
+            plate: null
+         }
+      });
+   }
+   return labels;
+}
+
+/**
+ * Get the pixel scale of the source image: from its astrometric solution when
+ * it is plate-solved, otherwise the pixel scale entered in the dialog.
+ * @param {Dialog} dialog - The parent dialog
+ * @returns {Number} Arcseconds per source pixel
+ */
+function sourcePixelScale(dialog) {
+   if (dialog.finalizeSourceSolution) return WcsUtils.pixelScale(dialog.finalizeSourceSolution);
+   return dialog.params.pixelScale;
+}
+
+/**
+ * Read the astrometric solution of the Finalize source image.
+ * @param {Dialog} dialog - The parent dialog
+ */
+function readSourceSolution(dialog) {
+   var view = dialog.finalizeSourceView;
+   dialog.finalizeSourceSolution = (view && !view.isNull) ? WcsUtils.readSolution(view.window) : null;
+   
+   if (dialog.finalizeSourceSolution) {
+      console.writeln("pInset: Astrometric solution found, " +
+         WcsUtils.pixelScale(dialog.finalizeSourceSolution).toFixed(3) + " arcsec/px");
+   } else if (view && !view.isNull) {
+      console.writeln("pInset: No astrometric solution in '" + view.id + "', using the entered pixel scale");
+   }
+   if (dialog.pixelScaleEdit) {
+      dialog.pixelScaleEdit.enabled = !dialog.finalizeSourceSolution;
+      dialog.pixelScaleEdit.setValue(sourcePixelScale(dialog));
+   }
+}
+
+/**
+ * Draw a caption or badge layout into the output image.
+ * @param {InsetEngine} engine - Engine instance
+ * @param {Image} image - Target image
+ * @param {Object} layout - Text layout from insetCaptionLayout or insetBadgeLayout (source coordinates)
+ * @param {Number} offsetX - Position of the source image in the target image
+ * @param {Number} offsetY - Position of the source image in the target image
+ */
+function drawTextLayout(engine, image, layout, offsetX, offsetY) {
+   var rect = new Rect(
+      Math.round(layout.box.x0 + offsetX),
+      Math.round(layout.box.y0 + offsetY),
+      Math.round(layout.box.x1 + offsetX),
+      Math.round(layout.box.y1 + offsetY)
+   );
+   engine.drawCaption(image, rect, layout.text, layout.font, layout.baseline, layout.color, layout.plate);
+}
+
+/**
+ * Draw a scale bar layout into the output image.
+ * @param {InsetEngine} engine - Engine instance
+ * @param {Image} image - Target image
+ * @param {Object} layout - Scale bar layout from scaleBarLayout (source coordinates)
+ * @param {Number} offsetX - Position of the source image in the target image
+ * @param {Number} offsetY - Position of the source image in the target image
+ */
+function drawScaleBarLayout(engine, image, layout, offsetX, offsetY) {
+   var boxes = [];
+   for (var i = 0; i < layout.bars.length; i++) {
+      var bar = layout.bars[i];
+      boxes.push({ x0: bar.x0 + offsetX, y0: bar.y0 + offsetY, x1: bar.x1 + offsetX, y1: bar.y1 + offsetY });
+   }
+   engine.drawScaleBar(image, boxes, layout.color);
+   drawTextLayout(engine, image, layout, offsetX, offsetY);
+}
+
+/**
+ * Draw a compass layout into the output image.
+ * @param {InsetEngine} engine - Engine instance
+ * @param {Image} image - Target image
+ * @param {Object} layout - Compass layout from compassLayout (source coordinates)
+ * @param {Number} offsetX - Position of the source image in the target image
+ * @param {Number} offsetY - Position of the source image in the target image
+ */
+function drawCompassLayout(engine, image, layout, offsetX, offsetY) {
+   for (var i = 0; i < layout.arms.length; i++) {
+      var arm = layout.arms[i];
+      engine.drawArrow(image, layout.origin.x + offsetX, layout.origin.y + offsetY,
+                       arm.tip.x + offsetX, arm.tip.y + offsetY, layout.color, layout.thickness, layout.headSize);
+      drawTextLayout(engine, image, arm.label, offsetX, offsetY);
+   }
+}
+
+/**
+ * Draw catalog object labels into the output image.
+ * @param {InsetEngine} engine - Engine instance
+ * @param {Image} image - Target image
+ * @param {Array} labels - Labels from insetObjectLabels (source coordinates)
+ * @param {Number} offsetX - Position of the source image in the target image
+ * @param {Number} offsetY - Position of the source image in the target image
+ */
+function drawObjectLabels(engine, image, labels, offsetX, offsetY) {
+   for (var i = 0; i < labels.length; i++) {
+      var tick = labels[i].tick;
+      engine.bresenhamLine(image, tick.x0 + offsetX, tick.y0 + offsetY, tick.x1 + offsetX, tick.y1 + offsetY,
+                           labels[i].color, labels[i].thickness);
+      drawTextLayout(engine, image, labels[i].label, offsetX, offsetY);
+   }
+}
+
+/**
+ * Generate the final image with all insets of the composition.
  * @param {Dialog} dialog - The parent dialog
  */
 function generateFinalImage(dialog) {
    if (!dialog.finalizeSourceView || dialog.finalizeSourceView.isNull ||
-       !dialog.finalizeInsetView || dialog.finalizeInsetView.isNull) {
+       dialog.insets.length === 0) {
       return;
    }
    
    var params = dialog.params;
+   var insets = dialog.insets;
 
-   // 1. Calculate Canvas Dimensions (Union of source and inset)
+   // 1. Calculate Canvas Dimensions (Union of source and all insets)
    var srcImage = dialog.finalizeSourceView.image;
-   var insetX = dialog.insetX;
-   var insetY = dialog.insetY;
-   var insetW = dialog.insetWidth;
-   var insetH = dialog.insetHeight;
    
    // Determine bounding box of the composition
    var padding = 20;
-   var minX = insetX < 0 ? insetX - padding : 0;
-   var minY = insetY < 0 ? insetY - padding : 0;
-   var maxX = (insetX + insetW > srcImage.width) ? insetX + insetW + padding : srcImage.width;
-   var maxY = (insetY + insetH > srcImage.height) ? insetY + insetH + padding : srcImage.height;
+   var minX = 0;
+   var minY = 0;
+   var maxX = srcImage.width;
+   var maxY = srcImage.height;
+   var captions = [];
+   for (var i = 0; i < insets.length; i++) {
+      var inset = insets[i];
+      if (inset.x < 0) minX = Math.min(minX, inset.x - padding);
+      if (inset.y < 0) minY = Math.min(minY, inset.y - padding);
+      if (inset.x + inset.width > srcImage.width) maxX = Math.max(maxX, inset.x + inset.width + padding);
+      if (inset.y + inset.height > srcImage.height) maxY = Math.max(maxY, inset.y + inset.height + padding);
+      
+      // Captions above or below an inset can reach past the source image too
+      var caption = insetCaptionLayout(params, inset, inset.x, inset.y, inset.x + inset.width,
+                                       inset.y + inset.height, 1.0);
+      if (caption) {
+         var box = caption.box;
+         if (box.x0 < 0) minX = Math.min(minX, Math.floor(box.x0) - padding);
+         if (box.y0 < 0) minY = Math.min(minY, Math.floor(box.y0) - padding);
+         if (box.x1 > srcImage.width) maxX = Math.max(maxX, Math.ceil(box.x1) + padding);
+         if (box.y1 > srcImage.height) maxY = Math.max(maxY, Math.ceil(box.y1) + padding);
+      }
+      captions.push(caption);
+   }
    
    var canvasWidth = maxX - minX;
    var canvasHeight = maxY - minY;
    var offsetX = -minX; // Shift source image by this amount
    var offsetY = -minY;
    
-   console.writeln("pInset: Generating output image (" + canvasWidth + "x" + canvasHeight + ")");
+   console.writeln("pInset: Generating output image (" + canvasWidth + "x" + canvasHeight + 
+      ") with " + insets.length + " inset(s)");
    
    // 2. Create New Image Window
    var targetWindow = new ImageWindow(
@@ -268,81 +1111,208 @@ function generateFinalImage(dialog) {
    var indAlpha = (params.indicatorOpacity !== undefined) ? params.indicatorOpacity / 100 : 1.0;
    var indicatorColor = { r: indR, g: indG, b: indB, a: indAlpha };
    var borderWidth = (params.indicatorBorderWidth !== undefined) ? params.indicatorBorderWidth : 2;
+   var strokes = borderStrokeStack(params, indicatorColor);
+   var indicatorDash = lineDashPattern(params, "indicator", borderWidth);
+   var connectionDash = lineDashPattern(params, "connection", borderWidth);
+   var borderDash = lineDashPattern(params, "border", borderWidth);
+   var curved = params.curvedConnectors === true;
+   var tangents = params.circleTangents === true;
+   var outerOnly = params.outerCornerLines === true;
+   var callout = params.connectorStyle === "Arrow" || params.connectorStyle === "Dot";
    
    // Create single engine instance (optimization: avoid repeated instantiation)
    var engine = new InsetEngine();
    
-   // 4. Draw Source Indicator (if enabled)
-   if (params.drawSourceIndicator !== false && dialog.hasDrawnRegion) {
-      var indRect = new Rect(
-         params.regionX + offsetX,
-         params.regionY + offsetY,
-         params.regionX + params.regionWidth + offsetX,
-         params.regionY + params.regionHeight + offsetY
-      );
-      
-      engine.drawSourceIndicator(targetImage, indRect, indicatorColor, borderWidth, params.insetShape);
+   // Projection cones go under everything else (indicators, lines and insets)
+   var cone = projectionConeColor(params);
+   if (cone) {
+      for (var i = 0; i < insets.length; i++) {
+         var inset = insets[i];
+         engine.drawProjectionCone(targetImage,
+            new Rect(inset.regionX + offsetX, inset.regionY + offsetY,
+                     inset.regionX + inset.regionWidth + offsetX, inset.regionY + inset.regionHeight + offsetY),
+            new Rect(inset.x + offsetX, inset.y + offsetY,
+                     inset.x + inset.width + offsetX, inset.y + inset.height + offsetY),
+            inset.shape, insetShapeOptions(inset), cone);
+      }
    }
    
-   // 5. Draw Connection Lines (if enabled)
-   if (params.drawConnectionLine !== false && dialog.hasDrawnRegion) {
-      var srcRect = new Rect(
-         params.regionX + offsetX,
-         params.regionY + offsetY,
-         params.regionX + params.regionWidth + offsetX,
-         params.regionY + params.regionHeight + offsetY
-      );
-      
-      var insRect = new Rect(
-         insetX + offsetX,
-         insetY + offsetY,
-         insetX + insetW + offsetX,
-         insetY + insetH + offsetY
-      );
-      
-      engine.drawConnectionLine(targetImage, srcRect, insRect, indicatorColor, borderWidth, params.insetShape, dialog.sourceAnchors);
+   // 4. Draw Source Indicators (if enabled)
+   if (params.drawSourceIndicator !== false) {
+      for (var i = 0; i < insets.length; i++) {
+         var inset = insets[i];
+         var indRect = new Rect(
+            inset.regionX + offsetX,
+            inset.regionY + offsetY,
+            inset.regionX + inset.regionWidth + offsetX,
+            inset.regionY + inset.regionHeight + offsetY
+         );
+         
+         for (var k = 0; k < strokes.length; k++) {
+            engine.drawSourceIndicator(targetImage, indRect, strokes[k].color, borderWidth, inset.shape,
+                                       inset.shapeOptions, strokes[k].grow, indicatorDash);
+         }
+      }
    }
    
-   // 6. Process and Composite Inset
-   // Needed: Extracted Inset Data
-   var insetSrcImage = dialog.finalizeInsetView.image;
-   var fullRect = new Rect(0, 0, insetSrcImage.width, insetSrcImage.height);
-   
-   // Extract (and create mask if circular)
-   var extractedData;
-   if (params.insetShape === "Circular") {
-      var center = { x: insetSrcImage.width / 2, y: insetSrcImage.height / 2 };
-      extractedData = engine.extractCircularRegion(insetSrcImage, center, insetSrcImage.width);
-   } else {
-      extractedData = engine.extractRegion(insetSrcImage, fullRect);
+   // 5. Draw Connection Lines (if enabled) - all lines stay behind every inset
+   if (params.drawConnectionLine !== false) {
+      for (var i = 0; i < insets.length; i++) {
+         var inset = insets[i];
+         var srcRect = new Rect(
+            inset.regionX + offsetX,
+            inset.regionY + offsetY,
+            inset.regionX + inset.regionWidth + offsetX,
+            inset.regionY + inset.regionHeight + offsetY
+         );
+         
+         var insRect = new Rect(
+            inset.x + offsetX,
+            inset.y + offsetY,
+            inset.x + inset.width + offsetX,
+            inset.y + inset.height + offsetY
+         );
+         
+         // Connector attachment: anchor angles plus the automatic modes
+         var anchors = {
+            leftAngle: inset.sourceAnchors.leftAngle,
+            rightAngle: inset.sourceAnchors.rightAngle,
+            tangent: tangents,
+            outerOnly: outerOnly,
+            edges: inset.edgeAnchors
+         };
+         
+         // Callouts replace the connection lines with a single arrow or dot line
+         for (var k = 0; k < strokes.length && callout; k++) {
+            engine.drawCallout(targetImage, srcRect, insRect, inset.shape, insetShapeOptions(inset), strokes[k].color,
+                               borderWidth, params.connectorStyle, params.calloutHeadSize, strokes[k].grow,
+                               connectionDash, curved ? inset.curve : null);
+         }
+         for (var k = 0; k < strokes.length && !callout; k++) {
+            engine.drawConnectionLine(targetImage, srcRect, insRect, strokes[k].color, borderWidth, inset.shape,
+                                      anchors, insetShapeOptions(inset), strokes[k].grow, connectionDash,
+                                      curved ? inset.curve : null);
+         }
+      }
    }
    
-   // Scale to target size (content area is inside the border)
-   var contentW = Math.max(1, insetW - 2 * borderWidth);
-   var contentH = Math.max(1, insetH - 2 * borderWidth);
+   // Scale bar of the source image (insets may cover it)
+   var arcsecPerPixel = sourcePixelScale(dialog);
+   if (params.scaleBarEnabled === true) {
+      var sourceBar = scaleBarLayout(params, arcsecPerPixel, "Rectangular", 0, 0, srcImage.width, srcImage.height, 1.0);
+      drawScaleBarLayout(engine, targetImage, sourceBar, offsetX, offsetY);
+   }
    
-   var scaledData = engine.scalePixels(extractedData, contentW, contentH);
+   // Compass of the source image (needs an astrometric solution)
+   var directions = dialog.finalizeSourceSolution ? WcsUtils.skyDirections(dialog.finalizeSourceSolution) : null;
+   var compass = params.compassEnabled === true && params.compassSize >= 1 && directions !== null;
+   if (compass) {
+      drawCompassLayout(engine, targetImage,
+         compassLayout(params, directions, "Rectangular", 0, 0, srcImage.width, srcImage.height, 1.0),
+         offsetX, offsetY);
+   }
    
-   // Composite inset content (positioned inside border area)
-   var contentPos = { 
-      x: insetX + offsetX + borderWidth, 
-      y: insetY + offsetY + borderWidth 
-   };
+   // 6. Process and Composite each Inset (in composition order, later insets on top)
    var insetOpacity = (params.applyOpacityToImage === true) ? indAlpha : 1.0;
+   var glow = insetEffectSettings(params, "glow");
+   var shadow = insetEffectSettings(params, "shadow");
    
-   engine.compositeInset(targetImage, scaledData, contentPos, insetOpacity);
+   // Feathered insets have no border: content fills the inset and fades out at the edges
+   var feather = params.featherInsets === true;
+   var frameWidth = feather ? 0 : borderWidth;
    
-   // 7. Draw inset border ON TOP (matches preview rendering order)
-   var insetBorderRect = new Rect(
-      insetX + offsetX,
-      insetY + offsetY,
-      insetX + insetW + offsetX,
-      insetY + insetH + offsetY
-   );
-   engine.drawInsetBorder(targetImage, insetBorderRect, indicatorColor, borderWidth, params.insetShape);
+   for (var i = 0; i < insets.length; i++) {
+      var inset = insets[i];
+      var insetBorderRect = new Rect(
+         inset.x + offsetX,
+         inset.y + offsetY,
+         inset.x + inset.width + offsetX,
+         inset.y + inset.height + offsetY
+      );
+      
+      // Glow and shadow go under the inset and its border
+      var outlineOptions = insetShapeOptions(inset);
+      if (glow) engine.drawInsetEffect(targetImage, insetBorderRect, inset.shape, outlineOptions, glow);
+      if (shadow) engine.drawInsetEffect(targetImage, insetBorderRect, inset.shape, outlineOptions, shadow);
+      
+      var insetSrcImage = inset.view.image;
+      var fullRect = new Rect(0, 0, insetSrcImage.width, insetSrcImage.height);
+      
+      // Scale to target size (content area is inside the border)
+      var contentW = Math.max(1, inset.width - 2 * frameWidth);
+      var contentH = Math.max(1, inset.height - 2 * frameWidth);
+      
+      // Extract (and create mask if not rectangular)
+      var extractedData;
+      if (inset.shape === "Circular") {
+         var center = { x: insetSrcImage.width / 2, y: insetSrcImage.height / 2 };
+         extractedData = engine.extractCircularRegion(insetSrcImage, center, insetSrcImage.width);
+      } else if (inset.shape !== "Rectangular") {
+         // Content mask follows the inner edge of the border
+         var contentOptions = { borderInset: frameWidth };
+         for (var key in inset.shapeOptions) contentOptions[key] = inset.shapeOptions[key];
+         extractedData = engine.extractShapedRegion(insetSrcImage, fullRect, inset.shape, contentOptions);
+      } else {
+         extractedData = engine.extractRegion(insetSrcImage, fullRect);
+      }
+      
+      // Mirroring comes first, so rotation turns the flipped content (the mask is mirrored with it)
+      extractedData = engine.flipPixels(extractedData, inset.flipH, inset.flipV);
+      
+      // Rotated content is resampled with the selected kernel, magnified to keep the shape covered
+      var scaledData = inset.rotation ?
+         engine.rotatePixels(extractedData, contentW, contentH, inset.rotation, insetContentZoom(inset),
+                             params.interpolationMethod) :
+         engine.scalePixels(extractedData, contentW, contentH);
+      if (feather) {
+         scaledData = engine.applyFeather(scaledData, params.featherWidth);
+      }
+      
+      // Composite inset content (positioned inside border area)
+      var contentPos = { 
+         x: inset.x + offsetX + frameWidth, 
+         y: inset.y + offsetY + frameWidth 
+      };
+      
+      engine.compositeInset(targetImage, scaledData, contentPos, insetOpacity);
+      
+      // 7. Draw inset border ON TOP (matches preview rendering order)
+      for (var k = 0; k < strokes.length && !feather; k++) {
+         engine.drawInsetBorder(targetImage, insetBorderRect, strokes[k].color, borderWidth, inset.shape,
+                                outlineOptions, strokes[k].grow, borderDash);
+      }
+      
+      // Catalog objects inside the source region, at their magnified positions
+      drawObjectLabels(engine, targetImage,
+         insetObjectLabels(params, dialog.finalizeSourceSolution, srcImage.height, inset, inset.x, inset.y,
+                           inset.x + inset.width, inset.y + inset.height, frameWidth, 1.0),
+         offsetX, offsetY);
+      
+      // Magnification badge belongs to the inset (later insets cover it)
+      var badge = insetBadgeLayout(params, inset, inset.x, inset.y, inset.x + inset.width,
+                                   inset.y + inset.height, 1.0);
+      if (badge) drawTextLayout(engine, targetImage, badge, offsetX, offsetY);
+      
+      // Inset scale bar: inset pixels are smaller than source pixels by the magnification
+      if (params.scaleBarEnabled === true) {
+         var insetBar = scaleBarLayout(params, arcsecPerPixel / insetMagnification(params, inset), inset.shape,
+                                       inset.x, inset.y, inset.x + inset.width, inset.y + inset.height, 1.0);
+         drawScaleBarLayout(engine, targetImage, insetBar, offsetX, offsetY);
+      }
+      if (compass && params.compassInsets === true) {
+         drawCompassLayout(engine, targetImage,
+            compassLayout(params, insetSkyDirections(directions, inset), inset.shape, inset.x, inset.y,
+                          inset.x + inset.width, inset.y + inset.height, 1.0),
+            offsetX, offsetY);
+      }
+   }
+   
+   // 8. Draw Captions on top of all insets
+   for (var i = 0; i < captions.length; i++) {
+      if (captions[i]) drawTextLayout(engine, targetImage, captions[i], offsetX, offsetY);
+   }
    
    targetView.endProcess();
    targetWindow.show();
    targetWindow.zoomToFit();
 }
-
@@ -7,7 +7,9 @@
 // ----------------------------------------------------------------------------
 
 /**
- * Draw overlay for Finalize mode - extraction region and moveable inset image.
+ * Draw overlay for Finalize mode - extraction regions and moveable inset images.
+ * Indicators and connection lines of every inset are drawn first so they stay
+ * behind all insets; only the active inset gets resize/anchor handles.
  * @param {Dialog} dialog - The parent dialog
  * @param {Graphics} g - Graphics context
  * @param {Number} offsetX - X offset for preview positioning
@@ -32,173 +34,797 @@ function drawFinalizeOverlay(dialog, g, offsetX, offsetY, zoom) {
    var indAlpha = Math.round(indOpacity * 255 / 100);
    var indicatorColor = (indAlpha << 24) | (indR << 16) | (indG << 8) | indB;
    
-   var indicatorColor = (indAlpha << 24) | (indR << 16) | (indG << 8) | indB;
+   // Border stroke stack (outline strokes under the main stroke), as display colors and widths
+   var strokes = borderStrokeStack(params, { r: indR / 255, g: indG / 255, b: indB / 255, a: indOpacity / 100 });
+   for (var i = 0; i < strokes.length; i++) {
+      var c = strokes[i].color;
+      strokes[i] = {
+         color: (Math.round(c.a * 255) << 24) | (Math.round(c.r * 255) << 16) |
+                (Math.round(c.g * 255) << 8) | Math.round(c.b * 255),
+         grow: strokes[i].grow > 0 ? Math.max(1, strokes[i].grow * effectiveScale) : 0
+      };
+   }
    
-   // Use same settings for inset border
-   var insBorderWidth = indBorderWidth;
-   var insetColor = indicatorColor;
+   var lineWidth = Math.max(1, indBorderWidth * effectiveScale);
    
-   var isCircularInset = params.insetShape === "Circular";
+   // Shared drawing state for the per-inset helpers
+   // Inset border uses the same settings as the indicator
+   var overlay = {
+      offsetX: offsetX,
+      offsetY: offsetY,
+      zoom: zoom,
+      scale: effectiveScale,
+      color: indicatorColor,
+      lineWidth: lineWidth,
+      strokes: strokes,
+      // Dash lengths are in output pixels, scaled like the stroke width
+      dashes: {
+         indicator: lineDashPattern(params, "indicator", lineWidth, effectiveScale),
+         connection: lineDashPattern(params, "connection", lineWidth, effectiveScale),
+         border: lineDashPattern(params, "border", lineWidth, effectiveScale)
+      },
+      feather: params.featherInsets === true,
+      curved: params.curvedConnectors === true,
+      tangents: params.circleTangents === true,
+      outerOnly: params.outerCornerLines === true,
+      // Arrow or dot callouts replace the connection lines (null = lines)
+      callout: (params.connectorStyle === "Arrow" || params.connectorStyle === "Dot") ?
+         { style: params.connectorStyle, headSize: params.calloutHeadSize * effectiveScale } : null
+   };
    
-   // Scale border widths for preview
-   var scaledIndBorderW = Math.max(1, indBorderWidth * effectiveScale);
-   var scaledInsBorderW = Math.max(1, isCircularInset ? insBorderWidth * effectiveScale : insBorderWidth * effectiveScale); // Same logic
+   var insets = dialog.insets;
+   var activeInset = dialog.getActiveInset();
+   var effects = {
+      glow: insetEffectSettings(params, "glow"),
+      shadow: insetEffectSettings(params, "shadow")
+   };
    
-   // Draw extraction region indicator (the source region on the image)
-   var px, py, pw, ph;
-   if (dialog.hasDrawnRegion) {
-      px = params.regionX * effectiveScale + offsetX;
-      py = params.regionY * effectiveScale + offsetY;
-      pw = params.regionWidth * effectiveScale;
-      ph = params.regionHeight * effectiveScale;
+   // Projection cones go under the indicators, lines and insets
+   var cone = projectionConeColor(params);
+   if (cone) {
+      var coneColor = (Math.round(cone.a * 255) << 24) | (Math.round(cone.r * 255) << 16) |
+                      (Math.round(cone.g * 255) << 8) | Math.round(cone.b * 255);
+      for (var i = 0; i < insets.length; i++) {
+         if (insets[i].bitmap) drawInsetProjectionCone(g, insets[i], overlay, coneColor);
+      }
+   }
+   
+   // Draw extraction region indicators (the source regions on the image)
+   for (var i = 0; i < insets.length; i++) {
+      drawInsetSourceRegion(g, insets[i], overlay, insets[i] === activeInset);
+   }
+   
+   // Draw connection lines FIRST (before insets) so they appear behind the inset images
+   if (params.drawConnectionLine !== false) {
+      for (var i = 0; i < insets.length; i++) {
+         if (insets[i].bitmap) drawInsetConnectionLines(g, insets[i], overlay);
+      }
+   }
+   
+   // Scale bar of the source image (insets may cover it); pixel scale in arcsec per display pixel
+   var arcsecPerPixel = sourcePixelScale(dialog) / effectiveScale;
+   var sourceView = dialog.finalizeSourceView;
+   if (params.scaleBarEnabled === true && sourceView && !sourceView.isNull) {
+      drawScaleBar(g, scaleBarLayout(params, arcsecPerPixel, "Rectangular", offsetX, offsetY,
+         offsetX + sourceView.image.width * effectiveScale, offsetY + sourceView.image.height * effectiveScale,
+         effectiveScale));
+   }
+   
+   // Compass of the source image (needs an astrometric solution)
+   var directions = dialog.finalizeSourceSolution ? WcsUtils.skyDirections(dialog.finalizeSourceSolution) : null;
+   var compass = params.compassEnabled === true && params.compassSize >= 1 && directions !== null &&
+                 sourceView && !sourceView.isNull;
+   if (compass) {
+      drawCompass(g, compassLayout(params, directions, "Rectangular", offsetX, offsetY,
+         offsetX + sourceView.image.width * effectiveScale, offsetY + sourceView.image.height * effectiveScale,
+         effectiveScale));
+   }
+   
+   // Now draw the inset images (on top of connection lines), later insets on top
+   // Each inset's glow and shadow go right under it, its object labels, badge, scale bar and compass on top
+   var frame = overlay.feather ? 0 : indBorderWidth * effectiveScale;
+   for (var i = 0; i < insets.length; i++) {
+      var inset = insets[i];
+      if (!inset.bitmap) continue;
+      drawInsetEffects(g, inset, overlay, effects);
+      drawInsetImage(g, inset, overlay, inset === activeInset);
       
-      if (isCircularInset) {
-         var cx = px + pw / 2;
-         var cy = py + ph / 2;
-         var radius = Math.min(pw, ph) / 2;
-         
-         g.pen = new Pen(indicatorColor, scaledIndBorderW);
-         g.strokeCircle(cx, cy, radius);
-         
-         // Draw anchor handles for connection lines (circular shapes)
-         // These are at the positions where connection lines attach
-         var hs = 6; // Handle visual size
-         var leftAngle = dialog.sourceAnchors.leftAngle;
-         var rightAngle = dialog.sourceAnchors.rightAngle;
-         
-         // Calculate handle positions
-         var leftHandleX = cx + Math.cos(leftAngle) * radius;
-         var leftHandleY = cy + Math.sin(leftAngle) * radius;
-         var rightHandleX = cx + Math.cos(rightAngle) * radius;
-         var rightHandleY = cy + Math.sin(rightAngle) * radius;
-         
-         // Draw handles with distinct style (filled with indicator color, white border)
-         g.pen = new Pen(0xFFFFFFFF, 1);
-         g.brush = new Brush(indicatorColor);
-         
-         // Left anchor handle
-         g.fillRect(leftHandleX - hs, leftHandleY - hs, leftHandleX + hs, leftHandleY + hs);
-         g.strokeRect(leftHandleX - hs, leftHandleY - hs, leftHandleX + hs, leftHandleY + hs);
-         
-         // Right anchor handle
-         g.fillRect(rightHandleX - hs, rightHandleY - hs, rightHandleX + hs, rightHandleY + hs);
-         g.strokeRect(rightHandleX - hs, rightHandleY - hs, rightHandleX + hs, rightHandleY + hs);
+      var ix = inset.x * effectiveScale + offsetX;
+      var iy = inset.y * effectiveScale + offsetY;
+      if (sourceView && !sourceView.isNull) {
+         drawObjectLabelMarks(g, insetObjectLabels(params, dialog.finalizeSourceSolution, sourceView.image.height,
+            inset, ix, iy, ix + inset.width * effectiveScale, iy + inset.height * effectiveScale, frame,
+            effectiveScale));
+      }
+      drawInsetText(g, inset, overlay, params, insetBadgeLayout);
+      
+      if (params.scaleBarEnabled === true) {
+         drawScaleBar(g, scaleBarLayout(params, arcsecPerPixel / insetMagnification(params, inset), inset.shape,
+            ix, iy, ix + inset.width * effectiveScale, iy + inset.height * effectiveScale, effectiveScale));
+      }
+      if (compass && params.compassInsets === true) {
+         drawCompass(g, compassLayout(params, insetSkyDirections(directions, inset), inset.shape,
+            ix, iy, ix + inset.width * effectiveScale, iy + inset.height * effectiveScale, effectiveScale));
+      }
+   }
+   
+   // Captions go on top of all insets, as in the output image
+   for (var i = 0; i < insets.length; i++) {
+      if (insets[i].bitmap) drawInsetText(g, insets[i], overlay, params, insetCaptionLayout);
+   }
+   
+   // Edge anchors of the active rectangular inset
+   if (dialog.editEdgeAnchors && params.drawConnectionLine !== false && activeInset &&
+       activeInset.bitmap && activeInset.shape === "Rectangular") {
+      var anchors = edgeAnchorPositions(activeInset);
+      g.pen = new Pen(0xFFFFFFFF, 1);
+      g.brush = new Brush(indicatorColor);
+      for (var i = 0; i < anchors.length; i++) {
+         var ax = anchors[i].x * effectiveScale + offsetX;
+         var ay = anchors[i].y * effectiveScale + offsetY;
+         g.fillCircle(ax, ay, 5);
+         g.strokeCircle(ax, ay, 5);
+      }
+   }
+   
+   // Rotation handle of the active inset, on a stem turning with the content
+   if (activeInset && activeInset.bitmap) {
+      var rotation = rotationHandlePosition(activeInset, effectiveScale);
+      g.pen = new Pen(indicatorColor, 1);
+      g.drawLine(rotation.baseX + offsetX, rotation.baseY + offsetY, rotation.x + offsetX, rotation.y + offsetY);
+      g.pen = new Pen(0xFFFFFFFF, 1);
+      g.brush = new Brush(indicatorColor);
+      g.fillCircle(rotation.x + offsetX, rotation.y + offsetY, 5);
+      g.strokeCircle(rotation.x + offsetX, rotation.y + offsetY, 5);
+   }
+   
+   // Curve handle of the active inset stays on top so it can always be grabbed
+   if (overlay.curved && params.drawConnectionLine !== false && activeInset && activeInset.bitmap) {
+      var handle = curveHandlePosition(activeInset);
+      var hx = handle.x * effectiveScale + offsetX;
+      var hy = handle.y * effectiveScale + offsetY;
+      g.pen = new Pen(0xFFFFFFFF, 1);
+      g.brush = new Brush(indicatorColor);
+      g.fillCircle(hx, hy, 6);
+      g.strokeCircle(hx, hy, 6);
+   }
+}
+
+/**
+ * Stroke a path with the border stroke stack: outline strokes first, main stroke on top.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Number} width - Main stroke width in display pixels
+ * @param {Function} stroke - Draws the path with the current pen
+ * @param {Number} cap - Optional pen cap style (PenCap_Round for dashes)
+ */
+function strokeBorderStack(g, overlay, width, stroke, cap) {
+   for (var i = 0; i < overlay.strokes.length; i++) {
+      if (cap !== undefined) {
+         g.pen = new Pen(overlay.strokes[i].color, width + 2 * overlay.strokes[i].grow, PenStyle_Solid, cap);
       } else {
-         g.pen = new Pen(indicatorColor, scaledIndBorderW);
-         g.strokeRect(px, py, px + pw, py + ph);
+         g.pen = new Pen(overlay.strokes[i].color, width + 2 * overlay.strokes[i].grow);
       }
+      stroke();
    }
+}
+
+/**
+ * Stroke a path with a dash pattern and the border stroke stack.
+ * Dashes are computed like the engine does (Pen dash styles scale with the
+ * pen width and cannot show the configured dash length and gap).
+ * @param {Graphics} g - Graphics context
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Number} width - Main stroke width in display pixels
+ * @param {Array} points - Path vertices {x, y}
+ * @param {Boolean} closed - Whether the path returns to its first vertex
+ * @param {Array} dash - Dash pattern from GeometryUtils.dashPattern
+ */
+function strokeDashedPath(g, overlay, width, points, closed, dash) {
+   var segments = GeometryUtils.dashPolyline(points, closed, dash);
+   strokeBorderStack(g, overlay, width, function() {
+      for (var i = 0; i < segments.length; i++) {
+         g.drawLine(segments[i].x0, segments[i].y0, segments[i].x1, segments[i].y1);
+      }
+   }, PenCap_Round);
+}
+
+/**
+ * Draw the caption or magnification badge of one inset with its optional plate.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Object} params - Parameters object
+ * @param {Function} layoutText - insetCaptionLayout or insetBadgeLayout
+ */
+function drawInsetText(g, inset, overlay, params, layoutText) {
+   var s = overlay.scale;
+   var ix = inset.x * s + overlay.offsetX;
+   var iy = inset.y * s + overlay.offsetY;
+   var caption = layoutText(params, inset, ix, iy, ix + inset.width * s, iy + inset.height * s, s);
+   if (!caption) return;
    
-   // Draw the inset image with border and handles
-   if (dialog.insetBitmap) {
-      var ix = dialog.insetX * effectiveScale + offsetX;
-      var iy = dialog.insetY * effectiveScale + offsetY;
-      var iw = dialog.insetWidth * effectiveScale;
-      var ih = dialog.insetHeight * effectiveScale;
+   drawTextLabel(g, caption);
+}
+
+/**
+ * Draw a scale bar with its label.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} layout - Scale bar layout from scaleBarLayout (display coordinates)
+ */
+function drawScaleBar(g, layout) {
+   var brush = new Brush(textLabelColor(layout.color));
+   for (var i = 0; i < layout.bars.length; i++) {
+      var b = layout.bars[i];
+      g.fillRect(b.x0, b.y0, b.x1, b.y1, brush);
+   }
+   drawTextLabel(g, layout);
+}
+
+/**
+ * Draw a north/east compass with its labels.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} layout - Compass layout from compassLayout (display coordinates)
+ */
+function drawCompass(g, layout) {
+   var color = textLabelColor(layout.color);
+   for (var i = 0; i < layout.arms.length; i++) {
+      var path = [layout.origin, layout.arms[i].tip];
+      var shaft = GeometryUtils.trimPathEnd(path, layout.headSize);
+      var head = GeometryUtils.arrowHead(path, layout.headSize);
       
+      g.pen = new Pen(color, layout.thickness);
+      if (shaft.length > 1) g.drawLine(shaft[0].x, shaft[0].y, shaft[1].x, shaft[1].y);
+      g.pen = new Pen(0x00000000, 0);
+      g.brush = new Brush(color);
+      g.drawPolygon([new Point(head[0].x, head[0].y), new Point(head[1].x, head[1].y),
+                     new Point(head[2].x, head[2].y)]);
+      drawTextLabel(g, layout.arms[i].label);
+   }
+}
 
-      // Draw connection lines FIRST (before inset) so they appear behind the inset image
-      if (params.drawConnectionLine !== false && dialog.hasDrawnRegion) {
-         // Coordinates px, py, pw, ph are already calculated above
-         
-         g.pen = new Pen(indicatorColor, scaledIndBorderW);
-         
-         // Calculate thickness-based offset (matches engine logic for internal border)
-         // scaledIndBorderW is the effective thickness of the connection line
-         var offset = Math.floor(scaledIndBorderW / 2);
-         
-         if (isCircularInset) {
-            // For circular shapes, connect with 2 tangent lines using custom anchor angles
-            var indCx = px + pw / 2;
-            var indCy = py + ph / 2;
-            var indR = Math.min(pw, ph) / 2;
-            
-            var insCx = ix + iw / 2;
-            var insCy = iy + ih / 2;
-            // Reduce inset radius by offset to pull connection points inside
-            var insR = Math.max(1, Math.min(iw, ih) / 2 - offset);
-            
-             // Use custom anchor angles from dialog.sourceAnchors
-             var leftAngle = dialog.sourceAnchors.leftAngle;
-             var rightAngle = dialog.sourceAnchors.rightAngle;
-             
-             // Source anchor positions (calculated from angles)
-             var srcLeftX = indCx + Math.cos(leftAngle) * indR;
-             var srcLeftY = indCy + Math.sin(leftAngle) * indR;
-             var srcRightX = indCx + Math.cos(rightAngle) * indR;
-             var srcRightY = indCy + Math.sin(rightAngle) * indR;
-             
-             // Inset Left/Right (using reduced radius to hide line ends)
-             // Use same angles for inset side to maintain parallel lines
-             var insLeftX = insCx + Math.cos(leftAngle) * insR;
-             var insLeftY = insCy + Math.sin(leftAngle) * insR;
-             var insRightX = insCx + Math.cos(rightAngle) * insR;
-             var insRightY = insCy + Math.sin(rightAngle) * insR;
-             
-             g.drawLine(srcLeftX, srcLeftY, insLeftX, insLeftY);
-             g.drawLine(srcRightX, srcRightY, insRightX, insRightY);
+/**
+ * Draw catalog object labels with their leader ticks.
+ * @param {Graphics} g - Graphics context
+ * @param {Array} labels - Labels from insetObjectLabels (display coordinates)
+ */
+function drawObjectLabelMarks(g, labels) {
+   for (var i = 0; i < labels.length; i++) {
+      var tick = labels[i].tick;
+      g.pen = new Pen(textLabelColor(labels[i].color), labels[i].thickness);
+      g.drawLine(tick.x0, tick.y0, tick.x1, tick.y1);
+      drawTextLabel(g, labels[i].label);
+   }
+}
+
+/**
+ * Draw a caption, badge or scale bar label with its optional plate.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} layout - Text layout in display coordinates (see insetTextLayout)
+ */
+function drawTextLabel(g, layout) {
+   var box = layout.box;
+   if (layout.plate) g.fillRect(box.x0, box.y0, box.x1, box.y1, new Brush(textLabelColor(layout.plate)));
+   g.font = layout.font;
+   g.pen = new Pen(textLabelColor(layout.color));
+   g.drawText(box.x0 + layout.baseline.x, box.y0 + layout.baseline.y, layout.text);
+}
+
+/**
+ * Convert a normalized color to a display color.
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ * @returns {Number} ARGB color
+ */
+function textLabelColor(color) {
+   return (Math.round(color.a * 255) << 24) | (Math.round(color.r * 255) << 16) |
+          (Math.round(color.g * 255) << 8) | Math.round(color.b * 255);
+}
+
+/**
+ * Draw the outer glow and drop shadow of one inset, as rendered by the engine.
+ * Effect bitmaps are cached on the inset until its size or the settings change.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Object} effects - {glow, shadow} settings from insetEffectSettings (null when disabled)
+ */
+function drawInsetEffects(g, inset, overlay, effects) {
+   var s = overlay.scale;
+   var w = Math.max(1, Math.round(inset.width * s));
+   var h = Math.max(1, Math.round(inset.height * s));
+   if (!inset.effectBitmaps) inset.effectBitmaps = {};
+   
+   var names = ["glow", "shadow"];
+   for (var i = 0; i < names.length; i++) {
+      var effect = effects[names[i]];
+      if (!effect) continue;
+      
+      var blur = effect.blur * s;
+      var key = [w, h, blur, effect.color.r, effect.color.g, effect.color.b, effect.opacity].join(",");
+      var cached = inset.effectBitmaps[names[i]];
+      if (!cached || cached.key !== key) {
+         cached = createEffectBitmap(inset, w, h, blur, effect);
+         cached.key = key;
+         inset.effectBitmaps[names[i]] = cached;
+      }
+      
+      g.drawBitmap(inset.x * s + overlay.offsetX - cached.pad + effect.offset * s,
+                   inset.y * s + overlay.offsetY - cached.pad + effect.offset * s, cached.bitmap);
+   }
+}
+
+/**
+ * Render a glow or shadow into a bitmap, using the engine's blurred shape mask.
+ * @param {Object} inset - The composition inset
+ * @param {Number} width - Inset width in display pixels
+ * @param {Number} height - Inset height in display pixels
+ * @param {Number} blur - Blur radius in display pixels
+ * @param {Object} effect - Effect settings from insetEffectSettings
+ * @returns {Object} {bitmap, pad} where pad is the bitmap margin around the inset
+ */
+function createEffectBitmap(inset, width, height, blur, effect) {
+   var engine = new InsetEngine();
+   var effectMask = engine.createEffectMask(width, height, inset.shape, insetShapeOptions(inset), blur);
+   var rgb = (Math.round(effect.color.r * 255) << 16) |
+             (Math.round(effect.color.g * 255) << 8) |
+             Math.round(effect.color.b * 255);
+   
+   var bitmap = new Bitmap(effectMask.width, effectMask.height);
+   for (var y = 0; y < effectMask.height; y++) {
+      for (var x = 0; x < effectMask.width; x++) {
+         var alpha = Math.round(effect.opacity * effectMask.mask[y * effectMask.width + x] * 255);
+         bitmap.setPixel(x, y, (alpha << 24) | rgb);
+      }
+   }
+   return { bitmap: bitmap, pad: effectMask.pad };
+}
+
+/**
+ * Draw the projection cone of one inset: the hull of source region and inset,
+ * with the source region left out (the inset is drawn on top of it).
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Number} color - Fill color (ARGB)
+ */
+function drawInsetProjectionCone(g, inset, overlay, color) {
+   var s = overlay.scale;
+   var px = inset.regionX * s + overlay.offsetX;
+   var py = inset.regionY * s + overlay.offsetY;
+   var ix = inset.x * s + overlay.offsetX;
+   var iy = inset.y * s + overlay.offsetY;
+   var source = GeometryUtils.sourceOutline(inset.shape, px, py, px + inset.regionWidth * s,
+                                            py + inset.regionHeight * s, inset.shapeOptions);
+   var hull = GeometryUtils.convexHull(source.concat(
+      GeometryUtils.shapeOutline(inset.shape, ix, iy, ix + inset.width * s, iy + inset.height * s,
+                                 insetShapeOptions(inset), 0)));
+   if (hull.length < 3) return;
+   
+   // Hull and source outline as one polygon: the odd-even fill leaves a hole for the source
+   var points = [];
+   for (var i = 0; i < hull.length; i++) points.push(new Point(hull[i].x, hull[i].y));
+   points.push(new Point(hull[0].x, hull[0].y));
+   for (var i = 0; i < source.length; i++) points.push(new Point(source[i].x, source[i].y));
+   points.push(new Point(source[0].x, source[0].y));
+   
+   g.pen = new Pen(0x00000000, 0);
+   g.brush = new Brush(color);
+   g.drawPolygon(points);
+}
+
+/**
+ * Draw the source region indicator of one inset.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Boolean} isActive - Whether to draw the anchor handles
+ */
+function drawInsetSourceRegion(g, inset, overlay, isActive) {
+   var s = overlay.scale;
+   var px = inset.regionX * s + overlay.offsetX;
+   var py = inset.regionY * s + overlay.offsetY;
+   var pw = inset.regionWidth * s;
+   var ph = inset.regionHeight * s;
+   var cx = px + pw / 2;
+   var cy = py + ph / 2;
+   var radius = Math.min(pw, ph) / 2;
+   
+   if (overlay.dashes.indicator) {
+      // Dashes follow the shape outline
+      strokeDashedPath(g, overlay, overlay.lineWidth,
+         GeometryUtils.sourceOutline(inset.shape, px, py, px + pw, py + ph, inset.shapeOptions),
+         true, overlay.dashes.indicator);
+   } else if (inset.shapeOptions.sourceAngle) {
+      // Rotated rectangle through its turned corners
+      var corners = GeometryUtils.sourceOutline(inset.shape, px, py, px + pw, py + ph, inset.shapeOptions);
+      var outline = [];
+      for (var i = 0; i < corners.length; i++) outline.push(new Point(corners[i].x, corners[i].y));
+      strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+         g.strokePolygon(outline);
+      });
+   } else if (inset.shape === "Circular") {
+      strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+         g.strokeCircle(cx, cy, radius);
+      });
+   } else if (inset.shape === "Elliptical") {
+      strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+         g.strokeEllipse(px, py, px + pw, py + ph);
+      });
+   } else if (inset.shape === "Rounded") {
+      var outline = GeometryUtils.roundedRectOutline(px, py, px + pw, py + ph,
+         inset.shapeOptions.cornerRadius * Math.min(pw, ph));
+      strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+         g.strokePolygon(outline);
+      });
+   } else if (inset.shape === "Lasso" || inset.shape === "Polygon") {
+      var outline = GeometryUtils.polygonOutline(inset.shapeOptions.points, px, py, px + pw, py + ph);
+      strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+         g.strokePolygon(outline);
+      });
+   } else {
+      strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+         g.strokeRect(px, py, px + pw, py + ph);
+      });
+   }
+   
+   // Anchor handles are replaced by the automatic tangents
+   if (inset.shape === "Circular" && isActive && !overlay.tangents) {
+      // Draw anchor handles for connection lines (circular shapes)
+      // These are at the positions where connection lines attach
+      var hs = 6; // Handle visual size
+      var leftAngle = inset.sourceAnchors.leftAngle;
+      var rightAngle = inset.sourceAnchors.rightAngle;
+      
+      // Calculate handle positions
+      var leftHandleX = cx + Math.cos(leftAngle) * radius;
+      var leftHandleY = cy + Math.sin(leftAngle) * radius;
+      var rightHandleX = cx + Math.cos(rightAngle) * radius;
+      var rightHandleY = cy + Math.sin(rightAngle) * radius;
+      
+      // Draw handles with distinct style (filled with indicator color, white border)
+      g.pen = new Pen(0xFFFFFFFF, 1);
+      g.brush = new Brush(overlay.color);
+      
+      // Left anchor handle
+      g.fillRect(leftHandleX - hs, leftHandleY - hs, leftHandleX + hs, leftHandleY + hs);
+      g.strokeRect(leftHandleX - hs, leftHandleY - hs, leftHandleX + hs, leftHandleY + hs);
+      
+      // Right anchor handle
+      g.fillRect(rightHandleX - hs, rightHandleY - hs, rightHandleX + hs, rightHandleY + hs);
+      g.strokeRect(rightHandleX - hs, rightHandleY - hs, rightHandleX + hs, rightHandleY + hs);
+   }
+}
+
+/**
+ * Draw the callout connector of an inset: a single line from the inset to its
+ * source region with an arrowhead or a dot on the region outline, as the engine does.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ */
+function drawInsetCallout(g, inset, overlay) {
+   var s = overlay.scale;
+   var px = inset.regionX * s + overlay.offsetX;
+   var py = inset.regionY * s + overlay.offsetY;
+   var ix = inset.x * s + overlay.offsetX;
+   var iy = inset.y * s + overlay.offsetY;
+   var bend = overlay.curved ? { x: inset.curve.x * s, y: inset.curve.y * s } : null;
+   var path = GeometryUtils.calloutPath(
+      GeometryUtils.sourceOutline(inset.shape, px, py, px + inset.regionWidth * s, py + inset.regionHeight * s,
+                                  inset.shapeOptions),
+      GeometryUtils.shapeOutline(inset.shape, ix, iy, ix + inset.width * s, iy + inset.height * s,
+                                 insetShapeOptions(inset), 0),
+      bend);
+   if (!path) return;
+   
+   var size = overlay.callout.headSize;
+   var arrow = overlay.callout.style === "Arrow";
+   var tip = path[path.length - 1];
+   var shaft = GeometryUtils.trimPathEnd(path, arrow ? size : size / 2);
+   
+   if (shaft.length > 1) {
+      if (overlay.dashes.connection) {
+         strokeDashedPath(g, overlay, overlay.lineWidth, shaft, false, overlay.dashes.connection);
+      } else {
+         var polyline = [];
+         for (var i = 0; i < shaft.length; i++) polyline.push(new Point(shaft[i].x, shaft[i].y));
+         strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+            g.drawPolyline(polyline);
+         });
+      }
+   }
+   
+   // The head stays solid; outline strokes widen it by their grow on each side
+   var triangle = [];
+   if (arrow) {
+      var head = GeometryUtils.arrowHead(path, size);
+      for (var i = 0; i < head.length; i++) triangle.push(new Point(head[i].x, head[i].y));
+   }
+   for (var i = 0; i < overlay.strokes.length; i++) {
+      var stroke = overlay.strokes[i];
+      g.pen = stroke.grow > 0 ? new Pen(stroke.color, 2 * stroke.grow) : new Pen(0x00000000, 0);
+      g.brush = new Brush(stroke.color);
+      if (arrow) {
+         g.drawPolygon(triangle);
+      } else {
+         g.drawCircle(tip.x, tip.y, size / 2);
+      }
+   }
+}
+
+/**
+ * Draw the connection lines between a source region and its inset.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ */
+function drawInsetConnectionLines(g, inset, overlay) {
+   if (overlay.callout) {
+      drawInsetCallout(g, inset, overlay);
+      return;
+   }
+   
+   var s = overlay.scale;
+   var px = inset.regionX * s + overlay.offsetX;
+   var py = inset.regionY * s + overlay.offsetY;
+   var pw = inset.regionWidth * s;
+   var ph = inset.regionHeight * s;
+   var ix = inset.x * s + overlay.offsetX;
+   var iy = inset.y * s + overlay.offsetY;
+   var iw = inset.width * s;
+   var ih = inset.height * s;
+   
+   // Calculate thickness-based offset (matches engine logic for internal border)
+   // lineWidth is the effective thickness of the connection line
+   var offset = Math.floor(overlay.lineWidth / 2);
+   
+   // Segments {x0, y0, x1, y1}, stroked with the border stack at the end
+   var segments = [];
+   
+   if (inset.shape === "Circular") {
+      // For circular shapes, connect with 2 tangent lines using custom anchor angles
+      var indCx = px + pw / 2;
+      var indCy = py + ph / 2;
+      var indR = Math.min(pw, ph) / 2;
+      
+      var insCx = ix + iw / 2;
+      var insCy = iy + ih / 2;
+      // Reduce inset radius by offset to pull connection points inside
+      var insR = Math.max(1, Math.min(iw, ih) / 2 - offset);
+      
+      // Tangent mode: the lines touch both circles (unless one circle contains the other)
+      var tangents = overlay.tangents ?
+         GeometryUtils.circleTangents(indCx, indCy, indR, insCx, insCy, insR) : null;
+      
+      // Use custom anchor angles from the inset's source anchors
+      var leftAngle = inset.sourceAnchors.leftAngle;
+      var rightAngle = inset.sourceAnchors.rightAngle;
+      
+      // Source anchor positions (calculated from angles)
+      var srcLeftX = indCx + Math.cos(leftAngle) * indR;
+      var srcLeftY = indCy + Math.sin(leftAngle) * indR;
+      var srcRightX = indCx + Math.cos(rightAngle) * indR;
+      var srcRightY = indCy + Math.sin(rightAngle) * indR;
+      
+      // Inset Left/Right (using reduced radius to hide line ends)
+      // Use same angles for inset side to maintain parallel lines
+      var insLeftX = insCx + Math.cos(leftAngle) * insR;
+      var insLeftY = insCy + Math.sin(leftAngle) * insR;
+      var insRightX = insCx + Math.cos(rightAngle) * insR;
+      var insRightY = insCy + Math.sin(rightAngle) * insR;
+      
+      if (tangents) {
+         segments = tangents;
+      } else {
+         segments.push({ x0: srcLeftX, y0: srcLeftY, x1: insLeftX, y1: insLeftY });
+         segments.push({ x0: srcRightX, y0: srcRightY, x1: insRightX, y1: insRightY });
+      }
+   } else if (inset.shape === "Elliptical") {
+      // For elliptical shapes, connect with the 2 outer tangent lines
+      var lines = GeometryUtils.ellipseTangents(px + pw / 2, py + ph / 2, pw / 2, ph / 2,
+         ix + iw / 2, iy + ih / 2, Math.max(1, iw / 2 - offset), Math.max(1, ih / 2 - offset));
+      
+      segments = lines;
+   } else if (inset.shape === "Lasso" || inset.shape === "Polygon") {
+      // For lasso and regular polygons, connect along the outer hull of both polygons
+      // (the inset outline is mirrored with its content, the source region is not)
+      var lines = GeometryUtils.hullBridges(GeometryUtils.mapPolygon(inset.shapeOptions.points, px, py, pw, ph),
+                                            GeometryUtils.mapPolygon(insetShapeOptions(inset).points, ix, iy, iw, ih));
+      var insCx = ix + iw / 2;
+      var insCy = iy + ih / 2;
+      
+      for (var i = 0; i < lines.length; i++) {
+         // Pull the inset end toward the inset center to hide it under the border
+         var dx = insCx - lines[i].x1;
+         var dy = insCy - lines[i].y1;
+         var len = Math.sqrt(dx * dx + dy * dy);
+         var pull = len > offset ? offset / len : 0;
+         segments.push({ x0: lines[i].x0, y0: lines[i].y0, x1: lines[i].x1 + dx * pull, y1: lines[i].y1 + dy * pull });
+      }
+   } else {
+      // For rectangular shapes, connect all 4 corresponding corners
+      // Apply offset to inset coordinates (move them inside the border)
+      // Rounded corners attach at the middle of each corner arc
+      var srcIn = 0;
+      var insIn = offset;
+      if (inset.shape === "Rounded") {
+         srcIn = GeometryUtils.roundedCornerInset(inset.shapeOptions.cornerRadius * Math.min(pw, ph));
+         insIn += GeometryUtils.roundedCornerInset(inset.shapeOptions.cornerRadius * Math.min(iw, ih));
+      }
+      
+      // Attachment points on both outlines, one per line (edge anchors for rectangles)
+      var edges = inset.shape === "Rectangular" ? inset.edgeAnchors :
+         { source: [0, 1, 3, 2], inset: [0, 1, 3, 2] };
+      var srcCorners = [];
+      var insCorners = [];
+      for (var i = 0; i < 4; i++) {
+         srcCorners.push(GeometryUtils.rectPerimeterPoint(px + srcIn, py + srcIn, px + pw - srcIn, py + ph - srcIn,
+                                                          edges.source[i]));
+         insCorners.push(GeometryUtils.rectPerimeterPoint(ix + insIn, iy + insIn, ix + iw - insIn, iy + ih - insIn,
+                                                          edges.inset[i]));
+      }
+      
+      // Rotated source regions attach at their turned corners
+      if (inset.shapeOptions.sourceAngle) {
+         srcCorners = GeometryUtils.rotatePath(srcCorners, px + pw / 2, py + ph / 2, inset.shapeOptions.sourceAngle);
+      }
+      
+      // Outer mode keeps the silhouette lines of the hull of both rectangles (as the engine does)
+      if (overlay.outerOnly) segments = GeometryUtils.hullBridges(srcCorners, insCorners);
+      if (segments.length === 0) {
+         for (var i = 0; i < 4; i++) {
+            segments.push({ x0: srcCorners[i].x, y0: srcCorners[i].y, x1: insCorners[i].x, y1: insCorners[i].y });
+         }
+      }
+   }
+   
+   if (overlay.curved && (inset.curve.x !== 0 || inset.curve.y !== 0)) {
+      // Curved lines are flattened like the engine does
+      var bend = { x: inset.curve.x * s, y: inset.curve.y * s };
+      for (var i = 0; i < segments.length; i++) {
+         var curve = GeometryUtils.bentLine(segments[i].x0, segments[i].y0, segments[i].x1, segments[i].y1, bend);
+         if (overlay.dashes.connection) {
+            strokeDashedPath(g, overlay, overlay.lineWidth, curve, false, overlay.dashes.connection);
          } else {
-            // For rectangular shapes, connect all 4 corresponding corners
-            // Apply offset to inset coordinates (move them inside the border)
-            
-            // NW to NW
-            g.drawLine(px, py, ix + offset, iy + offset);
-            // NE to NE
-            g.drawLine(px + pw, py, ix + iw - offset, iy + offset);
-            // SW to SW
-            g.drawLine(px, py + ph, ix + offset, iy + ih - offset);
-            // SE to SE
-            g.drawLine(px + pw, py + ph, ix + iw - offset, iy + ih - offset);
+            var polyline = [];
+            for (var j = 0; j < curve.length; j++) polyline.push(new Point(curve[j].x, curve[j].y));
+            strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+               g.drawPolyline(polyline);
+            });
          }
       }
-      
-      // Now draw the inset image (on top of connection lines)
-      if (zoom !== 1.0) {
-         var scaledInset = dialog.insetBitmap.scaled(zoom);
-         g.drawBitmap(ix, iy, scaledInset);
+      return;
+   }
+   
+   if (overlay.dashes.connection) {
+      // Each line is dashed on its own, starting at the source region
+      for (var i = 0; i < segments.length; i++) {
+         strokeDashedPath(g, overlay, overlay.lineWidth,
+            [{ x: segments[i].x0, y: segments[i].y0 }, { x: segments[i].x1, y: segments[i].y1 }],
+            false, overlay.dashes.connection);
+      }
+      return;
+   }
+   
+   strokeBorderStack(g, overlay, overlay.lineWidth, function() {
+      for (var i = 0; i < segments.length; i++) {
+         g.drawLine(segments[i].x0, segments[i].y0, segments[i].x1, segments[i].y1);
+      }
+   });
+}
+
+/**
+ * Draw an inset image with its border, plus handles and size if active.
+ * @param {Graphics} g - Graphics context
+ * @param {Object} inset - The composition inset
+ * @param {Object} overlay - Shared drawing state from drawFinalizeOverlay
+ * @param {Boolean} isActive - Whether to draw the resize handles and dimensions
+ */
+function drawInsetImage(g, inset, overlay, isActive) {
+   var s = overlay.scale;
+   var ix = inset.x * s + overlay.offsetX;
+   var iy = inset.y * s + overlay.offsetY;
+   var iw = inset.width * s;
+   var ih = inset.height * s;
+   
+   if (overlay.zoom !== 1.0) {
+      var scaledInset = inset.bitmap.scaled(overlay.zoom);
+      g.drawBitmap(ix, iy, scaledInset);
+   } else {
+      g.drawBitmap(ix, iy, inset.bitmap);
+   }
+   
+   var hs = 6; // Handle visual size
+   var borderW = overlay.lineWidth;
+   
+   if (inset.shape === "Circular" || inset.shape === "Elliptical") {
+      // Draw circular/elliptical border - adjusted to be internal
+      var centerX = ix + iw / 2;
+      var centerY = iy + ih / 2;
+      var radiusX, radiusY;
+      if (inset.shape === "Circular") {
+         radiusX = radiusY = Math.min(iw, ih) / 2 - borderW / 2;
       } else {
-         g.drawBitmap(ix, iy, dialog.insetBitmap);
+         radiusX = iw / 2 - borderW / 2;
+         radiusY = ih / 2 - borderW / 2;
       }
       
-      var hs = 6; // Handle visual size
+      if (radiusX > 0 && radiusY > 0 && !overlay.feather && overlay.dashes.border) {
+         strokeDashedPath(g, overlay, borderW,
+            GeometryUtils.shapeOutline(inset.shape, ix, iy, ix + iw, iy + ih, insetShapeOptions(inset), borderW / 2),
+            true, overlay.dashes.border);
+      } else if (radiusX > 0 && radiusY > 0 && !overlay.feather) {
+         strokeBorderStack(g, overlay, borderW, function() {
+            if (inset.shape === "Circular") {
+               g.strokeCircle(centerX, centerY, radiusX);
+            } else {
+               g.strokeEllipse(centerX - radiusX, centerY - radiusY, centerX + radiusX, centerY + radiusY);
+            }
+         });
+      }
       
-      if (isCircularInset) {
-         // Draw circular border - adjusted to be internal
-         var centerX = ix + iw / 2;
-         var centerY = iy + ih / 2;
-         var radius = Math.min(iw, ih) / 2 - scaledInsBorderW / 2;
-         
-         g.pen = new Pen(insetColor, scaledInsBorderW);
-         if (radius > 0) g.strokeCircle(centerX, centerY, radius);
-         
+      if (isActive) {
          // Draw handles at cardinal points (top, bottom, left, right)
          g.pen = new Pen(0xFFFFFFFF, 1);
-         g.brush = new Brush(insetColor);
+         g.brush = new Brush(overlay.color);
          
          // Top (N)
-         g.fillRect(centerX - hs, centerY - radius - hs, centerX + hs, centerY - radius + hs);
-         g.strokeRect(centerX - hs, centerY - radius - hs, centerX + hs, centerY - radius + hs);
+         g.fillRect(centerX - hs, centerY - radiusY - hs, centerX + hs, centerY - radiusY + hs);
+         g.strokeRect(centerX - hs, centerY - radiusY - hs, centerX + hs, centerY - radiusY + hs);
          
          // Bottom (S)
-         g.fillRect(centerX - hs, centerY + radius - hs, centerX + hs, centerY + radius + hs);
-         g.strokeRect(centerX - hs, centerY + radius - hs, centerX + hs, centerY + radius + hs);
+         g.fillRect(centerX - hs, centerY + radiusY - hs, centerX + hs, centerY + radiusY + hs);
+         g.strokeRect(centerX - hs, centerY + radiusY - hs, centerX + hs, centerY + radiusY + hs);
          
          // Left (W)
-         g.fillRect(centerX - radius - hs, centerY - hs, centerX - radius + hs, centerY + hs);
-         g.strokeRect(centerX - radius - hs, centerY - hs, centerX - radius + hs, centerY + hs);
+         g.fillRect(centerX - radiusX - hs, centerY - hs, centerX - radiusX + hs, centerY + hs);
+         g.strokeRect(centerX - radiusX - hs, centerY - hs, centerX - radiusX + hs, centerY + hs);
          
          // Right (E)
-         g.fillRect(centerX + radius - hs, centerY - hs, centerX + radius + hs, centerY + hs);
-         g.strokeRect(centerX + radius - hs, centerY - hs, centerX + radius + hs, centerY + hs);
+         g.fillRect(centerX + radiusX - hs, centerY - hs, centerX + radiusX + hs, centerY + hs);
+         g.strokeRect(centerX + radiusX - hs, centerY - hs, centerX + radiusX + hs, centerY + hs);
+      }
+   } else {
+      // Draw rectangular border - adjusted to be internal
+      var halfB = borderW / 2;
+      if (overlay.feather) {
+         // Feathered insets have no border
+      } else if (overlay.dashes.border) {
+         strokeDashedPath(g, overlay, borderW,
+            GeometryUtils.shapeOutline(inset.shape, ix, iy, ix + iw, iy + ih, insetShapeOptions(inset), halfB),
+            true, overlay.dashes.border);
+      } else if (inset.shape === "Rounded") {
+         var cornerRadius = inset.shapeOptions.cornerRadius * Math.min(iw, ih) - halfB;
+         var outline = GeometryUtils.roundedRectOutline(ix + halfB, iy + halfB,
+            ix + iw - halfB, iy + ih - halfB, cornerRadius);
+         strokeBorderStack(g, overlay, borderW, function() {
+            g.strokePolygon(outline);
+         });
+      } else if (inset.shape === "Lasso" || inset.shape === "Polygon") {
+         var outline = GeometryUtils.polygonOutline(insetShapeOptions(inset).points, ix + halfB, iy + halfB,
+            ix + iw - halfB, iy + ih - halfB);
+         strokeBorderStack(g, overlay, borderW, function() {
+            g.strokePolygon(outline);
+         });
       } else {
-         // Draw rectangular border - adjusted to be internal
-         g.pen = new Pen(insetColor, scaledInsBorderW);
-         var halfB = scaledInsBorderW / 2;
-         g.strokeRect(ix + halfB, iy + halfB, ix + iw - halfB, iy + ih - halfB);
-         
+         strokeBorderStack(g, overlay, borderW, function() {
+            g.strokeRect(ix + halfB, iy + halfB, ix + iw - halfB, iy + ih - halfB);
+         });
+      }
+      
+      if (isActive && inset.shape === "Polygon") {
+         // Draw vertex handles
+         g.pen = new Pen(0xFFFFFFFF, 1);
+         g.brush = new Brush(overlay.color);
+         var vertices = GeometryUtils.mapPolygon(insetShapeOptions(inset).points, ix, iy, iw, ih);
+         for (var i = 0; i < vertices.length; i++) {
+            g.fillRect(vertices[i].x - hs, vertices[i].y - hs, vertices[i].x + hs, vertices[i].y + hs);
+            g.strokeRect(vertices[i].x - hs, vertices[i].y - hs, vertices[i].x + hs, vertices[i].y + hs);
+         }
+      } else if (isActive) {
          // Draw corner handles
          g.pen = new Pen(0xFFFFFFFF, 1);
-         g.brush = new Brush(insetColor);
+         g.brush = new Brush(overlay.color);
          
          // NW corner
          g.fillRect(ix - hs, iy - hs, ix + hs, iy + hs);
@@ -216,149 +842,236 @@ function drawFinalizeOverlay(dialog, g, offsetX, offsetY, zoom) {
          g.fillRect(ix + iw - hs, iy + ih - hs, ix + iw + hs, iy + ih + hs);
          g.strokeRect(ix + iw - hs, iy + ih - hs, ix + iw + hs, iy + ih + hs);
       }
-      
+   }
+   
+   if (isActive) {
       // Draw dimensions text
       g.pen = new Pen(0xFFFFFFFF);
       g.drawText(ix + 4, iy + ih + 14, 
-         Math.round(dialog.insetWidth) + " x " + Math.round(dialog.insetHeight));
+         Math.round(inset.width) + " x " + Math.round(inset.height));
    }
 }
 
 /**
- * Create a scaled bitmap of the inset image for preview display.
+ * Create a scaled bitmap of an inset image for preview display.
  * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The composition inset
  */
-function createInsetBitmap(dialog) {
-   if (!dialog.finalizeInsetView || dialog.finalizeInsetView.isNull) {
-      dialog.insetBitmap = null;
+function createInsetBitmap(dialog, inset) {
+   if (!inset.view || inset.view.isNull) {
+      inset.bitmap = null;
       return;
    }
    
-   var image = dialog.finalizeInsetView.image;
-   
    // Calculate the display size based on preview scale
-   var displayW = Math.round(dialog.insetWidth * dialog.previewScale);
-   var displayH = Math.round(dialog.insetHeight * dialog.previewScale);
+   var displayW = Math.round(inset.width * dialog.previewScale);
+   var displayH = Math.round(inset.height * dialog.previewScale);
    
    // Minimum display size
    displayW = Math.max(20, displayW);
    displayH = Math.max(20, displayH);
    
    try {
-      // Render and scale the image (no beginProcess needed for reading)
-      var fullBitmap = image.render();
-      dialog.insetBitmap = fullBitmap.scaledTo(displayW, displayH);
+      // Render (with the inset's own screen stretch when enabled) and scale the image
+      var fullBitmap = StretchUtils.renderPreview(inset, inset.view, dialog.params);
+      // Mirrored before it is rotated, like InsetEngine.flipPixels in the output image
+      if (inset.flipH) fullBitmap = fullBitmap.mirroredHorizontally();
+      if (inset.flipV) fullBitmap = fullBitmap.mirroredVertically();
+      inset.bitmap = inset.rotation ?
+         rotatedInsetBitmap(fullBitmap, displayW, displayH, inset.rotation, insetContentZoom(inset)) :
+         fullBitmap.scaledTo(displayW, displayH);
       
-      // If circular, apply circular alpha mask matching the inner edge of the border
+      // If not rectangular, apply alpha mask matching the inner edge of the border
       // Border is stroked at radius = min(w,h)/2 - borderWidth/2
       // Inner edge of border is at radius = min(w,h)/2 - borderWidth
-      if (dialog.params.insetShape === "Circular") {
+      // Calculate border width in display coordinates
+      // Feathered insets have no border and fade out from the outer edge
+      var params = dialog.params;
+      var feather = params.featherInsets === true;
+      var borderWidth = (params.indicatorBorderWidth !== undefined) ? params.indicatorBorderWidth : 2;
+      var scaledBorderW = feather ? 0 : Math.max(1, borderWidth * dialog.previewScale);
+      var featherW = params.featherWidth * dialog.previewScale;
+      var innerDistance = insetInnerDistanceFunction(inset, displayW, displayH, scaledBorderW);
+      
+      if (innerDistance || feather) {
          var cx = displayW / 2;
          var cy = displayH / 2;
-         // Calculate border width in display coordinates
-         var params = dialog.params;
-         var borderWidth = (params.indicatorBorderWidth !== undefined) ? params.indicatorBorderWidth : 2;
-         var scaledBorderW = Math.max(1, borderWidth * dialog.previewScale);
-         
-         // Inner radius = half of smaller dimension minus full border width
-         var innerRadius = Math.min(displayW, displayH) / 2 - scaledBorderW;
-         if (innerRadius < 1) innerRadius = 1;
          
          for (var y = 0; y < displayH; y++) {
             for (var x = 0; x < displayW; x++) {
-               var dx = x - cx + 0.5;
-               var dy = y - cy + 0.5;
-               var dist = Math.sqrt(dx * dx + dy * dy);
+               var dist = innerDistance ? innerDistance(x - cx + 0.5, y - cy + 0.5) :
+                          -Math.min(x + 0.5, y + 0.5, displayW - x - 0.5, displayH - y - 0.5);
                
-               // Calculate alpha: fully opaque inside inner radius, transparent outside
+               // Calculate alpha: fully opaque inside inner edge, transparent outside
                var alpha;
-               if (dist <= innerRadius - 0.5) {
+               if (feather) {
+                  // Same smoothstep ramp as InsetEngine.applyFeather
+                  var t = featherW > 0 ? -dist / featherW : 0.5 - dist;
+                  t = Math.max(0, Math.min(1, t));
+                  alpha = t * t * (3 - 2 * t);
+               } else if (dist <= -0.5) {
                   alpha = 1.0;
-               } else if (dist > innerRadius + 0.5) {
+               } else if (dist > 0.5) {
                   alpha = 0.0;
                } else {
                   // Smooth AA transition
-                  alpha = innerRadius + 0.5 - dist;
+                  alpha = 0.5 - dist;
                }
                
                if (alpha < 1.0) {
-                  var pixel = dialog.insetBitmap.pixel(x, y);
+                  var pixel = inset.bitmap.pixel(x, y);
                   var r = (pixel >> 16) & 0xFF;
                   var g = (pixel >> 8) & 0xFF;
                   var b = pixel & 0xFF;
                   var newAlpha = Math.round(alpha * 255);
                   var newPixel = (newAlpha << 24) | (r << 16) | (g << 8) | b;
-                  dialog.insetBitmap.setPixel(x, y, newPixel);
+                  inset.bitmap.setPixel(x, y, newPixel);
                }
             }
          }
       }
    } catch (e) {
       console.writeln("pInset: Error creating inset bitmap - " + e.message);
-      dialog.insetBitmap = null;
+      inset.bitmap = null;
    }
 }
 
 /**
- * Hit test for the inset shape in finalize mode.
+ * Scale a rendered inset to its display size with the content rotated about
+ * the center, as InsetEngine.rotatePixels does for the output image.
+ * @param {Bitmap} bitmap - Rendered inset image
+ * @param {Number} width - Display width
+ * @param {Number} height - Display height
+ * @param {Number} angle - Rotation in degrees, clockwise
+ * @param {Number} zoom - Extra magnification from insetContentZoom
+ * @returns {Bitmap} Display bitmap
+ */
+function rotatedInsetBitmap(bitmap, width, height, angle, zoom) {
+   var result = new Bitmap(width, height);
+   result.fill(0xFF000000);
+   var g = new Graphics(result);
+   g.smoothInterpolation = true;
+   g.translateTransformation(width / 2, height / 2);
+   g.rotateTransformation(angle * Math.PI / 180);
+   g.scaleTransformation(width / bitmap.width * zoom, height / bitmap.height * zoom);
+   g.drawBitmap(-bitmap.width / 2, -bitmap.height / 2, bitmap);
+   g.end();
+   return result;
+}
+
+/**
+ * Get the signed distance function to the inner edge of an inset's border.
+ * @param {Object} inset - The composition inset
+ * @param {Number} width - Inset width in display pixels
+ * @param {Number} height - Inset height in display pixels
+ * @param {Number} borderW - Border width in display pixels
+ * @returns {Function} function(dx, dy) of the offset from the inset center, or null for rectangles
+ */
+function insetInnerDistanceFunction(inset, width, height, borderW) {
+   if (inset.shape === "Circular") {
+      // Inner radius = half of smaller dimension minus full border width
+      var innerRadius = Math.max(1, Math.min(width, height) / 2 - borderW);
+      return function(dx, dy) {
+         return GeometryUtils.ellipseSignedDistance(dx, dy, innerRadius, innerRadius);
+      };
+   }
+   if (inset.shape === "Elliptical") {
+      var innerRadiusX = Math.max(1, width / 2 - borderW);
+      var innerRadiusY = Math.max(1, height / 2 - borderW);
+      return function(dx, dy) {
+         return GeometryUtils.ellipseSignedDistance(dx, dy, innerRadiusX, innerRadiusY);
+      };
+   }
+   if (inset.shape === "Rounded") {
+      // Inner edge is the outer outline moved inward by the border width
+      var cornerRadius = inset.shapeOptions.cornerRadius * Math.min(width, height);
+      return function(dx, dy) {
+         return GeometryUtils.roundedRectSignedDistance(dx, dy, width / 2, height / 2, cornerRadius) + borderW;
+      };
+   }
+   if (inset.shape === "Lasso" || inset.shape === "Polygon") {
+      var polygon = GeometryUtils.mapPolygon(insetShapeOptions(inset).points, -width / 2, -height / 2, width, height);
+      return function(dx, dy) {
+         return GeometryUtils.polygonSignedDistance(dx, dy, polygon) + borderW;
+      };
+   }
+   return null;
+}
+
+/**
+ * Hit test for an inset shape in finalize mode.
  * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The composition inset
  * @param {Number} px - X position in preview coordinates
  * @param {Number} py - Y position in preview coordinates
  * @param {Number} zoom - Optional zoom factor (default 1.0)
  * @returns {Object} { handle: "nw"|"ne"|"sw"|"se"|null, inside: boolean }
  */
-function hitTestInset(dialog, px, py, zoom) {
-   if (!dialog.insetBitmap) return { handle: null, inside: false };
+function hitTestInset(dialog, inset, px, py, zoom) {
+   if (!inset || !inset.bitmap) return { handle: null, inside: false };
    
    zoom = zoom || 1.0;
    var effectiveScale = dialog.previewScale * zoom;
    
    // Get inset bounds in preview coordinates
-   var x0 = dialog.insetX * effectiveScale;
-   var y0 = dialog.insetY * effectiveScale;
-   var iw = dialog.insetWidth * effectiveScale;
-   var ih = dialog.insetHeight * effectiveScale;
+   var x0 = inset.x * effectiveScale;
+   var y0 = inset.y * effectiveScale;
+   var iw = inset.width * effectiveScale;
+   var ih = inset.height * effectiveScale;
    var x1 = x0 + iw;
    var y1 = y0 + ih;
    
    var hs = dialog.handleSize;
-   var isCircular = dialog.params.insetShape === "Circular";
+   var isCircular = inset.shape === "Circular";
    
-   if (isCircular) {
-      // For circular: handles at cardinal points
+   if (isCircular || inset.shape === "Elliptical") {
+      // For circular/elliptical: handles at cardinal points
       var centerX = x0 + iw / 2;
       var centerY = y0 + ih / 2;
-      var radius = Math.min(iw, ih) / 2;
+      var radiusX = isCircular ? Math.min(iw, ih) / 2 : iw / 2;
+      var radiusY = isCircular ? radiusX : ih / 2;
       
       // Larger hit area for circular handles (they're harder to hit)
       var circleHs = 15;
       
       // North (top) - handle centered at circle's top edge
       if (px >= centerX - circleHs && px <= centerX + circleHs && 
-          py >= centerY - radius - circleHs && py <= centerY - radius + circleHs) {
+          py >= centerY - radiusY - circleHs && py <= centerY - radiusY + circleHs) {
          return { handle: "n", inside: false };
       }
       // South (bottom)
       if (px >= centerX - circleHs && px <= centerX + circleHs && 
-          py >= centerY + radius - circleHs && py <= centerY + radius + circleHs) {
+          py >= centerY + radiusY - circleHs && py <= centerY + radiusY + circleHs) {
          return { handle: "s", inside: false };
       }
       // West (left)
-      if (px >= centerX - radius - circleHs && px <= centerX - radius + circleHs && 
+      if (px >= centerX - radiusX - circleHs && px <= centerX - radiusX + circleHs && 
           py >= centerY - circleHs && py <= centerY + circleHs) {
          return { handle: "w", inside: false };
       }
       // East (right)
-      if (px >= centerX + radius - circleHs && px <= centerX + radius + circleHs && 
+      if (px >= centerX + radiusX - circleHs && px <= centerX + radiusX + circleHs && 
           py >= centerY - circleHs && py <= centerY + circleHs) {
          return { handle: "e", inside: false };
       }
       
-      // Check if inside the circle
-      var dx = px - centerX;
-      var dy = py - centerY;
-      var dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist <= radius) {
+      // Check if inside the circle/ellipse
+      var dx = (px - centerX) / radiusX;
+      var dy = (py - centerY) / radiusY;
+      if (dx * dx + dy * dy <= 1) {
+         return { handle: null, inside: true };
+      }
+   } else if (inset.shape === "Polygon") {
+      // For regular polygons: handles at vertices (uniform resize about the center)
+      var vertices = GeometryUtils.mapPolygon(insetShapeOptions(inset).points, x0, y0, iw, ih);
+      for (var i = 0; i < vertices.length; i++) {
+         if (Math.abs(px - vertices[i].x) <= hs && Math.abs(py - vertices[i].y) <= hs) {
+            return { handle: "vertex", vertex: i, inside: false };
+         }
+      }
+      
+      // Check if inside the polygon
+      if (GeometryUtils.polygonSignedDistance(px, py, vertices) <= 0) {
          return { handle: null, inside: true };
       }
    } else {
@@ -388,32 +1101,33 @@ function hitTestInset(dialog, px, py, zoom) {
 /**
  * Hit test for source region anchor handles (connection line endpoints).
  * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The composition inset
  * @param {Number} px - X position in preview coordinates (relative to image origin)
  * @param {Number} py - Y position in preview coordinates (relative to image origin)
  * @param {Number} zoom - Optional zoom factor (default 1.0)
  * @returns {Object} { anchor: "left"|"right"|null }
  */
-function hitTestSourceAnchors(dialog, px, py, zoom) {
-   if (!dialog.hasDrawnRegion) return { anchor: null };
-   if (dialog.params.insetShape !== "Circular") return { anchor: null };
+function hitTestSourceAnchors(dialog, inset, px, py, zoom) {
+   if (!inset) return { anchor: null };
+   if (inset.shape !== "Circular") return { anchor: null };
+   if (dialog.params.circleTangents === true) return { anchor: null };
    
    zoom = zoom || 1.0;
    var effectiveScale = dialog.previewScale * zoom;
    
    // Get source region bounds in preview coordinates
-   var params = dialog.params;
-   var rx = params.regionX * effectiveScale;
-   var ry = params.regionY * effectiveScale;
-   var rw = params.regionWidth * effectiveScale;
-   var rh = params.regionHeight * effectiveScale;
+   var rx = inset.regionX * effectiveScale;
+   var ry = inset.regionY * effectiveScale;
+   var rw = inset.regionWidth * effectiveScale;
+   var rh = inset.regionHeight * effectiveScale;
    
    var cx = rx + rw / 2;
    var cy = ry + rh / 2;
    var radius = Math.min(rw, rh) / 2;
    
    // Calculate anchor positions from angles
-   var leftAngle = dialog.sourceAnchors.leftAngle;
-   var rightAngle = dialog.sourceAnchors.rightAngle;
+   var leftAngle = inset.sourceAnchors.leftAngle;
+   var rightAngle = inset.sourceAnchors.rightAngle;
    
    var leftHandleX = cx + Math.cos(leftAngle) * radius;
    var leftHandleY = cy + Math.sin(leftAngle) * radius;
@@ -440,6 +1154,158 @@ function hitTestSourceAnchors(dialog, px, py, zoom) {
    return { anchor: null };
 }
 
+/**
+ * Positions of the edge anchor handles of a rectangular inset: the four source
+ * anchors on the source region (turned with a rotated region), then the four
+ * inset anchors on the inset box.
+ * @param {Object} inset - The composition inset
+ * @returns {Array} Points {x, y} in source image coordinates
+ */
+function edgeAnchorPositions(inset) {
+   var points = [];
+   for (var i = 0; i < 4; i++) {
+      points.push(GeometryUtils.rectPerimeterPoint(inset.regionX, inset.regionY, inset.regionX + inset.regionWidth,
+                                                   inset.regionY + inset.regionHeight, inset.edgeAnchors.source[i]));
+   }
+   if (inset.shapeOptions.sourceAngle) {
+      points = GeometryUtils.rotatePath(points, inset.regionX + inset.regionWidth / 2,
+                                        inset.regionY + inset.regionHeight / 2, inset.shapeOptions.sourceAngle);
+   }
+   for (var i = 0; i < 4; i++) {
+      points.push(GeometryUtils.rectPerimeterPoint(inset.x, inset.y, inset.x + inset.width,
+                                                   inset.y + inset.height, inset.edgeAnchors.inset[i]));
+   }
+   return points;
+}
+
+/**
+ * Hit test for the edge anchor handles of the active rectangular inset.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The active inset
+ * @param {Number} px - X position in preview coordinates (relative to image origin)
+ * @param {Number} py - Y position in preview coordinates (relative to image origin)
+ * @param {Number} zoom - Optional zoom factor (default 1.0)
+ * @returns {Object} { side: "source"|"inset", index } or null
+ */
+function hitTestEdgeAnchors(dialog, inset, px, py, zoom) {
+   if (!dialog.editEdgeAnchors || !inset || !inset.bitmap || inset.shape !== "Rectangular") return null;
+   if (dialog.params.drawConnectionLine === false) return null;
+   
+   var effectiveScale = dialog.previewScale * (zoom || 1.0);
+   var anchors = edgeAnchorPositions(inset);
+   // Inset anchors first: they are drawn on top of the inset corners
+   for (var i = anchors.length - 1; i >= 0; i--) {
+      var dx = px - anchors[i].x * effectiveScale;
+      var dy = py - anchors[i].y * effectiveScale;
+      if (Math.sqrt(dx * dx + dy * dy) <= 8) {
+         return i < 4 ? { side: "source", index: i } : { side: "inset", index: i - 4 };
+      }
+   }
+   return null;
+}
+
+/**
+ * Position of the curve handle of an inset: halfway between the source region
+ * and inset centers, moved by the curve bend.
+ * @param {Object} inset - The composition inset
+ * @returns {Object} {x, y} in source image coordinates
+ */
+function curveHandlePosition(inset) {
+   return {
+      x: (inset.regionX + inset.regionWidth / 2 + inset.x + inset.width / 2) / 2 + inset.curve.x,
+      y: (inset.regionY + inset.regionHeight / 2 + inset.y + inset.height / 2) / 2 + inset.curve.y
+   };
+}
+
+/**
+ * Hit test for the curve handle of the active inset.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The active inset
+ * @param {Number} px - X position in preview coordinates (relative to image origin)
+ * @param {Number} py - Y position in preview coordinates (relative to image origin)
+ * @param {Number} zoom - Optional zoom factor (default 1.0)
+ * @returns {Boolean} Whether the handle was hit
+ */
+function hitTestCurveHandle(dialog, inset, px, py, zoom) {
+   if (!inset || !inset.bitmap) return false;
+   if (dialog.params.curvedConnectors !== true || dialog.params.drawConnectionLine === false) return false;
+   
+   var effectiveScale = dialog.previewScale * (zoom || 1.0);
+   var handle = curveHandlePosition(inset);
+   var dx = px - handle.x * effectiveScale;
+   var dy = py - handle.y * effectiveScale;
+   return Math.sqrt(dx * dx + dy * dy) <= 10;
+}
+
+/**
+ * Position of the rotation handle of an inset: a fixed distance above its top
+ * edge, turned with the content about the inset center.
+ * @param {Object} inset - The composition inset
+ * @param {Number} scale - Display pixels per source pixel
+ * @returns {Object} {x, y, baseX, baseY} in display pixels relative to the image origin, where
+ *                   base is the point on the inset edge the handle stem starts from
+ */
+function rotationHandlePosition(inset, scale) {
+   var cx = (inset.x + inset.width / 2) * scale;
+   var cy = (inset.y + inset.height / 2) * scale;
+   var half = inset.height / 2 * scale;
+   var base = GeometryUtils.rotateVector(0, -half, inset.rotation || 0);
+   var tip = GeometryUtils.rotateVector(0, -half - 24, inset.rotation || 0);
+   return { x: cx + tip.x, y: cy + tip.y, baseX: cx + base.x, baseY: cy + base.y };
+}
+
+/**
+ * Hit test for the rotation handle of the active inset.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The active inset
+ * @param {Number} px - X position in preview coordinates (relative to image origin)
+ * @param {Number} py - Y position in preview coordinates (relative to image origin)
+ * @param {Number} zoom - Optional zoom factor (default 1.0)
+ * @returns {Boolean} Whether the handle was hit
+ */
+function hitTestRotationHandle(dialog, inset, px, py, zoom) {
+   if (!inset || !inset.bitmap) return false;
+   
+   var handle = rotationHandlePosition(inset, dialog.previewScale * (zoom || 1.0));
+   var dx = px - handle.x;
+   var dy = py - handle.y;
+   return Math.sqrt(dx * dx + dy * dy) <= 10;
+}
+
+/**
+ * Set the content rotation of an inset and refresh its preview bitmap and the rotation control.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The composition inset
+ * @param {Number} angle - Rotation in degrees, clockwise (normalized to -180..180)
+ */
+function setInsetRotation(dialog, inset, angle) {
+   angle = ((angle % 360) + 540) % 360 - 180;
+   inset.rotation = Math.round(angle * 10) / 10;
+   createInsetBitmap(dialog, inset);
+   if (dialog.insetRotationControl && inset === dialog.getActiveInset()) {
+      dialog.insetRotationControl.setValue(inset.rotation);
+   }
+}
+
+/**
+ * Set the mirroring of an inset's content, store it in the inset image's keywords
+ * (see storeInsetFlip) and refresh its preview bitmap and the mirror checkboxes.
+ * @param {Dialog} dialog - The parent dialog
+ * @param {Object} inset - The composition inset
+ * @param {Boolean} horizontal - Mirror left to right
+ * @param {Boolean} vertical - Mirror top to bottom
+ */
+function setInsetFlip(dialog, inset, horizontal, vertical) {
+   inset.flipH = horizontal === true;
+   inset.flipV = vertical === true;
+   storeInsetFlip(inset);
+   createInsetBitmap(dialog, inset);
+   if (dialog.insetFlipHCheck && inset === dialog.getActiveInset()) {
+      dialog.insetFlipHCheck.checked = inset.flipH;
+      dialog.insetFlipVCheck.checked = inset.flipV;
+   }
+}
+
 /**
  * Update preview for Finalize mode using source image.
  * @param {Dialog} dialog - The parent dialog
@@ -510,9 +1376,11 @@ function createFinalizePreviewPaintHandler(dialog, previewControl) {
       if (dialog.targetView && !dialog.targetView.isNull && 
           (newWidth !== oldWidth || newHeight !== oldHeight)) {
          dialog.updatePreviewBitmap();
-         // Recreate inset bitmap with new scale
-         if (dialog.insetBitmap) {
-            createInsetBitmap(dialog);
+         // Recreate inset bitmaps with new scale
+         for (var i = 0; i < dialog.insets.length; i++) {
+            if (dialog.insets[i].bitmap) {
+               createInsetBitmap(dialog, dialog.insets[i]);
+            }
          }
       }
    };
@@ -561,32 +1429,59 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
       dialog.finalizeDragStartX = px;
       dialog.finalizeDragStartY = py;
       
+      var activeInset = dialog.getActiveInset();
+      
       // First, check for source anchor hit (connection line endpoints)
-      var anchorHit = hitTestSourceAnchors(dialog, px, py, zoom);
+      var anchorHit = hitTestSourceAnchors(dialog, activeInset, px, py, zoom);
       if (anchorHit.anchor) {
          dialog.finalizeInteractionMode = "anchor-drag";
          dialog.finalizeDragAnchor = anchorHit.anchor;
          return;
       }
       
-      // Check if inset exists and hit test
-      if (dialog.insetBitmap) {
-         var hit = hitTestInset(dialog, px, py, zoom);
-         
-         if (hit.handle) {
-            dialog.finalizeInteractionMode = "resize";
-            dialog.finalizeResizeHandle = hit.handle;
-            dialog.finalizeOriginalRegion = {
-               x: dialog.insetX,
-               y: dialog.insetY,
-               w: dialog.insetWidth,
-               h: dialog.insetHeight
-            };
-            return;
-         } else if (hit.inside) {
+      // Edge anchors of rectangles (shown on request) take priority over the resize handles
+      var edgeHit = hitTestEdgeAnchors(dialog, activeInset, px, py, zoom);
+      if (edgeHit) {
+         dialog.finalizeInteractionMode = "edge-anchor-drag";
+         dialog.finalizeDragAnchor = edgeHit;
+         return;
+      }
+      
+      // Rotation handle turns the inset content
+      if (hitTestRotationHandle(dialog, activeInset, px, py, zoom)) {
+         dialog.finalizeInteractionMode = "rotate";
+         return;
+      }
+      
+      // Curve handle bends the connection lines
+      if (hitTestCurveHandle(dialog, activeInset, px, py, zoom)) {
+         dialog.finalizeInteractionMode = "curve-drag";
+         return;
+      }
+      
+      // Resize handles only exist on the active inset
+      var hit = hitTestInset(dialog, activeInset, px, py, zoom);
+      if (hit.handle) {
+         dialog.finalizeInteractionMode = "resize";
+         dialog.finalizeResizeHandle = hit.handle;
+         dialog.finalizeResizeVertex = hit.vertex;
+         dialog.finalizeOriginalRegion = {
+            x: activeInset.x,
+            y: activeInset.y,
+            w: activeInset.width,
+            h: activeInset.height
+         };
+         return;
+      }
+      
+      // Clicking inside any inset selects it and starts moving it (topmost first)
+      for (var i = dialog.insets.length - 1; i >= 0; i--) {
+         var inset = dialog.insets[i];
+         if (hitTestInset(dialog, inset, px, py, zoom).inside) {
+            selectFinalizeInset(dialog, i);
             dialog.finalizeInteractionMode = "move";
-            var insetPx = dialog.insetX * effectiveScale;
-            var insetPy = dialog.insetY * effectiveScale;
+            var insetPx = inset.x * effectiveScale;
+            var insetPy = inset.y * effectiveScale;
             dialog.finalizeDragOffsetX = px - insetPx;
             dialog.finalizeDragOffsetY = py - insetPy;
             return;
@@ -623,13 +1518,15 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
       var px = x - offset.x;
       var py = y - offset.y;
       
+      var inset = dialog.getActiveInset();
+      if (!inset) return;
+      
       // Handle anchor dragging (connection line endpoints)
       if (dialog.finalizeInteractionMode === "anchor-drag") {
-         var params = dialog.params;
-         var rx = params.regionX * effectiveScale;
-         var ry = params.regionY * effectiveScale;
-         var rw = params.regionWidth * effectiveScale;
-         var rh = params.regionHeight * effectiveScale;
+         var rx = inset.regionX * effectiveScale;
+         var ry = inset.regionY * effectiveScale;
+         var rw = inset.regionWidth * effectiveScale;
+         var rh = inset.regionHeight * effectiveScale;
          
          // Calculate center of source region
          var cx = rx + rw / 2;
@@ -641,24 +1538,76 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
          // Move both anchors symmetrically (opposite sides of the circle)
          // When one anchor moves, the other stays PI radians (180°) apart
          if (dialog.finalizeDragAnchor === "left") {
-            dialog.sourceAnchors.leftAngle = newAngle;
-            dialog.sourceAnchors.rightAngle = newAngle + Math.PI;
+            inset.sourceAnchors.leftAngle = newAngle;
+            inset.sourceAnchors.rightAngle = newAngle + Math.PI;
          } else if (dialog.finalizeDragAnchor === "right") {
-            dialog.sourceAnchors.rightAngle = newAngle;
-            dialog.sourceAnchors.leftAngle = newAngle + Math.PI;
+            inset.sourceAnchors.rightAngle = newAngle;
+            inset.sourceAnchors.leftAngle = newAngle + Math.PI;
          }
          
          this.repaint();
          return;
       }
       
+      // Handle edge anchor dragging: the anchor slides along the rectangle outline
+      if (dialog.finalizeInteractionMode === "edge-anchor-drag") {
+         var anchor = dialog.finalizeDragAnchor;
+         var box = anchor.side === "source" ?
+            [inset.regionX, inset.regionY, inset.regionX + inset.regionWidth, inset.regionY + inset.regionHeight] :
+            [inset.x, inset.y, inset.x + inset.width, inset.y + inset.height];
+         var mx = px / effectiveScale;
+         var my = py / effectiveScale;
+         if (anchor.side === "source" && inset.shapeOptions.sourceAngle) {
+            // Rotated source regions: follow the mouse in the unrotated frame
+            var local = GeometryUtils.rotatePath([{ x: mx, y: my }], (box[0] + box[2]) / 2, (box[1] + box[3]) / 2,
+                                                 -inset.shapeOptions.sourceAngle)[0];
+            mx = local.x;
+            my = local.y;
+         }
+         var t = GeometryUtils.rectPerimeterPosition(box[0], box[1], box[2], box[3], mx, my);
+         
+         // Snap to corners and edge midpoints within a few preview pixels
+         var snapped = Math.round(t * 2) / 2;
+         var snapPoint = GeometryUtils.rectPerimeterPoint(box[0], box[1], box[2], box[3], snapped);
+         var free = GeometryUtils.rectPerimeterPoint(box[0], box[1], box[2], box[3], t);
+         var dx = (snapPoint.x - free.x) * effectiveScale;
+         var dy = (snapPoint.y - free.y) * effectiveScale;
+         if (Math.sqrt(dx * dx + dy * dy) <= 8) t = snapped % 4;
+         
+         inset.edgeAnchors[anchor.side][anchor.index] = t;
+         this.repaint();
+         return;
+      }
+      
+      // Handle rotation: the handle points from the inset center to the mouse,
+      // snapping to the axes within a few degrees
+      if (dialog.finalizeInteractionMode === "rotate") {
+         var cx = (inset.x + inset.width / 2) * effectiveScale;
+         var cy = (inset.y + inset.height / 2) * effectiveScale;
+         var angle = Math.atan2(px - cx, cy - py) * 180 / Math.PI;
+         var axis = Math.round(angle / 90) * 90;
+         if (Math.abs(angle - axis) <= 3) angle = axis;
+         setInsetRotation(dialog, inset, angle);
+         this.repaint();
+         return;
+      }
+      
+      // Handle curve dragging: the handle follows the mouse
+      if (dialog.finalizeInteractionMode === "curve-drag") {
+         var handle = curveHandlePosition(inset);
+         inset.curve.x += px / effectiveScale - handle.x;
+         inset.curve.y += py / effectiveScale - handle.y;
+         this.repaint();
+         return;
+      }
+      
       if (dialog.finalizeInteractionMode === "move") {
          var newX = Math.round((px - dialog.finalizeDragOffsetX) / effectiveScale);
          var newY = Math.round((py - dialog.finalizeDragOffsetY) / effectiveScale);
          
          // Allow positioning outside source image bounds (no clamping)
-         dialog.insetX = newX;
-         dialog.insetY = newY;
+         inset.x = newX;
+         inset.y = newY;
          
       } else if (dialog.finalizeInteractionMode === "resize") {
          var orig = dialog.finalizeOriginalRegion;
@@ -667,7 +1616,7 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
          
          // Calculate aspect ratio for proportional resize
          // For circular shapes, force 1:1 aspect ratio to keep content circular
-         var isCircular = dialog.params.insetShape === "Circular";
+         var isCircular = inset.shape === "Circular";
          var aspectRatio = isCircular ? 1.0 : orig.w / orig.h;
          
          var newX = orig.x, newY = orig.y, newW = orig.w, newH = orig.h;
@@ -696,35 +1645,45 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
             newX = orig.x + orig.w - newW;
             newY = orig.y + orig.h - newH;
          } else if (handle === "n") {
-            // North: drag up to grow, down to shrink (uniform scale for circle)
-            var delta = -dy;
-            newW = orig.w + delta;
-            newH = orig.h + delta;
+            // North: drag up to grow, down to shrink (uniform scale for circle/ellipse)
+            newH = orig.h - dy;
+            newW = newH * aspectRatio;
             // Keep centered horizontally, anchor at bottom
-            newX = orig.x - delta / 2;
-            newY = orig.y - delta;
+            newX = orig.x - (newW - orig.w) / 2;
+            newY = orig.y + orig.h - newH;
          } else if (handle === "s") {
             // South: drag down to grow, up to shrink
-            var delta = dy;
-            newW = orig.w + delta;
-            newH = orig.h + delta;
+            newH = orig.h + dy;
+            newW = newH * aspectRatio;
             // Keep centered horizontally, anchor at top
-            newX = orig.x - delta / 2;
+            newX = orig.x - (newW - orig.w) / 2;
          } else if (handle === "w") {
             // West: drag left to grow, right to shrink
-            var delta = -dx;
-            newW = orig.w + delta;
-            newH = orig.h + delta;
+            newW = orig.w - dx;
+            newH = newW / aspectRatio;
             // Keep centered vertically, anchor at right
-            newX = orig.x - delta;
-            newY = orig.y - delta / 2;
+            newX = orig.x + orig.w - newW;
+            newY = orig.y - (newH - orig.h) / 2;
          } else if (handle === "e") {
             // East: drag right to grow, left to shrink
-            var delta = dx;
-            newW = orig.w + delta;
-            newH = orig.h + delta;
+            newW = orig.w + dx;
+            newH = newW / aspectRatio;
             // Keep centered vertically, anchor at left
-            newY = orig.y - delta / 2;
+            newY = orig.y - (newH - orig.h) / 2;
+         } else if (handle === "vertex") {
+            // Polygon vertex: scale about the center by the vertex distance change
+            var vertex = insetShapeOptions(inset).points[dialog.finalizeResizeVertex];
+            var centerX = orig.x + orig.w / 2;
+            var centerY = orig.y + orig.h / 2;
+            var vx = orig.x + vertex.x * orig.w - centerX;
+            var vy = orig.y + vertex.y * orig.h - centerY;
+            var mx = px / effectiveScale - centerX;
+            var my = py / effectiveScale - centerY;
+            var factor = Math.sqrt((mx * mx + my * my) / Math.max(1e-6, vx * vx + vy * vy));
+            newW = orig.w * factor;
+            newH = orig.h * factor;
+            newX = centerX - newW / 2;
+            newY = centerY - newH / 2;
          }
          
          // Minimum size
@@ -739,13 +1698,13 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
          
          // No clamping to image bounds - allow inset outside source image
          
-         dialog.insetX = Math.round(newX);
-         dialog.insetY = Math.round(newY);
-         dialog.insetWidth = Math.round(newW);
-         dialog.insetHeight = Math.round(newH);
+         inset.x = Math.round(newX);
+         inset.y = Math.round(newY);
+         inset.width = Math.round(newW);
+         inset.height = Math.round(newH);
          
          // Recreate inset bitmap at new size
-         createInsetBitmap(dialog);
+         createInsetBitmap(dialog, inset);
       }
       
       this.repaint();
@@ -755,6 +1714,7 @@ function createFinalizePreviewHandlers(dialog, previewControl) {
    previewControl.onMouseRelease = function(x, y, button, buttonState, modifiers) {
       dialog.finalizeInteractionMode = null;
       dialog.finalizeResizeHandle = null;
+      dialog.finalizeResizeVertex = null;
       dialog.finalizeOriginalRegion = null;
       dialog.finalizeDragAnchor = null;
       this.repaint();
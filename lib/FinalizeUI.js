@@ -6,6 +6,18 @@
 //
 // ----------------------------------------------------------------------------
 
+// Line styles for indicators, connection lines and inset borders
+var LINE_STYLES = ["Solid", "Dashed", "Dotted", "Dash-dot"];
+
+// Connector styles: corner/tangent lines, or a single callout line ending in an arrowhead or a dot
+var CONNECTOR_STYLES = ["Lines", "Arrow", "Dot"];
+
+// Caption placements: centered outside the inset, or inside one of its corners
+var CAPTION_PLACEMENTS = ["Below", "Above", "Top-left", "Top-right", "Bottom-left", "Bottom-right"];
+
+// Suggested caption fonts (any installed font face can be typed in)
+var CAPTION_FONTS = ["Helvetica", "Times", "Courier", "DejaVu Sans", "DejaVu Serif"];
+
 /**
  * Create Finalize mode controls.
  * @param {Dialog} dialog - Parent dialog
@@ -32,6 +44,7 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    result.sourceList.visible = false;
    result.sourceList.onViewSelected = function(view) {
       dialog.finalizeSourceView = view;
+      readSourceSolution(dialog);
       // Enable inset image selection when source is selected
       var hasSource = view && !view.isNull;
       dialog.finalizeInsetLabel.enabled = hasSource;
@@ -42,7 +55,7 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    dialog.finalizeSourceList = result.sourceList;
    
    result.insetLabel = new Label(parent);
-   result.insetLabel.text = "Inset Image:";
+   result.insetLabel.text = "Add Inset Image:";
    result.insetLabel.textAlignment = TextAlign_Left;
    result.insetLabel.visible = false;
    result.insetLabel.enabled = false; // Disabled until source is selected
@@ -53,15 +66,129 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    result.insetList.visible = false;
    result.insetList.enabled = false; // Disabled until source is selected
    result.insetList.onViewSelected = function(view) {
-      dialog.finalizeInsetView = view;
-      // Clear existing inset bitmap so it gets recreated with the new image
-      dialog.insetBitmap = null;
-      dialog.readExtractionMetadata(view);
-      dialog.checkFinalizeImagesSelected();
-      dialog.updateFinalizePreview();
+      // Each selected image is added to the composition as a new inset
+      dialog.addFinalizeInset(view);
    };
    dialog.finalizeInsetList = result.insetList;
    
+   // -------------------------------------------------------------------------
+   // Composition Insets (active inset selection)
+   // -------------------------------------------------------------------------
+   
+   result.insetSelectControl = new Control(parent);
+   result.insetSelectControl.visible = false;
+   dialog.insetSelectControl = result.insetSelectControl;
+   
+   var insetSelectLabel = new Label(result.insetSelectControl);
+   insetSelectLabel.text = "Insets:";
+   insetSelectLabel.setFixedWidth(labelWidth);
+   insetSelectLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.insetSelectCombo = new ComboBox(result.insetSelectControl);
+   dialog.insetSelectCombo.enabled = false; // Enabled once an inset is added
+   dialog.insetSelectCombo.toolTip = "Inset edited in the preview (or click an inset in the preview)";
+   dialog.insetSelectCombo.onItemSelected = function(index) {
+      selectFinalizeInset(dialog, index);
+   };
+   
+   dialog.removeInsetButton = new ToolButton(result.insetSelectControl);
+   dialog.removeInsetButton.icon = dialog.scaledResource(":/icons/delete.png");
+   dialog.removeInsetButton.setScaledFixedSize(24, 24);
+   dialog.removeInsetButton.toolTip = "Remove the selected inset from the composition";
+   dialog.removeInsetButton.enabled = false;
+   dialog.removeInsetButton.onClick = function() {
+      removeActiveFinalizeInset(dialog);
+   };
+   
+   var insetSelectRow = new HorizontalSizer;
+   insetSelectRow.spacing = 4;
+   insetSelectRow.add(insetSelectLabel);
+   insetSelectRow.add(dialog.insetSelectCombo, 100);
+   insetSelectRow.add(dialog.removeInsetButton);
+   
+   // Content rotation of the selected inset and the kernel used to resample it
+   var rotationLabel = new Label(result.insetSelectControl);
+   rotationLabel.text = "Rotation:";
+   rotationLabel.setFixedWidth(labelWidth);
+   rotationLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.insetRotationControl = new NumericControl(result.insetSelectControl);
+   dialog.insetRotationControl.setRange(-180, 180);
+   dialog.insetRotationControl.slider.setRange(-180, 180);
+   dialog.insetRotationControl.setPrecision(1);
+   dialog.insetRotationControl.setValue(0);
+   dialog.insetRotationControl.enabled = false; // Enabled once an inset is added
+   dialog.insetRotationControl.toolTip = "Rotation of the selected inset's content in degrees, clockwise " +
+                                         "(or drag the round handle above the inset)";
+   dialog.insetRotationControl.onValueUpdated = function(value) {
+      var inset = dialog.getActiveInset();
+      if (!inset) return;
+      setInsetRotation(dialog, inset, value);
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   dialog.insetKernelCombo = new ComboBox(result.insetSelectControl);
+   for (var i = 0; i < INTERPOLATION_NAMES.length; i++) {
+      dialog.insetKernelCombo.addItem(INTERPOLATION_NAMES[i]);
+   }
+   dialog.insetKernelCombo.currentItem = Math.max(0, INTERPOLATION_METHODS.indexOf(params.interpolationMethod));
+   dialog.insetKernelCombo.toolTip = "Interpolation of rotated inset content";
+   dialog.insetKernelCombo.onItemSelected = function(index) {
+      params.interpolationMethod = INTERPOLATION_METHODS[index];
+      if (dialog.interpCombo) dialog.interpCombo.currentItem = index;
+   };
+   
+   var rotationRow = new HorizontalSizer;
+   rotationRow.spacing = 4;
+   rotationRow.add(rotationLabel);
+   rotationRow.add(dialog.insetRotationControl, 100);
+   rotationRow.add(dialog.insetKernelCombo);
+   
+   // Mirrored content of the selected inset (applied before the rotation)
+   var mirrorLabel = new Label(result.insetSelectControl);
+   mirrorLabel.text = "Mirror:";
+   mirrorLabel.setFixedWidth(labelWidth);
+   mirrorLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   var setActiveFlip = function(horizontal, vertical) {
+      var inset = dialog.getActiveInset();
+      if (!inset) return;
+      setInsetFlip(dialog, inset, horizontal, vertical);
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   dialog.insetFlipHCheck = new CheckBox(result.insetSelectControl);
+   dialog.insetFlipHCheck.text = "Horizontal";
+   dialog.insetFlipHCheck.enabled = false; // Enabled once an inset is added
+   dialog.insetFlipHCheck.toolTip = "Mirror the selected inset's content left to right " +
+                                    "(for a detail from a flipped image of the same object)";
+   dialog.insetFlipHCheck.onCheck = function(checked) {
+      setActiveFlip(checked, dialog.insetFlipVCheck.checked);
+   };
+   
+   dialog.insetFlipVCheck = new CheckBox(result.insetSelectControl);
+   dialog.insetFlipVCheck.text = "Vertical";
+   dialog.insetFlipVCheck.enabled = false; // Enabled once an inset is added
+   dialog.insetFlipVCheck.toolTip = "Mirror the selected inset's content top to bottom";
+   dialog.insetFlipVCheck.onCheck = function(checked) {
+      setActiveFlip(dialog.insetFlipHCheck.checked, checked);
+   };
+   
+   var mirrorRow = new HorizontalSizer;
+   mirrorRow.spacing = 4;
+   mirrorRow.add(mirrorLabel);
+   mirrorRow.add(dialog.insetFlipHCheck);
+   mirrorRow.addSpacing(8);
+   mirrorRow.add(dialog.insetFlipVCheck);
+   mirrorRow.addStretch();
+   
+   var insetSelectSizer = new VerticalSizer;
+   insetSelectSizer.spacing = 4;
+   insetSelectSizer.add(insetSelectRow);
+   insetSelectSizer.add(rotationRow);
+   insetSelectSizer.add(mirrorRow);
+   result.insetSelectControl.sizer = insetSelectSizer;
+   
    // -------------------------------------------------------------------------
    // Options Group (disabled by default)
    // -------------------------------------------------------------------------
@@ -195,7 +322,396 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    indOpacityRow.add(dialog.indicatorOpacitySlider);
    indOpacityRow.add(dialog.indicatorOpacityValue);
    
-
+   // =========================================================================
+   // LINE STYLES (selected per element, dash lengths shared)
+   // =========================================================================
+   
+   var repaintPreview = function() {
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   // Line style combo for one stroked element, stored in params[element + "LineStyle"]
+   var addStyleCombo = function(row, text, element) {
+      var label = new Label(result.group);
+      label.text = text;
+      label.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+      
+      var combo = new ComboBox(result.group);
+      for (var i = 0; i < LINE_STYLES.length; i++) {
+         combo.addItem(LINE_STYLES[i]);
+      }
+      combo.currentItem = Math.max(0, LINE_STYLES.indexOf(params[element + "LineStyle"]));
+      combo.toolTip = "Line style of the " + text.replace(":", "").toLowerCase();
+      combo.onItemSelected = function(index) {
+         params[element + "LineStyle"] = LINE_STYLES[index];
+         repaintPreview();
+      };
+      dialog[element + "StyleCombo"] = combo;
+      
+      row.add(label);
+      row.add(combo);
+   };
+   
+   var styleLabel = new Label(result.group);
+   styleLabel.text = "Style:";
+   styleLabel.setFixedWidth(labelWidth);
+   styleLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   var styleRow = new HorizontalSizer;
+   styleRow.spacing = 4;
+   styleRow.add(styleLabel);
+   addStyleCombo(styleRow, "Indicator:", "indicator");
+   addStyleCombo(styleRow, "Lines:", "connection");
+   addStyleCombo(styleRow, "Border:", "border");
+   styleRow.addStretch();
+   
+   // Dash and gap lengths
+   var dashLabel = new Label(result.group);
+   dashLabel.text = "Dash:";
+   dashLabel.setFixedWidth(labelWidth);
+   dashLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.dashLengthSpin = new SpinBox(result.group);
+   dialog.dashLengthSpin.setRange(1, 200);
+   dialog.dashLengthSpin.value = params.dashLength;
+   dialog.dashLengthSpin.suffix = " px";
+   dialog.dashLengthSpin.toolTip = "Length of each dash";
+   dialog.dashLengthSpin.onValueUpdated = function(value) {
+      params.dashLength = value;
+      repaintPreview();
+   };
+   
+   var gapLabel = new Label(result.group);
+   gapLabel.text = "Gap:";
+   gapLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.dashGapSpin = new SpinBox(result.group);
+   dialog.dashGapSpin.setRange(1, 200);
+   dialog.dashGapSpin.value = params.dashGap;
+   dialog.dashGapSpin.suffix = " px";
+   dialog.dashGapSpin.toolTip = "Space between dashes and dots";
+   dialog.dashGapSpin.onValueUpdated = function(value) {
+      params.dashGap = value;
+      repaintPreview();
+   };
+   
+   var dashRow = new HorizontalSizer;
+   dashRow.spacing = 4;
+   dashRow.add(dashLabel);
+   dashRow.add(dialog.dashLengthSpin);
+   dashRow.add(gapLabel);
+   dashRow.add(dialog.dashGapSpin);
+   dashRow.addStretch();
+   
+   // =========================================================================
+   // FEATHERED MODE (soft edges instead of the inset border)
+   // =========================================================================
+   
+   // Inset preview bitmaps carry the edge mask, so they are rebuilt on change
+   var updateInsetBitmaps = function() {
+      for (var i = 0; i < dialog.insets.length; i++) {
+         if (dialog.insets[i].bitmap) createInsetBitmap(dialog, dialog.insets[i]);
+      }
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   dialog.featherCheck = new CheckBox(result.group);
+   dialog.featherCheck.text = "Feathered edges (no inset border)";
+   dialog.featherCheck.checked = params.featherInsets === true;
+   dialog.featherCheck.toolTip = "Fade the insets into the background instead of framing them";
+   
+   var featherLabel = new Label(result.group);
+   featherLabel.text = "Feather:";
+   featherLabel.setFixedWidth(labelWidth);
+   featherLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.featherSlider = new Slider(result.group);
+   dialog.featherSlider.setRange(0, 200);
+   dialog.featherSlider.value = params.featherWidth;
+   dialog.featherSlider.setMinWidth(100);
+   dialog.featherSlider.onValueUpdated = function(value) {
+      params.featherWidth = value;
+      dialog.featherValue.text = value.toString() + " px";
+      updateInsetBitmaps();
+   };
+   
+   dialog.featherValue = new Label(result.group);
+   dialog.featherValue.text = params.featherWidth.toString() + " px";
+   dialog.featherValue.setFixedWidth(40);
+   
+   var updateFeatherEnabled = function() {
+      featherLabel.enabled = dialog.featherCheck.checked;
+      dialog.featherSlider.enabled = dialog.featherCheck.checked;
+      dialog.featherValue.enabled = dialog.featherCheck.checked;
+   };
+   dialog.featherCheck.onCheck = function(checked) {
+      params.featherInsets = checked;
+      updateFeatherEnabled();
+      updateInsetBitmaps();
+   };
+   updateFeatherEnabled();
+   
+   var featherRow = new HorizontalSizer;
+   featherRow.spacing = 4;
+   featherRow.add(featherLabel);
+   featherRow.add(dialog.featherSlider);
+   featherRow.add(dialog.featherValue);
+   
+   // =========================================================================
+   // SHADOW AND GLOW CONTROLS (drawn under every inset)
+   // =========================================================================
+   
+   var effectSliders = [
+      { text: "Offset:", name: "Offset", max: 50 },
+      { text: "Blur:", name: "Blur", max: 100 }
+   ];
+   var shadowSizer = createEffectControls(dialog, params, labelWidth, result.group, "shadow", "Drop shadow", effectSliders);
+   var glowSizer = createEffectControls(dialog, params, labelWidth, result.group, "glow", "Outer glow", effectSliders);
+   
+   // Projection cone between each source region and its inset
+   var coneSizer = createEffectControls(dialog, params, labelWidth, result.group, "cone", "Projection cone", []);
+   
+   // Outline stroke under the indicator, connection lines and inset border
+   var outlineSizer = createEffectControls(dialog, params, labelWidth, result.group, "outline", "Outer stroke",
+      [{ text: "Width:", name: "Width", max: 50 }]);
+   
+   // =========================================================================
+   // CAPTIONS (text per inset, style shared by all insets)
+   // =========================================================================
+   
+   var captionSizer = createEffectControls(dialog, params, labelWidth, result.group, "caption", "Captions",
+      [{ text: "Size:", name: "Size", max: 200 }]);
+   
+   var captionTextLabel = new Label(result.group);
+   captionTextLabel.text = "Text:";
+   captionTextLabel.setFixedWidth(labelWidth);
+   captionTextLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.captionEdit = new Edit(result.group);
+   dialog.captionEdit.enabled = false; // Enabled once an inset is added
+   dialog.captionEdit.toolTip = "Caption of the selected inset, e.g. 'NGC 5195 - 4x'";
+   dialog.captionEdit.onTextUpdated = function(text) {
+      var inset = dialog.getActiveInset();
+      if (!inset) return;
+      inset.caption = text;
+      repaintPreview();
+   };
+   
+   var captionTextRow = new HorizontalSizer;
+   captionTextRow.spacing = 4;
+   captionTextRow.add(captionTextLabel);
+   captionTextRow.add(dialog.captionEdit, 100);
+   
+   var captionFontLabel = new Label(result.group);
+   captionFontLabel.text = "Font:";
+   captionFontLabel.setFixedWidth(labelWidth);
+   captionFontLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.captionFontCombo = new ComboBox(result.group);
+   dialog.captionFontCombo.editEnabled = true;
+   for (var i = 0; i < CAPTION_FONTS.length; i++) {
+      dialog.captionFontCombo.addItem(CAPTION_FONTS[i]);
+   }
+   dialog.captionFontCombo.editText = params.captionFont;
+   dialog.captionFontCombo.toolTip = "Font face of the captions";
+   dialog.captionFontCombo.onItemSelected = function(index) {
+      params.captionFont = CAPTION_FONTS[index];
+      repaintPreview();
+   };
+   dialog.captionFontCombo.onEditTextUpdated = function() {
+      params.captionFont = this.editText;
+      repaintPreview();
+   };
+   
+   dialog.captionBoldCheck = new CheckBox(result.group);
+   dialog.captionBoldCheck.text = "Bold";
+   dialog.captionBoldCheck.checked = params.captionBold === true;
+   dialog.captionBoldCheck.onCheck = function(checked) {
+      params.captionBold = checked;
+      repaintPreview();
+   };
+   
+   var placementLabel = new Label(result.group);
+   placementLabel.text = "Place:";
+   placementLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.captionPlacementCombo = new ComboBox(result.group);
+   for (var i = 0; i < CAPTION_PLACEMENTS.length; i++) {
+      dialog.captionPlacementCombo.addItem(CAPTION_PLACEMENTS[i]);
+   }
+   dialog.captionPlacementCombo.currentItem = Math.max(0, CAPTION_PLACEMENTS.indexOf(params.captionPlacement));
+   dialog.captionPlacementCombo.toolTip = "Above or below the inset, or inside one of its corners";
+   dialog.captionPlacementCombo.onItemSelected = function(index) {
+      params.captionPlacement = CAPTION_PLACEMENTS[index];
+      repaintPreview();
+   };
+   
+   var captionFontRow = new HorizontalSizer;
+   captionFontRow.spacing = 4;
+   captionFontRow.add(captionFontLabel);
+   captionFontRow.add(dialog.captionFontCombo);
+   captionFontRow.add(dialog.captionBoldCheck);
+   captionFontRow.add(placementLabel);
+   captionFontRow.add(dialog.captionPlacementCombo);
+   captionFontRow.addStretch();
+   
+   var plateSizer = createEffectControls(dialog, params, labelWidth, result.group, "captionPlate",
+      "Caption background plate", []);
+   
+   // Magnification badge (corner placements only, colored like the border)
+   var badgeCorners = CAPTION_PLACEMENTS.slice(2);
+   
+   dialog.badgeCheck = new CheckBox(result.group);
+   dialog.badgeCheck.text = "Magnification badge";
+   dialog.badgeCheck.checked = params.badgeEnabled === true;
+   dialog.badgeCheck.toolTip = "Show the effective magnification (inset size over region size) in a corner of each inset";
+   
+   dialog.badgeCornerCombo = new ComboBox(result.group);
+   for (var i = 0; i < badgeCorners.length; i++) {
+      dialog.badgeCornerCombo.addItem(badgeCorners[i]);
+   }
+   dialog.badgeCornerCombo.currentItem = Math.max(0, badgeCorners.indexOf(params.badgeCorner));
+   dialog.badgeCornerCombo.enabled = params.badgeEnabled === true;
+   dialog.badgeCornerCombo.onItemSelected = function(index) {
+      params.badgeCorner = badgeCorners[index];
+      repaintPreview();
+   };
+   
+   dialog.badgeSizeSpin = new SpinBox(result.group);
+   dialog.badgeSizeSpin.setRange(4, 200);
+   dialog.badgeSizeSpin.value = params.badgeSize;
+   dialog.badgeSizeSpin.suffix = " px";
+   dialog.badgeSizeSpin.enabled = params.badgeEnabled === true;
+   dialog.badgeSizeSpin.toolTip = "Text size of the badge";
+   dialog.badgeSizeSpin.onValueUpdated = function(value) {
+      params.badgeSize = value;
+      repaintPreview();
+   };
+   
+   dialog.badgeCheck.onCheck = function(checked) {
+      params.badgeEnabled = checked;
+      dialog.badgeCornerCombo.enabled = checked;
+      dialog.badgeSizeSpin.enabled = checked;
+      repaintPreview();
+   };
+   
+   var badgeRow = new HorizontalSizer;
+   badgeRow.spacing = 4;
+   badgeRow.add(dialog.badgeCheck);
+   badgeRow.add(dialog.badgeCornerCombo);
+   badgeRow.add(dialog.badgeSizeSpin);
+   badgeRow.addStretch();
+   
+   // Scale bars (same corner on the source image and on every inset)
+   dialog.scaleBarCheck = new CheckBox(result.group);
+   dialog.scaleBarCheck.text = "Scale bar";
+   dialog.scaleBarCheck.checked = params.scaleBarEnabled === true;
+   dialog.scaleBarCheck.toolTip = "Draw an angular scale bar on the source image and a magnified one on each inset";
+   
+   dialog.scaleBarCornerCombo = new ComboBox(result.group);
+   for (var i = 0; i < badgeCorners.length; i++) {
+      dialog.scaleBarCornerCombo.addItem(badgeCorners[i]);
+   }
+   dialog.scaleBarCornerCombo.currentItem = Math.max(0, badgeCorners.indexOf(params.scaleBarCorner));
+   dialog.scaleBarCornerCombo.onItemSelected = function(index) {
+      params.scaleBarCorner = badgeCorners[index];
+      repaintPreview();
+   };
+   
+   dialog.scaleBarSizeSpin = new SpinBox(result.group);
+   dialog.scaleBarSizeSpin.setRange(4, 200);
+   dialog.scaleBarSizeSpin.value = params.scaleBarTextSize;
+   dialog.scaleBarSizeSpin.suffix = " px";
+   dialog.scaleBarSizeSpin.toolTip = "Text size of the scale bar labels";
+   dialog.scaleBarSizeSpin.onValueUpdated = function(value) {
+      params.scaleBarTextSize = value;
+      repaintPreview();
+   };
+   
+   var scaleBarRow = new HorizontalSizer;
+   scaleBarRow.spacing = 4;
+   scaleBarRow.add(dialog.scaleBarCheck);
+   scaleBarRow.add(dialog.scaleBarCornerCombo);
+   scaleBarRow.add(dialog.scaleBarSizeSpin);
+   scaleBarRow.addStretch();
+   
+   var pixelScaleLabel = new Label(result.group);
+   pixelScaleLabel.text = "Pixel scale:";
+   pixelScaleLabel.setFixedWidth(labelWidth);
+   pixelScaleLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.pixelScaleEdit = new NumericEdit(result.group);
+   dialog.pixelScaleEdit.label.text = "";
+   dialog.pixelScaleEdit.setReal(true);
+   dialog.pixelScaleEdit.setRange(0.001, 1000);
+   dialog.pixelScaleEdit.setPrecision(3);
+   dialog.pixelScaleEdit.setValue(params.pixelScale);
+   dialog.pixelScaleEdit.toolTip = "Arcseconds per pixel of the source image. Read from the astrometric " +
+                                   "solution when the image is plate-solved, otherwise entered here";
+   dialog.pixelScaleEdit.onValueUpdated = function(value) {
+      params.pixelScale = value;
+      repaintPreview();
+   };
+   
+   var pixelScaleUnit = new Label(result.group);
+   pixelScaleUnit.text = "arcsec/px";
+   pixelScaleUnit.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   var pixelScaleRow = new HorizontalSizer;
+   pixelScaleRow.spacing = 4;
+   pixelScaleRow.add(pixelScaleLabel);
+   pixelScaleRow.add(dialog.pixelScaleEdit);
+   pixelScaleRow.add(pixelScaleUnit);
+   pixelScaleRow.addStretch();
+   
+   // North/east compass (drawn only when the source image is plate-solved)
+   var compassSizer = createEffectControls(dialog, params, labelWidth, result.group, "compass",
+      "N/E compass (plate-solved images)", [{ text: "Size:", name: "Size", max: 400 }]);
+   
+   var compassCornerLabel = new Label(result.group);
+   compassCornerLabel.text = "Corner:";
+   compassCornerLabel.setFixedWidth(labelWidth);
+   compassCornerLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.compassCornerCombo = new ComboBox(result.group);
+   for (var i = 0; i < badgeCorners.length; i++) {
+      dialog.compassCornerCombo.addItem(badgeCorners[i]);
+   }
+   dialog.compassCornerCombo.currentItem = Math.max(0, badgeCorners.indexOf(params.compassCorner));
+   dialog.compassCornerCombo.onItemSelected = function(index) {
+      params.compassCorner = badgeCorners[index];
+      repaintPreview();
+   };
+   
+   dialog.compassInsetsCheck = new CheckBox(result.group);
+   dialog.compassInsetsCheck.text = "Also inside insets";
+   dialog.compassInsetsCheck.checked = params.compassInsets === true;
+   dialog.compassInsetsCheck.onCheck = function(checked) {
+      params.compassInsets = checked;
+      repaintPreview();
+   };
+   
+   var compassRow = new HorizontalSizer;
+   compassRow.spacing = 4;
+   compassRow.add(compassCornerLabel);
+   compassRow.add(dialog.compassCornerCombo);
+   compassRow.add(dialog.compassInsetsCheck);
+   compassRow.addStretch();
+   
+   // Catalog object labels inside insets (drawn only when the source image is plate-solved)
+   var objectLabelsSizer = createEffectControls(dialog, params, labelWidth, result.group, "objectLabels",
+      "Object labels in insets (plate-solved images)", [{ text: "Size:", name: "Size", max: 100 }]);
+   
+   var updateScaleBarEnabled = function() {
+      dialog.scaleBarCornerCombo.enabled = dialog.scaleBarCheck.checked;
+      dialog.scaleBarSizeSpin.enabled = dialog.scaleBarCheck.checked;
+   };
+   dialog.scaleBarCheck.onCheck = function(checked) {
+      params.scaleBarEnabled = checked;
+      updateScaleBarEnabled();
+      repaintPreview();
+   };
+   updateScaleBarEnabled();
    
    // =========================================================================
    // OTHER OPTIONS
@@ -206,6 +722,98 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    dialog.drawLineCheck.checked = params.drawConnectionLine !== false;
    dialog.drawLineCheck.onCheck = function(checked) {
       params.drawConnectionLine = checked;
+      dialog.curvedLineCheck.enabled = checked;
+      dialog.connectorCombo.enabled = checked;
+      dialog.calloutHeadSpin.enabled = checked && params.connectorStyle !== "Lines";
+      dialog.tangentLineCheck.enabled = checked;
+      dialog.outerLineCheck.enabled = checked;
+      dialog.edgeAnchorCheck.enabled = checked;
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   // Connector style and callout head size
+   var connectorLabel = new Label(result.group);
+   connectorLabel.text = "Connector:";
+   connectorLabel.setFixedWidth(labelWidth);
+   connectorLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.connectorCombo = new ComboBox(result.group);
+   for (var i = 0; i < CONNECTOR_STYLES.length; i++) {
+      dialog.connectorCombo.addItem(CONNECTOR_STYLES[i]);
+   }
+   dialog.connectorCombo.currentItem = Math.max(0, CONNECTOR_STYLES.indexOf(params.connectorStyle));
+   dialog.connectorCombo.enabled = params.drawConnectionLine !== false;
+   dialog.connectorCombo.toolTip = "Lines: connect the region outline with the inset outline<br/>" +
+                                   "Arrow, Dot: a single callout line from the inset to the region";
+   dialog.connectorCombo.onItemSelected = function(index) {
+      params.connectorStyle = CONNECTOR_STYLES[index];
+      dialog.calloutHeadSpin.enabled = params.connectorStyle !== "Lines";
+      repaintPreview();
+   };
+   
+   var headLabel = new Label(result.group);
+   headLabel.text = "Head:";
+   headLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   dialog.calloutHeadSpin = new SpinBox(result.group);
+   dialog.calloutHeadSpin.setRange(4, 200);
+   dialog.calloutHeadSpin.value = params.calloutHeadSize;
+   dialog.calloutHeadSpin.suffix = " px";
+   dialog.calloutHeadSpin.enabled = params.drawConnectionLine !== false && params.connectorStyle !== "Lines";
+   dialog.calloutHeadSpin.toolTip = "Arrowhead length or dot diameter";
+   dialog.calloutHeadSpin.onValueUpdated = function(value) {
+      params.calloutHeadSize = value;
+      repaintPreview();
+   };
+   
+   var connectorRow = new HorizontalSizer;
+   connectorRow.spacing = 4;
+   connectorRow.add(connectorLabel);
+   connectorRow.add(dialog.connectorCombo);
+   connectorRow.add(headLabel);
+   connectorRow.add(dialog.calloutHeadSpin);
+   connectorRow.addStretch();
+   
+   dialog.curvedLineCheck = new CheckBox(result.group);
+   dialog.curvedLineCheck.text = "Curved connection lines";
+   dialog.curvedLineCheck.checked = params.curvedConnectors === true;
+   dialog.curvedLineCheck.enabled = params.drawConnectionLine !== false;
+   dialog.curvedLineCheck.toolTip = "Bend the connection lines of the active inset by dragging the round handle in the preview";
+   dialog.curvedLineCheck.onCheck = function(checked) {
+      params.curvedConnectors = checked;
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   dialog.tangentLineCheck = new CheckBox(result.group);
+   dialog.tangentLineCheck.text = "Tangent lines for circular insets";
+   dialog.tangentLineCheck.checked = params.circleTangents === true;
+   dialog.tangentLineCheck.enabled = params.drawConnectionLine !== false;
+   dialog.tangentLineCheck.toolTip = "Connect source circle and inset circle with their outer tangents " +
+                                     "instead of the draggable anchor points";
+   dialog.tangentLineCheck.onCheck = function(checked) {
+      params.circleTangents = checked;
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   dialog.outerLineCheck = new CheckBox(result.group);
+   dialog.outerLineCheck.text = "Outer corner lines only for rectangular insets";
+   dialog.outerLineCheck.checked = params.outerCornerLines === true;
+   dialog.outerLineCheck.enabled = params.drawConnectionLine !== false;
+   dialog.outerLineCheck.toolTip = "Draw only the two lines along the outline of source box and inset " +
+                                   "instead of all four corner lines";
+   dialog.outerLineCheck.onCheck = function(checked) {
+      params.outerCornerLines = checked;
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   dialog.edgeAnchorCheck = new CheckBox(result.group);
+   dialog.edgeAnchorCheck.text = "Edit rectangle anchors";
+   dialog.edgeAnchorCheck.checked = dialog.editEdgeAnchors;
+   dialog.edgeAnchorCheck.enabled = params.drawConnectionLine !== false;
+   dialog.edgeAnchorCheck.toolTip = "Show draggable anchors where the lines of the active rectangular inset " +
+                                    "attach to the source box and the inset (they snap to corners and edge midpoints)";
+   dialog.edgeAnchorCheck.onCheck = function(checked) {
+      dialog.editEdgeAnchors = checked;
       if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
    };
 
@@ -275,8 +883,34 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    sizer.add(indBorderRow);
    sizer.add(indColorRow);
    sizer.add(indOpacityRow);
+   sizer.add(styleRow);
+   sizer.add(dashRow);
+   sizer.add(outlineSizer);
+   sizer.addSpacing(8);
+   sizer.add(dialog.featherCheck);
+   sizer.add(featherRow);
+   sizer.addSpacing(8);
+   sizer.add(shadowSizer);
+   sizer.add(glowSizer);
+   sizer.add(coneSizer);
+   sizer.addSpacing(8);
+   sizer.add(captionSizer);
+   sizer.add(captionTextRow);
+   sizer.add(captionFontRow);
+   sizer.add(plateSizer);
+   sizer.add(badgeRow);
+   sizer.add(scaleBarRow);
+   sizer.add(pixelScaleRow);
+   sizer.add(compassSizer);
+   sizer.add(compassRow);
+   sizer.add(objectLabelsSizer);
    sizer.addSpacing(8);
    sizer.add(dialog.drawLineCheck);
+   sizer.add(connectorRow);
+   sizer.add(dialog.curvedLineCheck);
+   sizer.add(dialog.tangentLineCheck);
+   sizer.add(dialog.outerLineCheck);
+   sizer.add(dialog.edgeAnchorCheck);
    sizer.add(dialog.applyOpacityCheck);
    sizer.addSpacing(8);
    sizer.add(zoomRow);
@@ -303,3 +937,138 @@ function createFinalizeControls(dialog, params, labelWidth, parent) {
    
    return result;
 }
+
+/**
+ * Create the controls of a drop shadow, outer glow, outline stroke, projection cone, caption, compass
+ * or object labels:
+ * an enable checkbox, the given pixel sliders, color and opacity. Values are stored in params
+ * under the prefix (e.g. shadowEnabled, shadowOffset, shadowBlur, shadowColorR, shadowOpacity).
+ * @param {Dialog} dialog - Parent dialog
+ * @param {Object} params - Parameters object
+ * @param {Number} labelWidth - Width for label alignment
+ * @param {Control} parent - Parent control
+ * @param {String} prefix - "shadow", "glow", "outline", "cone", "caption", "captionPlate", "compass" or "objectLabels"
+ * @param {String} title - Checkbox text
+ * @param {Array} sliders - Pixel sliders {text, name, max}; name is appended to the prefix
+ * @returns {Sizer} Sizer holding all rows
+ */
+function createEffectControls(dialog, params, labelWidth, parent, prefix, title, sliders) {
+   var repaintPreview = function() {
+      if (dialog.finalizePreviewControl) dialog.finalizePreviewControl.repaint();
+   };
+   
+   // Setting controls (enabled by the checkbox)
+   var settingControls = [];
+   
+   // Slider row with a label and a value readout
+   var addSliderRow = function(text, key, min, max, unit) {
+      var label = new Label(parent);
+      label.text = text;
+      label.setFixedWidth(labelWidth);
+      label.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+      
+      var slider = new Slider(parent);
+      slider.setRange(min, max);
+      slider.value = params[key];
+      slider.setMinWidth(100);
+      
+      var valueLabel = new Label(parent);
+      valueLabel.text = params[key].toString() + unit;
+      valueLabel.setFixedWidth(40);
+      
+      slider.onValueUpdated = function(value) {
+         params[key] = value;
+         valueLabel.text = value.toString() + unit;
+         repaintPreview();
+      };
+      
+      var row = new HorizontalSizer;
+      row.spacing = 4;
+      row.add(label);
+      row.add(slider);
+      row.add(valueLabel);
+      settingControls.push(label, slider, valueLabel);
+      return row;
+   };
+   
+   var check = new CheckBox(parent);
+   check.text = title;
+   check.checked = params[prefix + "Enabled"] === true;
+   dialog[prefix + "Check"] = check;
+   
+   var sliderRows = [];
+   for (var i = 0; i < sliders.length; i++) {
+      sliderRows.push(addSliderRow(sliders[i].text, prefix + sliders[i].name, 0, sliders[i].max, " px"));
+   }
+   
+   // Color swatch and RGB sliders
+   var swatch = new Control(parent);
+   swatch.setFixedSize(24, 18);
+   swatch.onPaint = function() {
+      var g = new Graphics(this);
+      var color = (0xFF << 24) | (params[prefix + "ColorR"] << 16) |
+                  (params[prefix + "ColorG"] << 8) | params[prefix + "ColorB"];
+      g.fillRect(0, 0, this.width, this.height, new Brush(color));
+      g.pen = new Pen(0xFF000000, 1);
+      g.strokeRect(0, 0, this.width - 1, this.height - 1);
+      g.end();
+   };
+   
+   var colorLabel = new Label(parent);
+   colorLabel.text = "Color:";
+   colorLabel.setFixedWidth(labelWidth);
+   colorLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   var colorRow = new HorizontalSizer;
+   colorRow.spacing = 4;
+   colorRow.add(colorLabel);
+   settingControls.push(colorLabel, swatch);
+   var channels = ["R", "G", "B"];
+   for (var i = 0; i < channels.length; i++) {
+      var channelLabel = new Label(parent);
+      channelLabel.text = channels[i] + ":";
+      channelLabel.setFixedWidth(15);
+      
+      var channelSlider = new Slider(parent);
+      channelSlider.setRange(0, 255);
+      channelSlider.value = params[prefix + "Color" + channels[i]];
+      channelSlider.setMinWidth(50);
+      channelSlider.onValueUpdated = (function(key) {
+         return function(value) {
+            params[key] = value;
+            swatch.repaint();
+            repaintPreview();
+         };
+      })(prefix + "Color" + channels[i]);
+      
+      colorRow.add(channelLabel);
+      colorRow.add(channelSlider, 50);
+      settingControls.push(channelLabel, channelSlider);
+   }
+   colorRow.add(swatch);
+   
+   var opacityRow = addSliderRow("Opacity:", prefix + "Opacity", 0, 100, "%");
+   
+   // Settings are only editable while the effect is enabled
+   var updateEnabled = function() {
+      for (var i = 0; i < settingControls.length; i++) {
+         settingControls[i].enabled = check.checked;
+      }
+   };
+   check.onCheck = function(checked) {
+      params[prefix + "Enabled"] = checked;
+      updateEnabled();
+      repaintPreview();
+   };
+   updateEnabled();
+   
+   var sizer = new VerticalSizer;
+   sizer.spacing = 4;
+   sizer.add(check);
+   for (var i = 0; i < sliderRows.length; i++) {
+      sizer.add(sliderRows[i]);
+   }
+   sizer.add(colorRow);
+   sizer.add(opacityRow);
+   return sizer;
+}
@@ -0,0 +1,835 @@
+// ----------------------------------------------------------------------------
+// GeometryUtils.js - Shape geometry helpers for pInset
+// ----------------------------------------------------------------------------
+//
+// Contains geometry shared by the engine and the previews:
+// - Signed distance to shape outlines (for anti-aliased masks and rings)
+// - Tangent lines between circles and ellipses (for connection lines)
+// - Rounded rectangle outlines (for preview drawing)
+// - Polygon distance, simplification and convex hull bridges (for lasso regions)
+// - Regular polygon vertices (for hexagon, octagon, ... shapes)
+// - Shape outlines as paths and dash patterns (for dashed and dotted strokes)
+// - Bent lines as quadratic Bezier curves (for curved connection lines)
+// - Rectangle perimeter positions (for editable connector anchors)
+// - Callout paths and arrowheads (for arrow and dot connectors)
+// - Caption box placement (for inset captions, badges and scale bars)
+// - Rotated vectors and paths (for rotated inset content and source regions)
+// - Shape distance functions and the magnification that keeps rotated content covering its shape
+// - Mirrored shape settings (for flipped inset content)
+//
+// Author: Giovanni Rocca (iGio90) and Antigravity
+//
+// ----------------------------------------------------------------------------
+
+var GeometryUtils = {
+   /**
+    * Approximate signed distance from a point to an axis-aligned ellipse.
+    * Negative inside, positive outside. Exact for circles.
+    * @param {Number} dx - X offset of the point from the ellipse center
+    * @param {Number} dy - Y offset of the point from the ellipse center
+    * @param {Number} a - Horizontal semi-axis
+    * @param {Number} b - Vertical semi-axis
+    */
+   ellipseSignedDistance: function(dx, dy, a, b) {
+      var nx = dx / a;
+      var ny = dy / b;
+      var d = Math.sqrt(nx * nx + ny * ny);
+      if (d < 1e-9) return -Math.min(a, b);
+
+      // First-order distance: (d - 1) / |grad d|
+      var gx = nx / a;
+      var gy = ny / b;
+      var grad = Math.sqrt(gx * gx + gy * gy) / d;
+      return (d - 1) / grad;
+   },
+
+   /**
+    * Signed distance from a point to an axis-aligned rounded rectangle.
+    * Negative inside, positive outside.
+    * @param {Number} dx - X offset of the point from the rectangle center
+    * @param {Number} dy - Y offset of the point from the rectangle center
+    * @param {Number} halfW - Half width of the rectangle
+    * @param {Number} halfH - Half height of the rectangle
+    * @param {Number} radius - Corner radius (clamped to the smaller half size)
+    */
+   roundedRectSignedDistance: function(dx, dy, halfW, halfH, radius) {
+      radius = Math.max(0, Math.min(radius, halfW, halfH));
+      var qx = Math.abs(dx) - (halfW - radius);
+      var qy = Math.abs(dy) - (halfH - radius);
+      var ox = Math.max(qx, 0);
+      var oy = Math.max(qy, 0);
+      return Math.sqrt(ox * ox + oy * oy) + Math.min(Math.max(qx, qy), 0) - radius;
+   },
+
+   /**
+    * Distance of a rounded corner's arc midpoint from the bounding box corner,
+    * along each axis. Connection lines attach at this point.
+    * @param {Number} radius - Corner radius
+    */
+   roundedCornerInset: function(radius) {
+      return radius * (1 - Math.SQRT1_2);
+   },
+
+   /**
+    * Outline of a rounded rectangle as a closed polygon, for Graphics drawing.
+    * @param {Number} x0, y0, x1, y1 - Bounding box
+    * @param {Number} radius - Corner radius (clamped to half the smaller side)
+    * @returns {Array} Array of Point
+    */
+   roundedRectOutline: function(x0, y0, x1, y1, radius) {
+      radius = Math.max(0, Math.min(radius, (x1 - x0) / 2, (y1 - y0) / 2));
+      // Corner arc centers, clockwise from top-left, with their start angles
+      var corners = [
+         { x: x0 + radius, y: y0 + radius, angle: Math.PI },
+         { x: x1 - radius, y: y0 + radius, angle: 1.5 * Math.PI },
+         { x: x1 - radius, y: y1 - radius, angle: 0 },
+         { x: x0 + radius, y: y1 - radius, angle: 0.5 * Math.PI }
+      ];
+      var steps = 8;
+      var points = [];
+      for (var i = 0; i < corners.length; i++) {
+         for (var j = 0; j <= steps; j++) {
+            var angle = corners[i].angle + j * (Math.PI / 2) / steps;
+            points.push(new Point(corners[i].x + Math.cos(angle) * radius,
+                                  corners[i].y + Math.sin(angle) * radius));
+         }
+      }
+      return points;
+   },
+
+   /**
+    * External tangent lines between two circles.
+    * @returns {Array} Two segments {x0, y0, x1, y1} from the first circle to the
+    *                  second, or null if one circle contains the other
+    */
+   circleTangents: function(c1x, c1y, r1, c2x, c2y, r2) {
+      var dx = c2x - c1x;
+      var dy = c2y - c1y;
+      var d = Math.sqrt(dx * dx + dy * dy);
+      if (d <= Math.abs(r1 - r2) || d < 1e-9) return null;
+
+      var ux = dx / d;
+      var uy = dy / d;
+      // Line normal n satisfies n.u = (r2 - r1) / d
+      var c = (r2 - r1) / d;
+      var h = Math.sqrt(Math.max(0, 1 - c * c));
+
+      var lines = [];
+      for (var side = -1; side <= 1; side += 2) {
+         var nx = c * ux - side * h * uy;
+         var ny = c * uy + side * h * ux;
+         lines.push({
+            x0: c1x - r1 * nx, y0: c1y - r1 * ny,
+            x1: c2x - r2 * nx, y1: c2y - r2 * ny
+         });
+      }
+      return lines;
+   },
+
+   /**
+    * External tangent lines between two axis-aligned ellipses of similar aspect.
+    * The plane is stretched so the first ellipse becomes a circle, the circle
+    * tangents are computed and mapped back (tangency is preserved by the stretch).
+    * Falls back to the horizontal extremes when one ellipse contains the other.
+    * @returns {Array} Two segments {x0, y0, x1, y1} from the first ellipse to the second
+    */
+   ellipseTangents: function(c1x, c1y, a1, b1, c2x, c2y, a2, b2) {
+      var k = a1 / b1;
+      var r2 = (a2 + b2 * k) / 2;
+      var lines = this.circleTangents(c1x, c1y * k, a1, c2x, c2y * k, r2);
+
+      if (!lines) {
+         return [
+            { x0: c1x - a1, y0: c1y, x1: c2x - a2, y1: c2y },
+            { x0: c1x + a1, y0: c1y, x1: c2x + a2, y1: c2y }
+         ];
+      }
+
+      for (var i = 0; i < lines.length; i++) {
+         lines[i].y0 /= k;
+         lines[i].y1 /= k;
+      }
+      return lines;
+   },
+
+   /**
+    * Signed distance from a point to a closed polygon (even-odd rule).
+    * Negative inside, positive outside.
+    * @param {Number} px - X coordinate of the point
+    * @param {Number} py - Y coordinate of the point
+    * @param {Array} points - Polygon vertices {x, y}
+    */
+   polygonSignedDistance: function(px, py, points) {
+      var minDist2 = Infinity;
+      var inside = false;
+      var n = points.length;
+      for (var i = 0, j = n - 1; i < n; j = i++) {
+         var ax = points[j].x, ay = points[j].y;
+         var bx = points[i].x, by = points[i].y;
+         
+         // Distance to the edge segment
+         var ex = bx - ax, ey = by - ay;
+         var len2 = ex * ex + ey * ey;
+         var t = len2 > 0 ? ((px - ax) * ex + (py - ay) * ey) / len2 : 0;
+         if (t < 0) t = 0;
+         else if (t > 1) t = 1;
+         var dx = px - (ax + t * ex);
+         var dy = py - (ay + t * ey);
+         var d2 = dx * dx + dy * dy;
+         if (d2 < minDist2) minDist2 = d2;
+         
+         // Crossing test for inside/outside
+         if ((ay > py) !== (by > py) && px < ax + (py - ay) * ex / ey) {
+            inside = !inside;
+         }
+      }
+      var dist = Math.sqrt(minDist2);
+      return inside ? -dist : dist;
+   },
+
+   /**
+    * Reduce a closed polygon to at most maxPoints vertices by repeatedly
+    * removing the vertex that spans the smallest triangle (Visvalingam).
+    * Vertices adding less than half a square pixel of area are always removed.
+    * @param {Array} points - Polygon vertices {x, y}
+    * @param {Number} maxPoints - Maximum number of vertices to keep
+    * @returns {Array} New array of vertices
+    */
+   simplifyPolygon: function(points, maxPoints) {
+      var result = points.slice(0);
+      var triangleArea = function(i) {
+         var n = result.length;
+         var a = result[(i + n - 1) % n], b = result[i], c = result[(i + 1) % n];
+         return Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+      };
+      
+      while (result.length > 3) {
+         var minIndex = 0;
+         var minArea = Infinity;
+         for (var i = 0; i < result.length; i++) {
+            var area = triangleArea(i);
+            if (area < minArea) {
+               minArea = area;
+               minIndex = i;
+            }
+         }
+         if (result.length <= maxPoints && minArea >= 0.5) break;
+         result.splice(minIndex, 1);
+      }
+      return result;
+   },
+
+   /**
+    * Vertices of a regular polygon, normalized (0-1) to its own bounding box.
+    * With no rotation the first vertex points straight up.
+    * @param {Number} sides - Number of sides (3 or more)
+    * @param {Number} rotation - Rotation in degrees, clockwise
+    * @returns {Object} {points, aspect} where aspect is bounding box height / width
+    */
+   regularPolygon: function(sides, rotation) {
+      sides = Math.max(3, Math.round(sides));
+      var start = (rotation || 0) * Math.PI / 180 - Math.PI / 2;
+      var raw = [];
+      var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      for (var i = 0; i < sides; i++) {
+         var angle = start + i * 2 * Math.PI / sides;
+         var x = Math.cos(angle);
+         var y = Math.sin(angle);
+         raw.push({ x: x, y: y });
+         minX = Math.min(minX, x);
+         maxX = Math.max(maxX, x);
+         minY = Math.min(minY, y);
+         maxY = Math.max(maxY, y);
+      }
+      
+      var width = maxX - minX;
+      var height = maxY - minY;
+      var points = [];
+      for (var i = 0; i < raw.length; i++) {
+         points.push({ x: (raw[i].x - minX) / width, y: (raw[i].y - minY) / height });
+      }
+      return { points: points, aspect: height / width };
+   },
+
+   /**
+    * Map normalized polygon vertices (0-1 within a bounding box) to a box.
+    * @param {Array} points - Normalized vertices {x, y}
+    * @param {Number} x0, y0 - Box origin
+    * @param {Number} width, height - Box size
+    * @returns {Array} Vertices {x, y} in box coordinates
+    */
+   mapPolygon: function(points, x0, y0, width, height) {
+      var result = [];
+      for (var i = 0; i < points.length; i++) {
+         result.push({ x: x0 + points[i].x * width, y: y0 + points[i].y * height });
+      }
+      return result;
+   },
+
+   /**
+    * Outline of a normalized polygon mapped to a box, for Graphics drawing.
+    * @param {Array} points - Normalized vertices {x, y}
+    * @param {Number} x0, y0, x1, y1 - Bounding box
+    * @returns {Array} Array of Point
+    */
+   polygonOutline: function(points, x0, y0, x1, y1) {
+      var mapped = this.mapPolygon(points, x0, y0, x1 - x0, y1 - y0);
+      var result = [];
+      for (var i = 0; i < mapped.length; i++) {
+         result.push(new Point(mapped[i].x, mapped[i].y));
+      }
+      return result;
+   },
+
+   /**
+    * Convex hull of a set of points (monotone chain).
+    * Points keep any extra properties.
+    * @param {Array} points - Points {x, y}
+    * @returns {Array} Hull vertices in order
+    */
+   convexHull: function(points) {
+      var sorted = points.slice(0).sort(function(a, b) {
+         return a.x !== b.x ? a.x - b.x : a.y - b.y;
+      });
+      if (sorted.length < 3) return sorted;
+      
+      var cross = function(o, a, b) {
+         return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+      };
+      
+      var lower = [];
+      for (var i = 0; i < sorted.length; i++) {
+         while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], sorted[i]) <= 0) {
+            lower.pop();
+         }
+         lower.push(sorted[i]);
+      }
+      var upper = [];
+      for (var i = sorted.length - 1; i >= 0; i--) {
+         while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) {
+            upper.pop();
+         }
+         upper.push(sorted[i]);
+      }
+      lower.pop();
+      upper.pop();
+      return lower.concat(upper);
+   },
+
+   /**
+    * Outer connection lines between two polygons: the edges of the convex hull
+    * of both polygons that bridge from one to the other.
+    * @param {Array} pointsA - First polygon vertices {x, y}
+    * @param {Array} pointsB - Second polygon vertices {x, y}
+    * @returns {Array} Segments {x0, y0, x1, y1} from A to B (empty if one hull contains the other)
+    */
+   hullBridges: function(pointsA, pointsB) {
+      var tagged = [];
+      for (var i = 0; i < pointsA.length; i++) tagged.push({ x: pointsA[i].x, y: pointsA[i].y, fromA: true });
+      for (var i = 0; i < pointsB.length; i++) tagged.push({ x: pointsB[i].x, y: pointsB[i].y, fromA: false });
+      
+      var hull = this.convexHull(tagged);
+      var lines = [];
+      for (var i = 0; i < hull.length; i++) {
+         var p = hull[i];
+         var q = hull[(i + 1) % hull.length];
+         if (p.fromA === q.fromA) continue;
+         var a = p.fromA ? p : q;
+         var b = p.fromA ? q : p;
+         lines.push({ x0: a.x, y0: a.y, x1: b.x, y1: b.y });
+      }
+      return lines;
+   },
+
+   /**
+    * Outline of a shape inscribed in a bounding box as a closed path,
+    * offset inward by a distance (used to center strokes inside a border).
+    * @param {String} shape - "Rectangular", "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+    * @param {Number} x0, y0, x1, y1 - Bounding box
+    * @param {Object} shapeOptions - Optional {cornerRadius, points} (see InsetEngine Shape Masks)
+    * @param {Number} inset - Inward offset of the outline (0 = on the bounding box)
+    * @returns {Array} Path vertices {x, y}
+    */
+   shapeOutline: function(shape, x0, y0, x1, y1, shapeOptions, inset) {
+      inset = inset || 0;
+      var cx = (x0 + x1) / 2;
+      var cy = (y0 + y1) / 2;
+      var a = (x1 - x0) / 2 - inset;
+      var b = (y1 - y0) / 2 - inset;
+      if (shape === "Circular") a = b = Math.min(x1 - x0, y1 - y0) / 2 - inset;
+      a = Math.max(0, a);
+      b = Math.max(0, b);
+      
+      if (shape === "Circular" || shape === "Elliptical") {
+         // About one vertex every 4 pixels of perimeter
+         var steps = Math.max(32, Math.ceil(Math.PI * (a + b) / 2));
+         var points = [];
+         for (var i = 0; i < steps; i++) {
+            var angle = i * 2 * Math.PI / steps;
+            points.push({ x: cx + Math.cos(angle) * a, y: cy + Math.sin(angle) * b });
+         }
+         return points;
+      }
+      if (shape === "Rounded") {
+         var fraction = (shapeOptions && shapeOptions.cornerRadius !== undefined) ? shapeOptions.cornerRadius : 0.15;
+         var radius = Math.max(0, Math.min(0.5, fraction)) * Math.min(x1 - x0, y1 - y0) - inset;
+         return this.roundedRectOutline(cx - a, cy - b, cx + a, cy + b, radius);
+      }
+      if (shape === "Lasso" || shape === "Polygon") {
+         return this.mapPolygon(shapeOptions.points, cx - a, cy - b, 2 * a, 2 * b);
+      }
+      return [
+         { x: cx - a, y: cy - b }, { x: cx + a, y: cy - b },
+         { x: cx + a, y: cy + b }, { x: cx - a, y: cy + b }
+      ];
+   },
+
+   /**
+    * Dash pattern of a line style, as alternating dash and gap lengths along the path.
+    * Strokes have round caps reaching half the thickness past each end, so dashes
+    * are shortened and gaps widened by the thickness to keep the visible lengths.
+    * Dots are zero-length dashes (round caps only).
+    * @param {String} style - "Solid", "Dashed", "Dotted" or "Dash-dot"
+    * @param {Number} dashLength - Visible dash length in pixels
+    * @param {Number} gap - Visible gap in pixels
+    * @param {Number} thickness - Stroke thickness in pixels
+    * @returns {Array} Lengths [dash, gap, ...], or null for solid lines
+    */
+   dashPattern: function(style, dashLength, gap, thickness) {
+      var dash = Math.max(0, dashLength - thickness);
+      var space = Math.max(1, gap + thickness);
+      if (style === "Dashed") return [dash, space];
+      if (style === "Dotted") return [0, space];
+      if (style === "Dash-dot") return [dash, space, 0, space];
+      return null;
+   },
+
+   /**
+    * Point on a rectangle outline from a perimeter position. Positions run
+    * clockwise from the top-left corner, one unit per side: 0 = NW, 1 = NE,
+    * 2 = SE, 3 = SW, and halves are the edge midpoints.
+    * @param {Number} x0, y0, x1, y1 - Rectangle
+    * @param {Number} t - Perimeter position (wraps modulo 4)
+    * @returns {Object} Point {x, y}
+    */
+   rectPerimeterPoint: function(x0, y0, x1, y1, t) {
+      t = ((t % 4) + 4) % 4;
+      var side = Math.floor(t);
+      var f = t - side;
+      if (side === 0) return { x: x0 + f * (x1 - x0), y: y0 };
+      if (side === 1) return { x: x1, y: y0 + f * (y1 - y0) };
+      if (side === 2) return { x: x1 - f * (x1 - x0), y: y1 };
+      return { x: x0, y: y1 - f * (y1 - y0) };
+   },
+
+   /**
+    * Perimeter position (see rectPerimeterPoint) of the outline point nearest to a point.
+    * @param {Number} x0, y0, x1, y1 - Rectangle
+    * @param {Number} px, py - Point
+    * @returns {Number} Perimeter position in [0, 4)
+    */
+   rectPerimeterPosition: function(x0, y0, x1, y1, px, py) {
+      var clamp = function(v) { return v < 0 ? 0 : (v > 1 ? 1 : v); };
+      var w = Math.max(1e-9, x1 - x0);
+      var h = Math.max(1e-9, y1 - y0);
+      var fx = clamp((px - x0) / w);
+      var fy = clamp((py - y0) / h);
+      // Candidate per side: [position, distance]
+      var sides = [
+         [fx, Math.abs(py - y0) + Math.max(0, x0 - px, px - x1)],
+         [1 + fy, Math.abs(px - x1) + Math.max(0, y0 - py, py - y1)],
+         [2 + (1 - fx), Math.abs(py - y1) + Math.max(0, x0 - px, px - x1)],
+         [3 + (1 - fy), Math.abs(px - x0) + Math.max(0, y0 - py, py - y1)]
+      ];
+      var best = sides[0];
+      for (var i = 1; i < sides.length; i++) {
+         if (sides[i][1] < best[1]) best = sides[i];
+      }
+      return best[0] % 4;
+   },
+
+   /**
+    * A line bent into a quadratic Bezier curve, flattened to a path.
+    * The curve passes through the line midpoint moved by the bend offset.
+    * @param {Number} x0, y0 - Start point
+    * @param {Number} x1, y1 - End point
+    * @param {Object} bend - Offset {x, y} of the curve midpoint from the line midpoint
+    * @returns {Array} Path vertices {x, y} from start to end
+    */
+   bentLine: function(x0, y0, x1, y1, bend) {
+      // Control point: the curve midpoint is halfway between it and the chord midpoint
+      var cx = (x0 + x1) / 2 + 2 * bend.x;
+      var cy = (y0 + y1) / 2 + 2 * bend.y;
+      
+      // About one vertex every 4 pixels of the control polygon
+      var length = Math.sqrt((cx - x0) * (cx - x0) + (cy - y0) * (cy - y0)) +
+                   Math.sqrt((x1 - cx) * (x1 - cx) + (y1 - cy) * (y1 - cy));
+      var steps = Math.max(8, Math.min(256, Math.ceil(length / 4)));
+      
+      var points = [];
+      for (var i = 0; i <= steps; i++) {
+         var t = i / steps;
+         var u = 1 - t;
+         points.push({
+            x: u * u * x0 + 2 * u * t * cx + t * t * x1,
+            y: u * u * y0 + 2 * u * t * cy + t * t * y1
+         });
+      }
+      return points;
+   },
+
+   /**
+    * Path of a callout connector: from the inset center toward the source center
+    * (straight or bent), clipped to start on the inset outline and to end where it
+    * first reaches the source outline.
+    * @param {Array} sourceOutline - Closed source region outline {x, y}
+    * @param {Array} insetOutline - Closed inset outline {x, y}
+    * @param {Object} bend - Optional midpoint offset {x, y} of a curved callout (see bentLine)
+    * @returns {Array} Path vertices {x, y} from the inset to the source, or null if the shapes overlap
+    */
+   calloutPath: function(sourceOutline, insetOutline, bend) {
+      var center = function(points) {
+         var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+         for (var i = 0; i < points.length; i++) {
+            minX = Math.min(minX, points[i].x);
+            maxX = Math.max(maxX, points[i].x);
+            minY = Math.min(minY, points[i].y);
+            maxY = Math.max(maxY, points[i].y);
+         }
+         return { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+      };
+      var from = center(insetOutline);
+      var to = center(sourceOutline);
+      var path = (bend && (bend.x !== 0 || bend.y !== 0)) ?
+         this.bentLine(from.x, from.y, to.x, to.y, bend) : [from, to];
+      
+      // Crossings of the path with an outline, as path positions (segment index + fraction)
+      var crossings = function(outline) {
+         var hits = [];
+         for (var i = 0; i < path.length - 1; i++) {
+            var a = path[i], b = path[i + 1];
+            var rx = b.x - a.x, ry = b.y - a.y;
+            for (var j = 0, k = outline.length - 1; j < outline.length; k = j++) {
+               var c = outline[k], d = outline[j];
+               var sx = d.x - c.x, sy = d.y - c.y;
+               var denom = rx * sy - ry * sx;
+               if (Math.abs(denom) < 1e-12) continue;
+               var t = ((c.x - a.x) * sy - (c.y - a.y) * sx) / denom;
+               var u = ((c.x - a.x) * ry - (c.y - a.y) * rx) / denom;
+               if (t >= 0 && t <= 1 && u >= 0 && u <= 1) hits.push(i + t);
+            }
+         }
+         return hits;
+      };
+      
+      var start = 0;
+      var insetHits = crossings(insetOutline);
+      for (var i = 0; i < insetHits.length; i++) start = Math.max(start, insetHits[i]);
+      var end = Infinity;
+      var sourceHits = crossings(sourceOutline);
+      for (var i = 0; i < sourceHits.length; i++) {
+         if (sourceHits[i] > start) end = Math.min(end, sourceHits[i]);
+      }
+      if (end === Infinity) return null;
+      
+      // Cut the path between both positions
+      var at = function(position) {
+         var i = Math.min(path.length - 2, Math.floor(position));
+         var f = position - i;
+         return { x: path[i].x + f * (path[i + 1].x - path[i].x), y: path[i].y + f * (path[i + 1].y - path[i].y) };
+      };
+      var result = [at(start)];
+      for (var i = Math.floor(start) + 1; i < end; i++) result.push(path[i]);
+      result.push(at(end));
+      return result;
+   },
+
+   /**
+    * Shorten an open path at its end.
+    * @param {Array} points - Path vertices {x, y}
+    * @param {Number} length - Length to remove from the end
+    * @returns {Array} New path (a single point when the path is shorter than length)
+    */
+   trimPathEnd: function(points, length) {
+      var result = points.slice(0);
+      while (result.length > 1 && length > 0) {
+         var a = result[result.length - 2];
+         var b = result[result.length - 1];
+         var segment = Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+         if (segment > length) {
+            var f = (segment - length) / segment;
+            result[result.length - 1] = { x: a.x + f * (b.x - a.x), y: a.y + f * (b.y - a.y) };
+            break;
+         }
+         result.pop();
+         length -= segment;
+      }
+      return result;
+   },
+
+   /**
+    * Arrowhead triangle at the end of a path.
+    * @param {Array} points - Path vertices {x, y} (at least two)
+    * @param {Number} size - Head length; the base is as wide as the head is long
+    * @returns {Array} Triangle vertices {x, y}: tip, then both base corners
+    */
+   arrowHead: function(points, size) {
+      var tip = points[points.length - 1];
+      var prev = points[points.length - 2];
+      var dx = tip.x - prev.x;
+      var dy = tip.y - prev.y;
+      var length = Math.sqrt(dx * dx + dy * dy) || 1;
+      var ux = dx / length, uy = dy / length;
+      var bx = tip.x - ux * size, by = tip.y - uy * size;
+      return [
+         { x: tip.x, y: tip.y },
+         { x: bx - uy * size / 2, y: by + ux * size / 2 },
+         { x: bx + uy * size / 2, y: by - ux * size / 2 }
+      ];
+   },
+
+   /**
+    * Split a path into the dash segments of a pattern. The pattern continues
+    * across vertices, so dashes bend around corners.
+    * @param {Array} points - Path vertices {x, y}
+    * @param {Boolean} closed - Whether the path returns to its first vertex
+    * @param {Array} pattern - Dash pattern from dashPattern
+    * @returns {Array} Segments {x0, y0, x1, y1} (zero length for dots)
+    */
+   dashPolyline: function(points, closed, pattern) {
+      var segments = [];
+      var index = 0;               // Even entries are dashes, odd entries gaps
+      var remaining = pattern[0];  // Length left in the current entry
+      var count = closed ? points.length : points.length - 1;
+      for (var i = 0; i < count; i++) {
+         var a = points[i];
+         var b = points[(i + 1) % points.length];
+         var length = Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y));
+         if (length < 1e-9) continue;
+         var ux = (b.x - a.x) / length;
+         var uy = (b.y - a.y) / length;
+         
+         var pos = 0;
+         while (pos < length) {
+            var step = Math.min(remaining, length - pos);
+            if (index % 2 === 0) {
+               segments.push({
+                  x0: a.x + ux * pos, y0: a.y + uy * pos,
+                  x1: a.x + ux * (pos + step), y1: a.y + uy * (pos + step)
+               });
+            }
+            pos += step;
+            remaining -= step;
+            if (remaining <= 0) {
+               index = (index + 1) % pattern.length;
+               remaining = pattern[index];
+            }
+         }
+      }
+      return segments;
+   },
+
+   /**
+    * Place a caption box next to or inside an inset.
+    * @param {Number} x0, y0, x1, y1 - Inset bounds
+    * @param {Number} width - Caption box width
+    * @param {Number} height - Caption box height
+    * @param {String} placement - "Above", "Below" (centered outside the inset) or
+    *                             "Top-left", "Top-right", "Bottom-left", "Bottom-right" (inside a corner)
+    * @param {Number} margin - Distance from the inset edge
+    * @returns {Object} Caption box {x0, y0, x1, y1}
+    */
+   captionBox: function(x0, y0, x1, y1, width, height, placement, margin) {
+      var x = (x0 + x1 - width) / 2;
+      var y = y1 + margin;
+      if (placement === "Above") {
+         y = y0 - margin - height;
+      } else if (placement !== "Below") {
+         x = (placement === "Top-left" || placement === "Bottom-left") ? x0 + margin : x1 - margin - width;
+         y = (placement === "Top-left" || placement === "Top-right") ? y0 + margin : y1 - margin - height;
+      }
+      return { x0: x, y0: y, x1: x + width, y1: y + height };
+   },
+
+   /**
+    * Largest axis-aligned rectangle inside a shape, for content placed in its corners.
+    * @param {String} shape - Shape name (circles and ellipses shrink, other shapes keep their bounds)
+    * @param {Number} x0, y0, x1, y1 - Shape bounds
+    * @returns {Object} Rectangle {x0, y0, x1, y1}
+    */
+   inscribedRect: function(shape, x0, y0, x1, y1) {
+      if (shape !== "Circular" && shape !== "Elliptical") return { x0: x0, y0: y0, x1: x1, y1: y1 };
+      var cx = (x0 + x1) / 2;
+      var cy = (y0 + y1) / 2;
+      var a = (x1 - x0) / 2;
+      var b = (y1 - y0) / 2;
+      if (shape === "Circular") a = b = Math.min(a, b);
+      return {
+         x0: cx - a * Math.SQRT1_2,
+         y0: cy - b * Math.SQRT1_2,
+         x1: cx + a * Math.SQRT1_2,
+         y1: cy + b * Math.SQRT1_2
+      };
+   },
+
+   /**
+    * Rotate a vector clockwise (image coordinates, y down).
+    * @param {Number} x, y - Vector
+    * @param {Number} angle - Rotation in degrees, clockwise
+    * @returns {Object} Rotated vector {x, y}
+    */
+   rotateVector: function(x, y, angle) {
+      var radians = angle * Math.PI / 180;
+      var cos = Math.cos(radians);
+      var sin = Math.sin(radians);
+      return { x: x * cos - y * sin, y: x * sin + y * cos };
+   },
+
+   /**
+    * Corner radius in pixels of a rounded rectangle.
+    * @param {Number} width, height - Rectangle size
+    * @param {Object} shapeOptions - Optional {cornerRadius} as a fraction of the smaller side
+    * @returns {Number} Corner radius in pixels
+    */
+   cornerRadiusPixels: function(width, height, shapeOptions) {
+      var fraction = (shapeOptions && shapeOptions.cornerRadius !== undefined) ? shapeOptions.cornerRadius : 0.15;
+      return Math.max(0, Math.min(0.5, fraction)) * Math.min(width, height);
+   },
+
+   /**
+    * Signed distance function of a shape inscribed in a bounding box centered on the origin.
+    * Distances are negative inside the shape and positive outside.
+    * @param {String} shape - "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+    * @param {Number} halfW, halfH - Half size of the box
+    * @param {Object} shapeOptions - Optional shape settings (see shapeOutline)
+    * @returns {Function} function(dx, dy) returning the signed distance, or null for rectangles
+    */
+   shapeDistanceFunction: function(shape, halfW, halfH, shapeOptions) {
+      var self = this;
+      if (shape === "Circular") {
+         var radius = Math.min(halfW, halfH);
+         return function(dx, dy) { return Math.sqrt(dx * dx + dy * dy) - radius; };
+      }
+      if (shape === "Elliptical") {
+         return function(dx, dy) { return self.ellipseSignedDistance(dx, dy, halfW, halfH); };
+      }
+      if (shape === "Rounded") {
+         var cornerRadius = this.cornerRadiusPixels(2 * halfW, 2 * halfH, shapeOptions);
+         return function(dx, dy) { return self.roundedRectSignedDistance(dx, dy, halfW, halfH, cornerRadius); };
+      }
+      if ((shape === "Lasso" || shape === "Polygon") && shapeOptions && shapeOptions.points) {
+         var polygon = this.mapPolygon(shapeOptions.points, -halfW, -halfH, 2 * halfW, 2 * halfH);
+         return function(dx, dy) { return self.polygonSignedDistance(dx, dy, polygon); };
+      }
+      return null;
+   },
+
+   /**
+    * Smallest magnification that keeps rotated content covering a shape. The
+    * content is masked by the same shape, so the inset outline, turned back by
+    * the angle, has to stay inside the content shape grown by the magnification
+    * (edges are sampled every few pixels, for shapes that are not convex).
+    * @param {String} shape - Shape name
+    * @param {Number} width, height - Box size
+    * @param {Object} shapeOptions - Optional shape settings (see shapeOutline)
+    * @param {Number} angle - Content rotation in degrees, clockwise
+    * @returns {Number} Magnification, at least 1 (at most 16 for shapes that cannot be covered)
+    */
+   rotationCoverZoom: function(shape, width, height, shapeOptions, angle) {
+      var halfW = width / 2;
+      var halfH = height / 2;
+      var outline = this.shapeOutline(shape, -halfW, -halfH, halfW, halfH, shapeOptions, 0);
+      var distanceAt = this.shapeDistanceFunction(shape, halfW, halfH, shapeOptions) || function(dx, dy) {
+         return Math.max(Math.abs(dx) - halfW, Math.abs(dy) - halfH);
+      };
+      var outside = function(p, zoom) {
+         return distanceAt(p.x / zoom, p.y / zoom) > 1e-6;
+      };
+      
+      var zoom = 1;
+      for (var i = 0; i < outline.length; i++) {
+         var a = outline[i];
+         var b = outline[(i + 1) % outline.length];
+         var steps = Math.max(1, Math.ceil(Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.y - a.y) * (b.y - a.y)) / 4));
+         for (var k = 0; k < steps; k++) {
+            var p = this.rotateVector(a.x + (b.x - a.x) * k / steps, a.y + (b.y - a.y) * k / steps, -angle);
+            if (!outside(p, zoom)) continue;
+            
+            // The shape grows from its center: bisect the magnification that reaches the point
+            var low = zoom;
+            var high = zoom * 2;
+            while (high < 16 && outside(p, high)) high *= 2;
+            high = Math.min(high, 16);
+            for (var j = 0; j < 16; j++) {
+               var mid = (low + high) / 2;
+               if (outside(p, mid)) low = mid;
+               else high = mid;
+            }
+            zoom = high;
+         }
+      }
+      return zoom;
+   },
+
+   /**
+    * Turn a path about a center.
+    * @param {Array} points - Path vertices {x, y}
+    * @param {Number} cx, cy - Center of rotation
+    * @param {Number} angle - Rotation in degrees, clockwise
+    * @returns {Array} Turned vertices {x, y}
+    */
+   rotatePath: function(points, cx, cy, angle) {
+      var result = [];
+      for (var i = 0; i < points.length; i++) {
+         var p = this.rotateVector(points[i].x - cx, points[i].y - cy, angle);
+         result.push({ x: cx + p.x, y: cy + p.y });
+      }
+      return result;
+   },
+
+   /**
+    * Outline of a source region: the shape outline turned about the box center
+    * by the region angle (rotated rectangles from Extract mode).
+    * @param {String} shape - Shape name
+    * @param {Number} x0, y0, x1, y1 - Bounding box of the unrotated shape
+    * @param {Object} shapeOptions - Optional shape settings with sourceAngle (see InsetEngine Shape Masks)
+    * @returns {Array} Path vertices {x, y} (corners NW, NE, SE, SW for rectangles)
+    */
+   sourceOutline: function(shape, x0, y0, x1, y1, shapeOptions) {
+      var outline = this.shapeOutline(shape, x0, y0, x1, y1, shapeOptions, 0);
+      var angle = (shapeOptions && shapeOptions.sourceAngle) || 0;
+      return angle ? this.rotatePath(outline, (x0 + x1) / 2, (y0 + y1) / 2, angle) : outline;
+   },
+
+   /**
+    * Shape settings of an inset whose content is mirrored: the polygon vertices
+    * are mirrored within the bounding box with the content, the unmirrored
+    * settings are kept as sourceOptions for the source end of connectors.
+    * @param {Object} shapeOptions - Shape settings (see InsetEngine Shape Masks)
+    * @param {Boolean} horizontal - Mirror left to right
+    * @param {Boolean} vertical - Mirror top to bottom
+    * @returns {Object} Mirrored settings (the input itself when nothing changes)
+    */
+   mirrorShapeOptions: function(shapeOptions, horizontal, vertical) {
+      if (!shapeOptions || !shapeOptions.points || (!horizontal && !vertical)) return shapeOptions;
+      
+      var result = {};
+      for (var key in shapeOptions) result[key] = shapeOptions[key];
+      result.points = [];
+      for (var i = 0; i < shapeOptions.points.length; i++) {
+         var p = shapeOptions.points[i];
+         result.points.push({ x: horizontal ? 1 - p.x : p.x, y: vertical ? 1 - p.y : p.y });
+      }
+      result.sourceOptions = this.sourceShapeOptions(shapeOptions);
+      return result;
+   },
+
+   /**
+    * Shape settings of the source region, for settings that may be mirrored.
+    * @param {Object} shapeOptions - Shape settings, possibly from mirrorShapeOptions
+    * @returns {Object} Unmirrored settings
+    */
+   sourceShapeOptions: function(shapeOptions) {
+      return (shapeOptions && shapeOptions.sourceOptions) || shapeOptions;
+   }
+};
@@ -26,6 +26,10 @@
 #include "ExtractPanel.js"
 #include "FinalizePanel.js"
 #include "ScalingUtils.js"
+#include "GeometryUtils.js"
+#include "WcsUtils.js"
+#include "SkyCatalog.js"
+#include "StretchUtils.js"
 
 /**
  * pInsetDialogUI - Full dialog implementation with horizontal split layout.
@@ -42,7 +46,17 @@ function pInsetDialogUI(params) {
       regionY: 0,
       regionWidth: 100,
       regionHeight: 100,
+      regionAngle: 0,  // Rectangular shape, degrees clockwise about the region center
       insetShape: "Rectangular",
+      cornerRadius: 15,  // Rounded shape, % of the smaller side
+      lassoPoints: null,  // Lasso shape, vertices normalized to the region
+      polygonSides: 6,  // Polygon shape, number of sides
+      polygonRotation: 0,  // Polygon shape, degrees clockwise
+      // Region by sky coordinates (plate-solved images)
+      skyRA: "",  // hours (sexagesimal) or degrees (decimal)
+      skyDec: "",  // degrees
+      skyWidth: 10,  // arcmin
+      skyHeight: 10,  // arcmin
       zoomFactor: 2.0,
       positionPreset: "Bottom-Right",
       customX: 0,
@@ -63,7 +77,98 @@ function pInsetDialogUI(params) {
       margin: 10,
       drawConnectionLine: true,
       drawSourceIndicator: true,
-      applyOpacityToImage: false
+      applyOpacityToImage: false,
+      // Feathered mode: insets fade into the background, no border
+      featherInsets: false,
+      featherWidth: 30,  // px
+      // Drop shadow under each inset
+      shadowEnabled: false,
+      shadowOffset: 8,  // px, down and right
+      shadowBlur: 12,  // px
+      shadowColorR: 0,
+      shadowColorG: 0,
+      shadowColorB: 0,
+      shadowOpacity: 60,  // 0-100%
+      // Outer glow around each inset
+      glowEnabled: false,
+      glowOffset: 0,
+      glowBlur: 16,
+      glowColorR: 255,
+      glowColorG: 255,
+      glowColorB: 255,
+      glowOpacity: 40,
+      // Outline stroke under the indicator, connection lines and inset border
+      outlineEnabled: false,
+      outlineWidth: 1,    // px on each side of the main stroke
+      outlineColorR: 0,
+      outlineColorG: 0,
+      outlineColorB: 0,
+      outlineOpacity: 100, // 0-100%
+      // Line styles (see LINE_STYLES) and dash lengths in px
+      indicatorLineStyle: "Solid",
+      connectionLineStyle: "Solid",
+      borderLineStyle: "Solid",
+      dashLength: 12,
+      dashGap: 6,
+      // Connection lines bent by a draggable handle in the Finalize preview
+      curvedConnectors: false,
+      // Circular insets: connect with the external tangents instead of the anchor handles
+      circleTangents: false,
+      // Rectangular insets: only the two outer corner lines instead of all four
+      outerCornerLines: false,
+      // Connector style (see CONNECTOR_STYLES) and callout arrowhead or dot size in px
+      connectorStyle: "Lines",
+      calloutHeadSize: 16,
+      // Translucent projection cone between each source region and its inset
+      coneEnabled: false,
+      coneColorR: 255,
+      coneColorG: 255,
+      coneColorB: 255,
+      coneOpacity: 15,  // 0-100%
+      // Inset captions (text is set per inset), size in output px
+      captionEnabled: false,
+      captionSize: 32,
+      captionColorR: 255,
+      captionColorG: 255,
+      captionColorB: 255,
+      captionOpacity: 100,  // 0-100%
+      captionFont: "Helvetica",
+      captionBold: false,
+      captionPlacement: "Below",  // See CAPTION_PLACEMENTS
+      // Background plate behind each caption
+      captionPlateEnabled: false,
+      captionPlateColorR: 0,
+      captionPlateColorG: 0,
+      captionPlateColorB: 0,
+      captionPlateOpacity: 60,  // 0-100%
+      // Magnification badge inside a corner of each inset, in the border color
+      badgeEnabled: false,
+      badgeSize: 20,  // px
+      badgeCorner: "Top-left",
+      // Angular scale bars on the source image and on each inset
+      scaleBarEnabled: false,
+      scaleBarCorner: "Bottom-left",
+      scaleBarTextSize: 20,  // px
+      pixelScale: 1.0,  // arcsec/px, used when the source image has no astrometric solution
+      // North/east compass of plate-solved images
+      compassEnabled: false,
+      compassSize: 80,  // px, arm length
+      compassColorR: 255,
+      compassColorG: 255,
+      compassColorB: 255,
+      compassOpacity: 100,  // 0-100%
+      compassCorner: "Top-right",
+      compassInsets: false,  // Also inside each inset
+      // Catalog object labels inside insets of plate-solved images
+      objectLabelsEnabled: false,
+      objectLabelsSize: 16,  // px
+      objectLabelsColorR: 255,
+      objectLabelsColorG: 255,
+      objectLabelsColorB: 255,
+      objectLabelsOpacity: 100,  // 0-100%
+      // Automatic screen stretch of the preview bitmaps (linear images), see StretchUtils
+      previewStretch: false,
+      previewStretchLinked: true  // Same stretch for all RGB channels
    };
    
    this.targetView = null;
@@ -73,7 +178,7 @@ function pInsetDialogUI(params) {
    this.imageHeight = 0;
    
    // Interaction state
-   this.interactionMode = null; // null, "draw", "move", "resize"
+   this.interactionMode = null; // null, "draw", "move", "resize", "rotate", "lasso"
    this.hasDrawnRegion = false;
    this.dragStartX = 0;
    this.dragStartY = 0;
@@ -81,6 +186,9 @@ function pInsetDialogUI(params) {
    this.dragOffsetY = 0;
    this.resizeHandle = null; // "nw", "ne", "sw", "se" for corners
    this.originalRegion = null; // Store original region during resize
+   this.lassoPath = null; // Lasso vertices (image coordinates) while drawing
+   this.lassoCursor = null; // Preview position for the lasso rubber band
+   this.lassoDragPoints = 0; // Vertices added by the current drag (freehand)
    
    // Edge detection threshold in pixels
    this.handleSize = 10;
@@ -89,35 +197,26 @@ function pInsetDialogUI(params) {
    this.isPreviewMode = false;
    this.zoomedPreviewBitmap = null;
    
-   // Finalize mode: inset position/size state
-   this.insetX = 0;
-   this.insetY = 0;
-   this.insetWidth = 100;
-   this.insetHeight = 100;
-   this.insetBitmap = null;
-   this.finalizeInteractionMode = null; // null, "move", "resize", "pan"
+   // Finalize mode: composition state
+   // Each inset holds its extracted view, source region, position/size,
+   // connection anchors and preview bitmap (see createCompositionInset)
+   this.insets = [];
+   this.activeInsetIndex = -1;
+   this.finalizeInteractionMode = null; // null, "move", "resize", "pan", "anchor-drag", "edge-anchor-drag", "curve-drag"
    this.finalizeDragStartX = 0;
    this.finalizeDragStartY = 0;
    this.finalizeDragOffsetX = 0;
    this.finalizeDragOffsetY = 0;
-   this.finalizeResizeHandle = null;
+   this.finalizeResizeHandle = null; // Corner/cardinal name, or "vertex" for polygons
+   this.finalizeResizeVertex = null; // Polygon vertex index for the "vertex" handle
    this.finalizeOriginalRegion = null;
+   this.editEdgeAnchors = false; // Show the draggable edge anchors of rectangular insets
    
    // Finalize preview zoom/pan state
    this.finalizeZoom = 1.0;       // 1.0 = fit to preview, <1 = zoom out
    this.finalizePanX = 0;         // Pan offset in preview coordinates
    this.finalizePanY = 0;
    
-   // Source anchor positions for connection lines
-   // For circular: angles in radians (default: left=PI, right=0)
-   // For rectangular: not used - corners are fixed
-   this.sourceAnchors = {
-      // Circular anchors (angles in radians, 0 = right, PI = left)
-      leftAngle: Math.PI,      // Left side of circle
-      rightAngle: 0            // Right side of circle
-   };
-
-   
    var self = this;
    
    // =========================================================================
@@ -187,6 +286,46 @@ pInsetDialogUI.prototype.createLeftPanel = function() {
    modeSizer.add(this.modeLabel);
    modeSizer.add(this.modeCombo, 100);
    
+   // -------------------------------------------------------------------------
+   // Preview Screen Stretch (both modes)
+   // -------------------------------------------------------------------------
+   
+   var stretchLabel = new Label(panel);
+   stretchLabel.text = "Preview:";
+   stretchLabel.setFixedWidth(labelWidth);
+   stretchLabel.textAlignment = TextAlign_Left | TextAlign_VertCenter;
+   
+   this.stretchCheck = new CheckBox(panel);
+   this.stretchCheck.text = "Auto stretch";
+   this.stretchCheck.checked = this.params.previewStretch === true;
+   this.stretchCheck.toolTip = "Show linear images with an automatic screen stretch computed from their statistics " +
+                               "(like STF AutoStretch), each inset with its own. Only the previews are stretched, " +
+                               "extracted and generated images keep their pixels";
+   this.stretchCheck.onCheck = function(checked) {
+      self.params.previewStretch = checked;
+      self.stretchLinkedCheck.enabled = checked;
+      self.refreshPreviewStretch();
+   };
+   
+   this.stretchLinkedCheck = new CheckBox(panel);
+   this.stretchLinkedCheck.text = "Linked RGB";
+   this.stretchLinkedCheck.checked = this.params.previewStretchLinked !== false;
+   this.stretchLinkedCheck.enabled = this.params.previewStretch === true;
+   this.stretchLinkedCheck.toolTip = "Stretch the RGB channels together (keeps the color balance) " +
+                                     "or each on its own (neutralizes a color cast in the background)";
+   this.stretchLinkedCheck.onCheck = function(checked) {
+      self.params.previewStretchLinked = checked;
+      self.refreshPreviewStretch();
+   };
+   
+   var stretchSizer = new HorizontalSizer;
+   stretchSizer.spacing = 6;
+   stretchSizer.add(stretchLabel);
+   stretchSizer.add(this.stretchCheck);
+   stretchSizer.addSpacing(8);
+   stretchSizer.add(this.stretchLinkedCheck);
+   stretchSizer.addStretch();
+   
    // =========================================================================
    // EXTRACT MODE CONTROLS
    // =========================================================================
@@ -212,6 +351,7 @@ pInsetDialogUI.prototype.createLeftPanel = function() {
    leftSizer.margin = 0;
    leftSizer.spacing = 6;
    leftSizer.add(modeSizer);
+   leftSizer.add(stretchSizer);
    // Extract mode controls
    leftSizer.add(extractControls.imageLabel);
    leftSizer.add(extractControls.imageList);
@@ -222,6 +362,7 @@ pInsetDialogUI.prototype.createLeftPanel = function() {
    leftSizer.add(finalizeControls.sourceList);
    leftSizer.add(finalizeControls.insetLabel);
    leftSizer.add(finalizeControls.insetList);
+   leftSizer.add(finalizeControls.insetSelectControl);
    leftSizer.add(finalizeControls.group);
    leftSizer.add(finalizeControls.generateButton);
    leftSizer.addStretch();
@@ -287,6 +428,12 @@ pInsetDialogUI.prototype.createRightPanel = function() {
 // =============================================================================
 
 pInsetDialogUI.prototype.drawSelectionOverlay = function(g, offsetX, offsetY) {
+   // Lasso in progress: draw the path so far
+   if (this.lassoPath) {
+      this.drawLassoPath(g, offsetX, offsetY);
+      return;
+   }
+   
    // Only draw if user has drawn a region
    if (!this.hasDrawnRegion) return;
    if (this.params.regionWidth < 10 || this.params.regionHeight < 10) return;
@@ -297,46 +444,87 @@ pInsetDialogUI.prototype.drawSelectionOverlay = function(g, offsetX, offsetY) {
    var pw = this.params.regionWidth * this.previewScale;
    var ph = this.params.regionHeight * this.previewScale;
    
+   // Corners NW, NE, SE, SW (turned about the center for rotated rectangles)
+   var angle = extractRegionAngle(this.params);
+   var corners = GeometryUtils.sourceOutline("Rectangular", px, py, px + pw, py + ph, { sourceAngle: angle });
+   
    // Enable antialiasing for smoother drawing
    g.antialiasing = true;
    
-   if (this.params.insetShape === "Circular") {
+   if (this.params.insetShape === "Circular" || this.params.insetShape === "Elliptical") {
       // Draw ellipse/circle
       var cx = px + pw / 2;
       var cy = py + ph / 2;
-      var r = Math.min(pw, ph) / 2;
+      var rx = this.params.insetShape === "Circular" ? Math.min(pw, ph) / 2 : pw / 2;
+      var ry = this.params.insetShape === "Circular" ? rx : ph / 2;
       
       // Fill
       g.pen = new Pen(0x00000000, 0);
       g.brush = new Brush(0x40FFFF00);
-      g.fillEllipse(cx - r, cy - r, cx + r, cy + r);
+      g.fillEllipse(cx - rx, cy - ry, cx + rx, cy + ry);
       
       // Border
       g.pen = new Pen(0xFFFFFF00, 2);
-      g.strokeEllipse(cx - r, cy - r, cx + r, cy + r);
+      g.strokeEllipse(cx - rx, cy - ry, cx + rx, cy + ry);
       
-      // Draw cardinal handles for circular shapes (only in Extract mode)
+      // Draw cardinal handles for circular/elliptical shapes (only in Extract mode)
       if (this.getMode() === "Extract") {
          var hs = 6; // Handle visual size
          g.pen = new Pen(0xFFFFFFFF, 1);
          g.brush = new Brush(0xFFFFFF00);
          
          // North (top)
-         g.fillRect(cx - hs, cy - r - hs, cx + hs, cy - r + hs);
-         g.strokeRect(cx - hs, cy - r - hs, cx + hs, cy - r + hs);
+         g.fillRect(cx - hs, cy - ry - hs, cx + hs, cy - ry + hs);
+         g.strokeRect(cx - hs, cy - ry - hs, cx + hs, cy - ry + hs);
          
          // South (bottom)
-         g.fillRect(cx - hs, cy + r - hs, cx + hs, cy + r + hs);
-         g.strokeRect(cx - hs, cy + r - hs, cx + hs, cy + r + hs);
+         g.fillRect(cx - hs, cy + ry - hs, cx + hs, cy + ry + hs);
+         g.strokeRect(cx - hs, cy + ry - hs, cx + hs, cy + ry + hs);
          
          // West (left)
-         g.fillRect(cx - r - hs, cy - hs, cx - r + hs, cy + hs);
-         g.strokeRect(cx - r - hs, cy - hs, cx - r + hs, cy + hs);
+         g.fillRect(cx - rx - hs, cy - hs, cx - rx + hs, cy + hs);
+         g.strokeRect(cx - rx - hs, cy - hs, cx - rx + hs, cy + hs);
          
          // East (right)
-         g.fillRect(cx + r - hs, cy - hs, cx + r + hs, cy + hs);
-         g.strokeRect(cx + r - hs, cy - hs, cx + r + hs, cy + hs);
+         g.fillRect(cx + rx - hs, cy - hs, cx + rx + hs, cy + hs);
+         g.strokeRect(cx + rx - hs, cy - hs, cx + rx + hs, cy + hs);
       }
+   } else if (this.params.insetShape === "Rounded") {
+      // Draw rounded rectangle
+      var outline = GeometryUtils.roundedRectOutline(px, py, px + pw, py + ph,
+         this.params.cornerRadius / 100 * Math.min(pw, ph));
+      g.pen = new Pen(0x00000000, 0);
+      g.brush = new Brush(0x40FFFF00);
+      g.fillPolygon(outline);
+      
+      // Border
+      g.pen = new Pen(0xFFFFFF00, 2);
+      g.strokePolygon(outline);
+   } else if (this.params.insetShape === "Lasso" || this.params.insetShape === "Polygon") {
+      // Draw lasso or regular polygon
+      var outline = GeometryUtils.polygonOutline(extractPolygonPoints(this.params), px, py, px + pw, py + ph);
+      g.pen = new Pen(0x00000000, 0);
+      g.brush = new Brush(0x40FFFF00);
+      g.fillPolygon(outline);
+      
+      // Border
+      g.pen = new Pen(0xFFFFFF00, 2);
+      g.strokePolygon(outline);
+      
+      // Bounding box for the resize handles
+      g.pen = new Pen(0x80FFFF00, 1, PenStyle_Dash);
+      g.strokeRect(px, py, px + pw, py + ph);
+   } else if (angle) {
+      // Draw rotated rectangle
+      var outline = [];
+      for (var i = 0; i < corners.length; i++) outline.push(new Point(corners[i].x, corners[i].y));
+      g.pen = new Pen(0x00000000, 0);
+      g.brush = new Brush(0x40FFFF00);
+      g.fillPolygon(outline);
+      
+      // Border
+      g.pen = new Pen(0xFFFFFF00, 2);
+      g.strokePolygon(outline);
    } else {
       // Draw rectangle
       g.pen = new Pen(0x00000000, 0);
@@ -346,35 +534,72 @@ pInsetDialogUI.prototype.drawSelectionOverlay = function(g, offsetX, offsetY) {
       // Border
       g.pen = new Pen(0xFFFFFF00, 2);
       g.strokeRect(px, py, px + pw, py + ph);
-      
+   }
+   
+   if (this.params.insetShape === "Rectangular" || this.params.insetShape === "Rounded" ||
+       this.params.insetShape === "Lasso" || this.params.insetShape === "Polygon") {
       // Draw corner handles for rectangular shapes (only in Extract mode)
       if (this.getMode() === "Extract") {
          var hs = 6; // Handle visual size
          g.pen = new Pen(0xFFFFFFFF, 1);
          g.brush = new Brush(0xFFFFFF00);
          
-         // NW corner
-         g.fillRect(px - hs, py - hs, px + hs, py + hs);
-         g.strokeRect(px - hs, py - hs, px + hs, py + hs);
-         
-         // NE corner
-         g.fillRect(px + pw - hs, py - hs, px + pw + hs, py + hs);
-         g.strokeRect(px + pw - hs, py - hs, px + pw + hs, py + hs);
+         // NW, NE, SE and SW corners
+         for (var i = 0; i < corners.length; i++) {
+            g.fillRect(corners[i].x - hs, corners[i].y - hs, corners[i].x + hs, corners[i].y + hs);
+            g.strokeRect(corners[i].x - hs, corners[i].y - hs, corners[i].x + hs, corners[i].y + hs);
+         }
          
-         // SW corner
-         g.fillRect(px - hs, py + ph - hs, px + hs, py + ph + hs);
-         g.strokeRect(px - hs, py + ph - hs, px + hs, py + ph + hs);
-         
-         // SE corner
-         g.fillRect(px + pw - hs, py + ph - hs, px + pw + hs, py + ph + hs);
-         g.strokeRect(px + pw - hs, py + ph - hs, px + pw + hs, py + ph + hs);
+         // Rotation handle of rectangles, above the top edge and turning with it
+         if (this.params.insetShape === "Rectangular") {
+            var handle = regionRotationHandle(this);
+            g.pen = new Pen(0xFFFFFF00, 1);
+            g.drawLine(handle.baseX + offsetX, handle.baseY + offsetY, handle.x + offsetX, handle.y + offsetY);
+            g.pen = new Pen(0xFFFFFFFF, 1);
+            g.brush = new Brush(0xFFFFFF00);
+            g.fillCircle(handle.x + offsetX, handle.y + offsetY, 5);
+            g.strokeCircle(handle.x + offsetX, handle.y + offsetY, 5);
+         }
       }
    }
    
-   // Draw dimensions text
+   // Draw dimensions text below the region
+   var textX = px;
+   var textY = py + ph;
+   for (var i = 0; i < corners.length; i++) {
+      textX = Math.min(textX, corners[i].x);
+      textY = Math.max(textY, corners[i].y);
+   }
    g.pen = new Pen(0xFFFFFFFF);
-   g.drawText(px + 4, py + ph + 14, 
-      Math.round(this.params.regionWidth) + " x " + Math.round(this.params.regionHeight));
+   g.drawText(textX + 4, textY + 14, 
+      Math.round(this.params.regionWidth) + " x " + Math.round(this.params.regionHeight) +
+      (angle ? " at " + angle + "\u00B0" : ""));
+};
+
+/**
+ * Draw the lasso path being drawn, with a rubber band to the cursor.
+ * The first vertex is marked since clicking it closes the polygon.
+ */
+pInsetDialogUI.prototype.drawLassoPath = function(g, offsetX, offsetY) {
+   var points = [];
+   for (var i = 0; i < this.lassoPath.length; i++) {
+      points.push(new Point(this.lassoPath[i].x * this.previewScale + offsetX,
+                            this.lassoPath[i].y * this.previewScale + offsetY));
+   }
+   if (this.lassoCursor && !this.interactionMode) {
+      points.push(new Point(this.lassoCursor.x + offsetX, this.lassoCursor.y + offsetY));
+   }
+   
+   g.antialiasing = true;
+   g.pen = new Pen(0xFFFFFF00, 2);
+   if (points.length > 1) g.drawPolyline(points);
+   
+   // First vertex handle
+   var hs = 6;
+   g.pen = new Pen(0xFFFFFFFF, 1);
+   g.brush = new Brush(0xFFFFFF00);
+   g.fillRect(points[0].x - hs, points[0].y - hs, points[0].x + hs, points[0].y + hs);
+   g.strokeRect(points[0].x - hs, points[0].y - hs, points[0].x + hs, points[0].y + hs);
 };
 
 /**
@@ -400,41 +625,51 @@ pInsetDialogUI.prototype.hitTestRegion = function(px, py) {
    var x1 = x0 + pw;
    var y1 = y0 + ph;
    
+   // Rotated rectangles are tested in their own unrotated frame
+   var angle = extractRegionAngle(this.params);
+   if (angle) {
+      var local = GeometryUtils.rotateVector(px - (x0 + x1) / 2, py - (y0 + y1) / 2, -angle);
+      px = (x0 + x1) / 2 + local.x;
+      py = (y0 + y1) / 2 + local.y;
+   }
+   
    var hs = this.handleSize;
    
-   if (this.params.insetShape === "Circular") {
-      // For circular: use cardinal point handles
+   if (this.params.insetShape === "Circular" || this.params.insetShape === "Elliptical") {
+      // For circular/elliptical: use cardinal point handles
       var cx = x0 + pw / 2;
       var cy = y0 + ph / 2;
-      var r = Math.min(pw, ph) / 2;
+      var rx = this.params.insetShape === "Circular" ? Math.min(pw, ph) / 2 : pw / 2;
+      var ry = this.params.insetShape === "Circular" ? rx : ph / 2;
       
       // Larger hit area for circular handles
       var circleHs = 15;
       
       // North (top)
       if (px >= cx - circleHs && px <= cx + circleHs && 
-          py >= cy - r - circleHs && py <= cy - r + circleHs) {
+          py >= cy - ry - circleHs && py <= cy - ry + circleHs) {
          return { handle: "n", inside: false };
       }
       // South (bottom)
       if (px >= cx - circleHs && px <= cx + circleHs && 
-          py >= cy + r - circleHs && py <= cy + r + circleHs) {
+          py >= cy + ry - circleHs && py <= cy + ry + circleHs) {
          return { handle: "s", inside: false };
       }
       // West (left)
-      if (px >= cx - r - circleHs && px <= cx - r + circleHs && 
+      if (px >= cx - rx - circleHs && px <= cx - rx + circleHs && 
           py >= cy - circleHs && py <= cy + circleHs) {
          return { handle: "w", inside: false };
       }
       // East (right)
-      if (px >= cx + r - circleHs && px <= cx + r + circleHs && 
+      if (px >= cx + rx - circleHs && px <= cx + rx + circleHs && 
           py >= cy - circleHs && py <= cy + circleHs) {
          return { handle: "e", inside: false };
       }
       
-      // Check if inside the circle
-      var dist = Math.sqrt((px - cx) * (px - cx) + (py - cy) * (py - cy));
-      if (dist <= r) {
+      // Check if inside the circle/ellipse
+      var nx = (px - cx) / rx;
+      var ny = (py - cy) / ry;
+      if (nx * nx + ny * ny <= 1) {
          return { handle: null, inside: true };
       }
    } else {
@@ -456,8 +691,13 @@ pInsetDialogUI.prototype.hitTestRegion = function(px, py) {
          return { handle: "se", inside: false };
       }
       
-      // Check if inside the rectangle
+      // Check if inside the rectangle (or the polygon)
       if (px >= x0 && px <= x1 && py >= y0 && py <= y1) {
+         var points = extractPolygonPoints(this.params);
+         if (points) {
+            var polygon = GeometryUtils.mapPolygon(points, x0, y0, pw, ph);
+            return { handle: null, inside: GeometryUtils.polygonSignedDistance(px, py, polygon) <= 0 };
+         }
          return { handle: null, inside: true };
       }
    }
@@ -508,8 +748,8 @@ pInsetDialogUI.prototype.updatePreviewBitmap = function() {
    
    // Render image to bitmap (no beginProcess needed for reading)
    try {
-      // Render and scale the image
-      var fullBitmap = image.render();
+      // Render (screen-stretched when enabled) and scale the image
+      var fullBitmap = StretchUtils.renderPreview(this, this.targetView, this.params);
       this.previewBitmap = fullBitmap.scaledTo(scaledW, scaledH);
    } catch (e) {
       console.writeln("pInset: Error rendering preview - " + e.message);
@@ -519,6 +759,18 @@ pInsetDialogUI.prototype.updatePreviewBitmap = function() {
    this.previewControl.repaint();
 };
 
+/**
+ * Rebuild every preview bitmap after the screen stretch settings change.
+ */
+pInsetDialogUI.prototype.refreshPreviewStretch = function() {
+   this.updatePreviewBitmap();
+   if (this.isPreviewMode) createZoomedPreviewBitmap(this);
+   for (var i = 0; i < this.insets.length; i++) {
+      if (this.insets[i].bitmap) createInsetBitmap(this, this.insets[i]);
+   }
+   if (this.finalizePreviewControl) this.finalizePreviewControl.repaint();
+};
+
 // =============================================================================
 // UTILITY METHODS
 // =============================================================================
@@ -533,7 +785,11 @@ pInsetDialogUI.prototype.updateImageDimensions = function() {
 
 pInsetDialogUI.prototype.collectParams = function() {
    // regionX/Y/Width/Height are already set by mouse drawing in params
-   this.params.insetShape = this.shapeCombo.currentItem === 1 ? "Circular" : "Rectangular";
+   this.params.insetShape = EXTRACT_SHAPES[this.shapeCombo.currentItem];
+   this.params.cornerRadius = this.cornerRadiusControl.value;
+   this.params.polygonSides = this.polygonSidesSpin.value;
+   this.params.polygonRotation = this.polygonRotationControl.value;
+   this.params.regionAngle = this.regionAngleControl.value;
    this.params.zoomFactor = this.zoomControl.value;
    
    // Finalize-mode controls - only access if they exist
@@ -581,27 +837,17 @@ pInsetDialogUI.prototype.updateModeVisibility = function(modeIndex) {
    this.targetView = null;
    this.previewBitmap = null;
    this.finalizeSourceView = null;
-   this.finalizeInsetView = null;
    this.isPreviewMode = false;
    this.zoomedPreviewBitmap = null;
    
-   // Reset finalize inset state
-   this.insetBitmap = null;
-   this.insetX = 0;
-   this.insetY = 0;
-   this.insetWidth = 100;
-   this.insetHeight = 100;
+   // Reset finalize composition state
+   this.insets = [];
+   this.activeInsetIndex = -1;
    this.finalizeInteractionMode = null;
    this.finalizeZoom = 1.0;
    this.finalizePanX = 0;
    this.finalizePanY = 0;
-   
-   // Reset source anchor positions to defaults
-   this.sourceAnchors = {
-      leftAngle: Math.PI,
-      rightAngle: 0
-   };
-
+   updateInsetSelector(this);
    
    // Regenerate ViewLists and clear selection
    if (this.imageList) {
@@ -634,6 +880,7 @@ pInsetDialogUI.prototype.updateModeVisibility = function(modeIndex) {
       this.finalizeSourceList.visible = false;
       this.finalizeInsetLabel.visible = false;
       this.finalizeInsetList.visible = false;
+      this.insetSelectControl.visible = false;
       this.finalizeGroup.visible = false;
       if (this.generateButton) this.generateButton.visible = false;
       // Toggle preview controls
@@ -653,6 +900,7 @@ pInsetDialogUI.prototype.updateModeVisibility = function(modeIndex) {
       this.finalizeSourceList.visible = true;
       this.finalizeInsetLabel.visible = true;
       this.finalizeInsetList.visible = true;
+      this.insetSelectControl.visible = true;
       this.finalizeGroup.visible = true;
       if (this.generateButton) this.generateButton.visible = true;
       // Toggle preview controls
@@ -669,7 +917,16 @@ pInsetDialogUI.prototype.updateModeVisibility = function(modeIndex) {
 };
 
 /**
- * Check if both finalize images are selected and enable/disable options group.
+ * Get the inset currently edited in the Finalize preview.
+ * @returns {Object} The active composition inset, or null if there is none
+ */
+pInsetDialogUI.prototype.getActiveInset = function() {
+   if (this.activeInsetIndex < 0 || this.activeInsetIndex >= this.insets.length) return null;
+   return this.insets[this.activeInsetIndex];
+};
+
+/**
+ * Check if the source image and insets are selected and enable/disable options group.
  * Delegates to FinalizePanel function.
  */
 pInsetDialogUI.prototype.checkFinalizeImagesSelected = function() {
@@ -680,9 +937,19 @@ pInsetDialogUI.prototype.checkFinalizeImagesSelected = function() {
  * Read extraction metadata from a view's FITS keywords.
  * Delegates to FinalizePanel function.
  * @param {View} view - The extracted image view
+ * @returns {Object} The extraction metadata, or null if the view has none
  */
 pInsetDialogUI.prototype.readExtractionMetadata = function(view) {
-   readExtractionMetadata(this, view);
+   return readExtractionMetadata(this, view);
+};
+
+/**
+ * Add an extracted image to the Finalize composition.
+ * Delegates to FinalizePanel function.
+ * @param {View} view - The extracted image view
+ */
+pInsetDialogUI.prototype.addFinalizeInset = function(view) {
+   addFinalizeInset(this, view);
 };
 
 /**
@@ -4,10 +4,13 @@
 //
 // This module contains functions for:
 // - Region extraction from source image
-// - Scaling/interpolation
+// - Scaling/interpolation and mirroring
 // - Border drawing
 // - Compositing inset onto target image
+// - Drop shadow and outer glow
+// - Projection cone between source region and inset
 // - Connection line drawing
+// - Inset captions, scale bars and compasses
 //
 // Author: Giovanni Rocca (iGio90) and Antigravity
 //
@@ -108,10 +111,96 @@ InsetEngine.prototype.extractCircularRegion = function(image, center, diameter)
    }
    
    data.mask = mask;
-   data.isCircular = true;
+   data.maskShape = "Circular";
    return data;
 };
 
+/**
+ * Extract a shaped region (bounding rectangle with a mask of the shape).
+ * @param {Image} image - Source image object
+ * @param {Rect} rect - Bounding rectangle of the shape
+ * @param {String} shape - "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @returns {Object} Extracted data with shape mask
+ */
+InsetEngine.prototype.extractShapedRegion = function(image, rect, shape, shapeOptions) {
+   var data = this.extractRegion(image, rect);
+   data.mask = this.createShapeMask(data.width, data.height, shape, shapeOptions);
+   data.maskShape = shape;
+   data.shapeOptions = shapeOptions;
+   return data;
+};
+
+// ----------------------------------------------------------------------------
+// Shape Masks
+// ----------------------------------------------------------------------------
+//
+// Shapes other than "Rectangular" take optional shapeOptions:
+// - cornerRadius: "Rounded" corner radius as a fraction of the smaller side
+// - points: "Lasso" or "Polygon" vertices {x, y} normalized to the bounding box
+// - borderInset: shape is the content area of a border this many pixels wide
+//   (the outline of the box grown by borderInset, moved inward by borderInset)
+// - sourceAngle: rotation of the source region about its center in degrees,
+//   clockwise (rectangles extracted rotated; the inset itself stays upright)
+// - sourceOptions: settings of the source region when the inset's differ
+//   (mirrored insets, see GeometryUtils.mirrorShapeOptions); connectors and
+//   cones take the inset settings and use these for their source end
+
+/**
+ * Get a signed distance function for a shape inscribed in a bounding box
+ * (GeometryUtils.shapeDistanceFunction, moved to the box center and grown by borderInset).
+ * Distances are negative inside the shape and positive outside.
+ * @param {String} shape - "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Number} cx, cy - Center of the bounding box
+ * @param {Number} halfW, halfH - Half size of the bounding box
+ * @param {Object} shapeOptions - Optional shape settings (see above)
+ * @returns {Function} function(px, py) returning the signed distance, or null for rectangles
+ */
+InsetEngine.prototype.shapeDistanceFunction = function(shape, cx, cy, halfW, halfH, shapeOptions) {
+   var grow = (shapeOptions && shapeOptions.borderInset) || 0;
+   var distanceAt = GeometryUtils.shapeDistanceFunction(shape, halfW + grow, halfH + grow, shapeOptions);
+   if (!distanceAt) return null;
+   return function(px, py) {
+      return distanceAt(px - cx, py - cy) + grow;
+   };
+};
+
+/**
+ * Get the corner radius in pixels of a rounded rectangle.
+ * @param {Number} width - Rectangle width
+ * @param {Number} height - Rectangle height
+ * @param {Object} shapeOptions - Optional {cornerRadius} as a fraction of the smaller side
+ * @returns {Number} Corner radius in pixels
+ */
+InsetEngine.prototype.cornerRadiusPixels = function(width, height, shapeOptions) {
+   return GeometryUtils.cornerRadiusPixels(width, height, shapeOptions);
+};
+
+/**
+ * Create an anti-aliased mask of a shape filling a width x height box.
+ * @param {Number} width - Mask width in pixels
+ * @param {Number} height - Mask height in pixels
+ * @param {String} shape - "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @returns {Float32Array} Alpha values 0-1
+ */
+InsetEngine.prototype.createShapeMask = function(width, height, shape, shapeOptions) {
+   var mask = new Float32Array(width * height);
+   var distanceAt = this.shapeDistanceFunction(shape, width / 2, height / 2, width / 2, height / 2, shapeOptions);
+   
+   for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width; x++) {
+         // Anti-aliased edge: smooth transition over 1 pixel
+         var alpha = 0.5 - distanceAt(x + 0.5, y + 0.5);
+         if (alpha < 0) alpha = 0;
+         else if (alpha > 1) alpha = 1;
+         mask[y * width + x] = alpha;
+      }
+   }
+   
+   return mask;
+};
+
 // ----------------------------------------------------------------------------
 // Scaling (Step 4)
 // ----------------------------------------------------------------------------
@@ -138,27 +227,10 @@ InsetEngine.prototype.scalePixels = function(extractedData, targetWidth, targetH
       scaledPixels.push(dstBuffer);
    }
    
-   // Generate circular mask at target size (content area, which is inside border)
+   // Generate shape mask at target size (content area, which is inside border)
    var scaledMask = null;
-   if (extractedData.isCircular) {
-      scaledMask = new Float32Array(targetWidth * targetHeight);
-      var cx = targetWidth / 2;
-      var cy = targetHeight / 2;
-      // Use radius that fits the smaller dimension
-      var radius = Math.min(targetWidth, targetHeight) / 2;
-      
-      for (var y = 0; y < targetHeight; y++) {
-         for (var x = 0; x < targetWidth; x++) {
-            var dx = x - cx + 0.5;
-            var dy = y - cy + 0.5;
-            var dist = Math.sqrt(dx * dx + dy * dy);
-            // Anti-aliased edge
-            var alpha = radius + 0.5 - dist;
-            if (alpha < 0) alpha = 0;
-            else if (alpha > 1) alpha = 1;
-            scaledMask[y * targetWidth + x] = alpha;
-         }
-      }
+   if (extractedData.maskShape) {
+      scaledMask = this.createShapeMask(targetWidth, targetHeight, extractedData.maskShape, extractedData.shapeOptions);
    }
    
    return {
@@ -167,10 +239,85 @@ InsetEngine.prototype.scalePixels = function(extractedData, targetWidth, targetH
       height: targetHeight,
       channels: channels,
       mask: scaledMask,
-      isCircular: extractedData.isCircular
+      maskShape: extractedData.maskShape,
+      shapeOptions: extractedData.shapeOptions
+   };
+};
+
+/**
+ * Scale pixel data to new dimensions and rotate it about the center, using
+ * the selected interpolation kernel (see ScalingUtils.rotateBuffer).
+ * @param {Object} extractedData - Data from extractRegion
+ * @param {Number} targetWidth - Target width in pixels
+ * @param {Number} targetHeight - Target height in pixels
+ * @param {Number} angle - Rotation in degrees, clockwise
+ * @param {Number} zoom - Extra magnification so the rotated content covers the shape
+ * @param {String} method - "nearest", "bilinear", "bicubic" or "lanczos"
+ * @returns {Object} Scaled pixel data, like scalePixels
+ */
+InsetEngine.prototype.rotatePixels = function(extractedData, targetWidth, targetHeight, angle, zoom, method) {
+   var scaledPixels = [];
+   for (var c = 0; c < extractedData.channels; c++) {
+      var dstBuffer = new Float32Array(targetWidth * targetHeight);
+      ScalingUtils.rotateBuffer(extractedData.pixels[c], extractedData.width, extractedData.height,
+                                dstBuffer, targetWidth, targetHeight, angle, zoom, method || this.interpolationMethod);
+      scaledPixels.push(dstBuffer);
+   }
+   
+   // The shape mask is not rotated: the inset keeps its shape, only the content turns
+   var scaledMask = null;
+   if (extractedData.maskShape) {
+      scaledMask = this.createShapeMask(targetWidth, targetHeight, extractedData.maskShape, extractedData.shapeOptions);
+   }
+   
+   return {
+      pixels: scaledPixels,
+      width: targetWidth,
+      height: targetHeight,
+      channels: extractedData.channels,
+      mask: scaledMask,
+      maskShape: extractedData.maskShape,
+      shapeOptions: extractedData.shapeOptions
    };
 };
 
+/**
+ * Mirror pixel data, for insets taken from a flipped image of the same object.
+ * The mask and the shape settings are mirrored with the pixels, so the masks
+ * recreated at the target size by scalePixels and rotatePixels still match them.
+ * @param {Object} extractedData - Data from extractRegion
+ * @param {Boolean} horizontal - Mirror left to right
+ * @param {Boolean} vertical - Mirror top to bottom
+ * @returns {Object} Pixel data with mirrored channels (the input itself if neither is set)
+ */
+InsetEngine.prototype.flipPixels = function(extractedData, horizontal, vertical) {
+   if (!horizontal && !vertical) return extractedData;
+   
+   var width = extractedData.width;
+   var height = extractedData.height;
+   var flip = function(src) {
+      var dst = new Float32Array(width * height);
+      for (var y = 0; y < height; y++) {
+         var srcRow = (vertical ? height - 1 - y : y) * width;
+         for (var x = 0; x < width; x++) {
+            dst[y * width + x] = src[srcRow + (horizontal ? width - 1 - x : x)];
+         }
+      }
+      return dst;
+   };
+   var flippedPixels = [];
+   for (var c = 0; c < extractedData.channels; c++) {
+      flippedPixels.push(flip(extractedData.pixels[c]));
+   }
+   
+   var result = {};
+   for (var key in extractedData) result[key] = extractedData[key];
+   result.pixels = flippedPixels;
+   if (extractedData.mask) result.mask = flip(extractedData.mask);
+   result.shapeOptions = GeometryUtils.mirrorShapeOptions(extractedData.shapeOptions, horizontal, vertical);
+   return result;
+};
+
 /**
  * Bicubic interpolation helper (optimized).
  * Uses pre-computed weights to reduce function call overhead.
@@ -321,34 +468,31 @@ InsetEngine.prototype.addBorder = function(scaledData, borderWidth, borderColor)
    // Create mask for compositing (if not exists)
    var borderedMask = null;
    if (scaledData.mask) {
-       // Circular case - create proper circular mask for bordered output
+       // Shaped case - create proper shape mask for bordered output
        borderedMask = new Float32Array(dstW * dstH);
        var borderAlpha = (borderColor.a !== undefined) ? borderColor.a : 1.0;
        
-       // For circular insets, we need:
-       // - Alpha = 0 outside the outer circle (corners should be transparent)
+       // For shaped insets, we need:
+       // - Alpha = 0 outside the outer shape (corners should be transparent)
        // - Alpha = borderAlpha in the border ring
-       // - Alpha = 1.0 in the content area (inside inner circle)
-      var cx = dstW / 2;
-      var cy = dstH / 2;
-      var outerRadius = Math.min(dstW, dstH) / 2;
-      var innerRadius = outerRadius - borderWidth;
+       // - Alpha = 1.0 in the content area (inside inner shape)
+      var distanceAt = this.shapeDistanceFunction(scaledData.maskShape, dstW / 2, dstH / 2, dstW / 2, dstH / 2,
+                                                  scaledData.shapeOptions);
         
       for (var y = 0; y < dstH; y++) {
            for (var x = 0; x < dstW; x++) {
-              var dx = x - cx + 0.5;
-              var dy = y - cy + 0.5;
-              var dist = Math.sqrt(dx * dx + dy * dy);
+              // Signed distance to the outer edge
+              var dist = distanceAt(x + 0.5, y + 0.5);
               var idx = y * dstW + x;
               
-              if (dist > outerRadius + 0.5) {
-                 // Outside the circle - fully transparent
+              if (dist > 0.5) {
+                 // Outside the shape - fully transparent
                  borderedMask[idx] = 0.0;
-              } else if (dist > outerRadius - 0.5) {
+              } else if (dist > -0.5) {
                  // Anti-aliased outer edge - smooth transition
-                 var edgeAlpha = outerRadius + 0.5 - dist;
+                 var edgeAlpha = 0.5 - dist;
                  borderedMask[idx] = borderAlpha * edgeAlpha;
-              } else if (dist > innerRadius) {
+              } else if (dist > -borderWidth) {
                  // In the border ring - use border alpha
                  borderedMask[idx] = borderAlpha;
               } else {
@@ -387,7 +531,46 @@ InsetEngine.prototype.addBorder = function(scaledData, borderWidth, borderColor)
       height: dstH,
       channels: channels,
       mask: borderedMask,
-      isCircular: scaledData.isCircular
+      maskShape: scaledData.maskShape,
+      shapeOptions: scaledData.shapeOptions
+   };
+};
+
+/**
+ * Fade the inset into the background instead of adding a border (feathered mode).
+ * The mask ramps from 0 at the shape outline to 1 at featherWidth inside it.
+ * @param {Object} scaledData - Scaled pixel data (from scalePixels)
+ * @param {Number} featherWidth - Width of the fade in pixels (0 = hard edge)
+ * @returns {Object} Pixel data with the feathered mask
+ */
+InsetEngine.prototype.applyFeather = function(scaledData, featherWidth) {
+   var w = scaledData.width;
+   var h = scaledData.height;
+   var mask = new Float32Array(w * h);
+   var distanceAt = this.shapeDistanceFunction(scaledData.maskShape || "Rectangular", w / 2, h / 2, w / 2, h / 2,
+                                               scaledData.shapeOptions);
+   
+   for (var y = 0; y < h; y++) {
+      for (var x = 0; x < w; x++) {
+         // Depth inside the outline (rectangles: distance to the nearest edge)
+         var depth = distanceAt ? -distanceAt(x + 0.5, y + 0.5) :
+                     Math.min(x + 0.5, y + 0.5, w - x - 0.5, h - y - 0.5);
+         var t = featherWidth > 0 ? depth / featherWidth : depth + 0.5;
+         if (t < 0) t = 0;
+         else if (t > 1) t = 1;
+         // Smoothstep for a soft start and end of the fade
+         mask[y * w + x] = t * t * (3 - 2 * t);
+      }
+   }
+   
+   return {
+      pixels: scaledData.pixels,
+      width: w,
+      height: h,
+      channels: scaledData.channels,
+      mask: mask,
+      maskShape: scaledData.maskShape,
+      shapeOptions: scaledData.shapeOptions
    };
 };
 
@@ -542,6 +725,288 @@ InsetEngine.prototype.compositeInset = function(targetImage, insetData, position
    }
 };
 
+// ----------------------------------------------------------------------------
+// Shadow and Glow
+// ----------------------------------------------------------------------------
+//
+// Effects are drawn under an inset (before it is composited) and take:
+// - offset: shift down and right in pixels
+// - blur: blur radius in pixels (0 = hard edge)
+// - color: {r, g, b} normalized 0-1
+// - opacity: 0.0 - 1.0
+
+/**
+ * Create the blurred alpha mask of an inset shape, for shadows and glows.
+ * @param {Number} width - Inset width in pixels (including border)
+ * @param {Number} height - Inset height in pixels (including border)
+ * @param {String} shape - Inset shape (see Shape Masks)
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Number} blur - Blur radius in pixels
+ * @returns {Object} {mask, width, height, pad} where the mask covers the inset grown by pad on each side
+ */
+InsetEngine.prototype.createEffectMask = function(width, height, shape, shapeOptions, blur) {
+   // Three box blur passes approximate a gaussian; each pass spreads by boxRadius
+   var boxRadius = blur > 0 ? Math.ceil(blur / 3) : 0;
+   var pad = 3 * boxRadius;
+   var maskW = width + 2 * pad;
+   var maskH = height + 2 * pad;
+   var mask = new Float32Array(maskW * maskH);
+   
+   var distanceAt = this.shapeDistanceFunction(shape || "Rectangular", pad + width / 2, pad + height / 2,
+                                               width / 2, height / 2, shapeOptions);
+   for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width; x++) {
+         var alpha = 1.0;
+         if (distanceAt) {
+            alpha = 0.5 - distanceAt(pad + x + 0.5, pad + y + 0.5);
+            if (alpha < 0) alpha = 0;
+            else if (alpha > 1) alpha = 1;
+         }
+         mask[(y + pad) * maskW + x + pad] = alpha;
+      }
+   }
+   
+   for (var pass = 0; pass < 3 && boxRadius > 0; pass++) {
+      this.boxBlur(mask, maskW, maskH, boxRadius);
+   }
+   
+   return { mask: mask, width: maskW, height: maskH, pad: pad };
+};
+
+/**
+ * Blur a single-channel buffer in place with a box filter (horizontal then vertical).
+ * Pixels outside the buffer count as zero.
+ * @param {Float32Array} buffer - Values to blur
+ * @param {Number} width - Buffer width
+ * @param {Number} height - Buffer height
+ * @param {Number} radius - Box radius in pixels
+ */
+InsetEngine.prototype.boxBlur = function(buffer, width, height, radius) {
+   var size = 2 * radius + 1;
+   var line = new Float32Array(Math.max(width, height));
+   
+   // Horizontal pass (running sum over each row)
+   for (var y = 0; y < height; y++) {
+      var row = y * width;
+      for (var x = 0; x < width; x++) line[x] = buffer[row + x];
+      var sum = 0;
+      for (var x = 0; x < radius && x < width; x++) sum += line[x];
+      for (var x = 0; x < width; x++) {
+         if (x + radius < width) sum += line[x + radius];
+         if (x - radius - 1 >= 0) sum -= line[x - radius - 1];
+         buffer[row + x] = sum / size;
+      }
+   }
+   
+   // Vertical pass (running sum over each column)
+   for (var x = 0; x < width; x++) {
+      for (var y = 0; y < height; y++) line[y] = buffer[y * width + x];
+      var sum = 0;
+      for (var y = 0; y < radius && y < height; y++) sum += line[y];
+      for (var y = 0; y < height; y++) {
+         if (y + radius < height) sum += line[y + radius];
+         if (y - radius - 1 >= 0) sum -= line[y - radius - 1];
+         buffer[y * width + x] = sum / size;
+      }
+   }
+};
+
+/**
+ * Draw a drop shadow or outer glow under an inset.
+ * @param {Image} image - Target image
+ * @param {Rect} insetRect - Inset position and size (including border)
+ * @param {String} shape - Inset shape (see Shape Masks)
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Object} effect - {offset, blur, color, opacity} (see above)
+ */
+InsetEngine.prototype.drawInsetEffect = function(image, insetRect, shape, shapeOptions, effect) {
+   var effectMask = this.createEffectMask(insetRect.width, insetRect.height, shape, shapeOptions, effect.blur);
+   var x0 = insetRect.x0 - effectMask.pad + effect.offset;
+   var y0 = insetRect.y0 - effectMask.pad + effect.offset;
+   
+   var destRect = new Rect(x0, y0, x0 + effectMask.width, y0 + effectMask.height);
+   var safeRect = destRect.intersection(new Rect(0, 0, image.width, image.height));
+   if (safeRect.isEmpty) return;
+   
+   var validW = safeRect.width;
+   var validH = safeRect.height;
+   var colors = [effect.color.r, effect.color.g, effect.color.b];
+   var channels = Math.min(3, image.numberOfChannels);
+   
+   for (var c = 0; c < channels; c++) {
+      var buffer = new Float32Array(validW * validH);
+      image.getSamples(buffer, safeRect, c);
+      
+      for (var y = 0; y < validH; y++) {
+         var maskRow = (y + safeRect.y0 - y0) * effectMask.width + safeRect.x0 - x0;
+         for (var x = 0; x < validW; x++) {
+            var alpha = effect.opacity * effectMask.mask[maskRow + x];
+            var idx = y * validW + x;
+            buffer[idx] = colors[c] * alpha + buffer[idx] * (1.0 - alpha);
+         }
+      }
+      
+      image.setSamples(buffer, safeRect, c);
+   }
+};
+
+// ----------------------------------------------------------------------------
+// Projection Cone
+// ----------------------------------------------------------------------------
+//
+// The cone fills the convex hull of the source region and the inset with a
+// translucent color, leaving out both shapes. It is drawn before the source
+// indicators, connection lines and insets.
+
+/**
+ * Draw the projection cone between a source region and its inset.
+ * @param {Image} image - Target image
+ * @param {Rect} sourceRect - Source region rectangle
+ * @param {Rect} insetRect - Inset position and size
+ * @param {String} shape - Region shape (see Shape Masks)
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ */
+InsetEngine.prototype.drawProjectionCone = function(image, sourceRect, insetRect, shape, shapeOptions, color) {
+   var sourceOptions = GeometryUtils.sourceShapeOptions(shapeOptions);
+   var sourceOutline = GeometryUtils.sourceOutline(shape, sourceRect.x0, sourceRect.y0, sourceRect.x1, sourceRect.y1,
+                                                   sourceOptions);
+   var hull = GeometryUtils.convexHull(sourceOutline.concat(
+      GeometryUtils.shapeOutline(shape, insetRect.x0, insetRect.y0, insetRect.x1, insetRect.y1, shapeOptions, 0)));
+   if (hull.length < 3) return;
+   
+   // Both shapes are left out of the cone
+   var self = this;
+   var shapeDistance = function(rect, options) {
+      var cx = (rect.x0 + rect.x1) / 2;
+      var cy = (rect.y0 + rect.y1) / 2;
+      var distanceAt = self.shapeDistanceFunction(shape, cx, cy, rect.width / 2, rect.height / 2, options);
+      return distanceAt || function(px, py) {
+         return GeometryUtils.roundedRectSignedDistance(px - cx, py - cy, rect.width / 2, rect.height / 2, 0);
+      };
+   };
+   var excluded = [
+      { rect: sourceRect, distanceAt: shapeDistance(sourceRect, sourceOptions) },
+      { rect: insetRect, distanceAt: shapeDistance(insetRect, shapeOptions) }
+   ];
+   if (sourceOptions && sourceOptions.sourceAngle) {
+      // Rotated source: distance to its turned outline, within the outline's bounds
+      var bounds = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+      for (var i = 0; i < sourceOutline.length; i++) {
+         bounds.x0 = Math.min(bounds.x0, sourceOutline[i].x);
+         bounds.y0 = Math.min(bounds.y0, sourceOutline[i].y);
+         bounds.x1 = Math.max(bounds.x1, sourceOutline[i].x);
+         bounds.y1 = Math.max(bounds.y1, sourceOutline[i].y);
+      }
+      excluded[0] = {
+         rect: bounds,
+         distanceAt: function(px, py) {
+            return GeometryUtils.polygonSignedDistance(px, py, sourceOutline);
+         }
+      };
+   }
+   
+   // Horizontal span of the convex hull at a given height, or null
+   var span = function(y) {
+      var xl = Infinity, xr = -Infinity;
+      for (var i = 0, j = hull.length - 1; i < hull.length; j = i++) {
+         var a = hull[j], b = hull[i];
+         if ((a.y <= y) !== (b.y <= y)) {
+            var x = a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y);
+            if (x < xl) xl = x;
+            if (x > xr) xr = x;
+         }
+      }
+      return xl <= xr ? { xl: xl, xr: xr } : null;
+   };
+   
+   var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+   for (var i = 0; i < hull.length; i++) {
+      minX = Math.min(minX, hull[i].x);
+      maxX = Math.max(maxX, hull[i].x);
+      minY = Math.min(minY, hull[i].y);
+      maxY = Math.max(maxY, hull[i].y);
+   }
+   var x0 = Math.max(0, Math.floor(minX - 1));
+   var y0 = Math.max(0, Math.floor(minY - 1));
+   var x1 = Math.min(image.width, Math.ceil(maxX + 1));
+   var y1 = Math.min(image.height, Math.ceil(maxY + 1));
+   var rowWidth = x1 - x0;
+   if (rowWidth <= 0 || y1 <= y0) return;
+   
+   var colors = [color.r, color.g, color.b];
+   var alpha = (color.a !== undefined) ? color.a : 1.0;
+   var channels = Math.min(3, image.numberOfChannels);
+   
+   for (var row = y0; row < y1; row++) {
+      var rowRect = new Rect(x0, row, x1, row + 1);
+      var py = row + 0.5;
+      
+      // Pixels inside the span one pixel above and below are fully covered,
+      // only those near the hull outline need the distance
+      var above = span(py - 1);
+      var below = span(py + 1);
+      var here = span(py);
+      var outer = [above, here, below];
+      var fullLeft = (above && below) ? Math.max(above.xl, below.xl) + 1 : Infinity;
+      var fullRight = (above && below) ? Math.min(above.xr, below.xr) - 1 : -Infinity;
+      var left = Infinity, right = -Infinity;
+      for (var k = 0; k < outer.length; k++) {
+         if (!outer[k]) continue;
+         left = Math.min(left, outer[k].xl - 1);
+         right = Math.max(right, outer[k].xr + 1);
+      }
+      if (left > right) continue;
+      
+      var coverageRow = new Float32Array(rowWidth);
+      var hasCoverage = false;
+      var colStart = Math.max(0, Math.floor(left) - x0);
+      var colEnd = Math.min(rowWidth, Math.ceil(right) - x0);
+      
+      for (var col = colStart; col < colEnd; col++) {
+         var px = x0 + col + 0.5;
+         var coverage;
+         if (px >= fullLeft && px <= fullRight) {
+            coverage = 1;
+         } else {
+            coverage = 0.5 - GeometryUtils.polygonSignedDistance(px, py, hull);
+            if (coverage <= 0) continue;
+            if (coverage > 1) coverage = 1;
+         }
+         
+         for (var e = 0; e < excluded.length; e++) {
+            var r = excluded[e].rect;
+            if (px < r.x0 - 1 || px > r.x1 + 1 || py < r.y0 - 1 || py > r.y1 + 1) continue;
+            var outside = 0.5 + excluded[e].distanceAt(px, py);
+            if (outside < 1) coverage *= outside > 0 ? outside : 0;
+         }
+         
+         if (coverage > 0) {
+            coverageRow[col] = coverage;
+            hasCoverage = true;
+         }
+      }
+      
+      if (!hasCoverage) continue;
+      
+      // Process each channel with buffered read/write
+      for (var c = 0; c < channels; c++) {
+         var buffer = new Float32Array(rowWidth);
+         image.getSamples(buffer, rowRect, c);
+         
+         var colorVal = colors[c];
+         for (var col = colStart; col < colEnd; col++) {
+            var coverage = coverageRow[col];
+            if (coverage > 0) {
+               var pixelAlpha = alpha * coverage;
+               buffer[col] = colorVal * pixelAlpha + buffer[col] * (1.0 - pixelAlpha);
+            }
+         }
+         image.setSamples(buffer, rowRect, c);
+      }
+   }
+};
+
 // ----------------------------------------------------------------------------
 // Connection Line (Step 8)
 // ----------------------------------------------------------------------------
@@ -561,7 +1026,7 @@ InsetEngine.prototype.compositeInset = function(targetImage, insetData, position
  * @param {Rect} insetRect - Inset position and size
  * @param {Object} color - {r, g, b} normalized 0-1
  * @param {Number} thickness - Line thickness in pixels
- * @param {String} shape - "Rectangular" or "Circular"
+ * @param {String} shape - "Rectangular", "Circular" or "Elliptical"
  */
 /**
  * Helper to fill a rectangular area efficiently.
@@ -618,11 +1083,21 @@ InsetEngine.prototype.fillBox = function(image, rect, color) {
  * @param {Rect} insetRect - Inset position and size
  * @param {Object} color - {r, g, b} normalized 0-1
  * @param {Number} thickness - Line thickness in pixels
- * @param {String} shape - "Rectangular" or "Circular"
- * @param {Object} sourceAnchors - Optional {leftAngle, rightAngle} for circular shapes
+ * @param {String} shape - "Rectangular", "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Object} sourceAnchors - Optional connector attachment: {leftAngle, rightAngle} for circular shapes,
+ *                                 tangent: true for the external tangents of both circles,
+ *                                 outerOnly: true for the two outer corner lines of rectangles,
+ *                                 edges: {source, inset} perimeter positions of the four rectangle
+ *                                 lines (see GeometryUtils.rectPerimeterPoint, default corners)
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Number} grow - Optional extra width on each side (outline strokes drawn under the main stroke)
+ * @param {Array} dash - Optional dash pattern from GeometryUtils.dashPattern (null = solid)
+ * @param {Object} bend - Optional offset {x, y} of the line midpoints for curved lines (null = straight)
  */
-InsetEngine.prototype.drawConnectionLine = function(image, sourceRect, insetRect, color, thickness, shape, sourceAnchors) {
+InsetEngine.prototype.drawConnectionLine = function(image, sourceRect, insetRect, color, thickness, shape, sourceAnchors, shapeOptions, grow, dash, bend) {
    shape = shape || "Rectangular";
+   // Outline strokes widen the line on both sides; end points stay the same
+   var lineWidth = thickness + 2 * (grow || 0);
 
    // Calculate offset to prevent thick lines from protruding outside the inset
    // (Inset is drawn on top, so we want lines to end "deep" enough inside)
@@ -639,6 +1114,17 @@ InsetEngine.prototype.drawConnectionLine = function(image, sourceRect, insetRect
       // Reduce inset radius by offset to pull connection points inside
       var insR = Math.max(1, Math.min(insetRect.width, insetRect.height) / 2 - offset);
 
+      // Tangent mode: the lines touch both circles (unless one circle contains the other)
+      var tangents = (sourceAnchors && sourceAnchors.tangent) ?
+         GeometryUtils.circleTangents(srcCenterX, srcCenterY, srcR, insCenterX, insCenterY, insR) : null;
+      if (tangents) {
+         for (var i = 0; i < tangents.length; i++) {
+            this.drawStyledLine(image, Math.round(tangents[i].x0), Math.round(tangents[i].y0),
+                                Math.round(tangents[i].x1), Math.round(tangents[i].y1), color, lineWidth, dash, bend);
+         }
+         return;
+      }
+      
       // Use custom anchor angles if provided, otherwise default to horizontal (left/right)
       var leftAngle = (sourceAnchors && sourceAnchors.leftAngle !== undefined) ? sourceAnchors.leftAngle : Math.PI;
       var rightAngle = (sourceAnchors && sourceAnchors.rightAngle !== undefined) ? sourceAnchors.rightAngle : 0;
@@ -655,24 +1141,341 @@ InsetEngine.prototype.drawConnectionLine = function(image, sourceRect, insetRect
       var insRightX = Math.round(insCenterX + Math.cos(rightAngle) * insR);
       var insRightY = Math.round(insCenterY + Math.sin(rightAngle) * insR);
       
-      this.bresenhamLine(image, srcLeftX, srcLeftY, insLeftX, insLeftY, color, thickness);
-      this.bresenhamLine(image, srcRightX, srcRightY, insRightX, insRightY, color, thickness);
+      this.drawStyledLine(image, srcLeftX, srcLeftY, insLeftX, insLeftY, color, lineWidth, dash, bend);
+      this.drawStyledLine(image, srcRightX, srcRightY, insRightX, insRightY, color, lineWidth, dash, bend);
+   } else if (shape === "Elliptical") {
+      // For elliptical shapes, connect with the 2 outer tangent lines
+      var insA = Math.max(1, insetRect.width / 2 - offset);
+      var insB = Math.max(1, insetRect.height / 2 - offset);
+      var lines = GeometryUtils.ellipseTangents(
+         (sourceRect.x0 + sourceRect.x1) / 2, (sourceRect.y0 + sourceRect.y1) / 2,
+         sourceRect.width / 2, sourceRect.height / 2,
+         (insetRect.x0 + insetRect.x1) / 2, (insetRect.y0 + insetRect.y1) / 2, insA, insB);
+      
+      for (var i = 0; i < lines.length; i++) {
+         this.drawStyledLine(image, Math.round(lines[i].x0), Math.round(lines[i].y0),
+                             Math.round(lines[i].x1), Math.round(lines[i].y1), color, lineWidth, dash, bend);
+      }
+   } else if (shape === "Lasso" || shape === "Polygon") {
+      // For lasso and regular polygons, connect along the outer hull of both polygons
+      var srcPolygon = GeometryUtils.mapPolygon(GeometryUtils.sourceShapeOptions(shapeOptions).points,
+                                                sourceRect.x0, sourceRect.y0,
+                                                sourceRect.width, sourceRect.height);
+      var insPolygon = GeometryUtils.mapPolygon(shapeOptions.points, insetRect.x0, insetRect.y0,
+                                                insetRect.width, insetRect.height);
+      var lines = GeometryUtils.hullBridges(srcPolygon, insPolygon);
+      
+      var insCx = (insetRect.x0 + insetRect.x1) / 2;
+      var insCy = (insetRect.y0 + insetRect.y1) / 2;
+      for (var i = 0; i < lines.length; i++) {
+         // Pull the inset end toward the inset center to hide it under the border
+         var dx = insCx - lines[i].x1;
+         var dy = insCy - lines[i].y1;
+         var len = Math.sqrt(dx * dx + dy * dy);
+         var pull = len > offset ? offset / len : 0;
+         this.drawStyledLine(image, Math.round(lines[i].x0), Math.round(lines[i].y0),
+                             Math.round(lines[i].x1 + dx * pull), Math.round(lines[i].y1 + dy * pull),
+                             color, lineWidth, dash, bend);
+      }
    } else {
       // For rectangular shapes, connect all 4 corresponding corners
       // Apply offset to inset coordinates (x0 moves right, x1 moves left, etc.)
+      // Rounded corners attach at the middle of each corner arc
+      var srcIn = 0;
+      var insIn = offset;
+      if (shape === "Rounded") {
+         srcIn = Math.round(GeometryUtils.roundedCornerInset(
+            this.cornerRadiusPixels(sourceRect.width, sourceRect.height, shapeOptions)));
+         insIn += Math.round(GeometryUtils.roundedCornerInset(
+            this.cornerRadiusPixels(insetRect.width, insetRect.height, shapeOptions)));
+      }
+      
+      // Attachment points on both outlines, one per line (corners NW, NE, SW, SE by default)
+      // Rectangles may move them along the outline (edge anchors)
+      var edges = (shape === "Rectangular" && sourceAnchors && sourceAnchors.edges) ?
+         sourceAnchors.edges : { source: [0, 1, 3, 2], inset: [0, 1, 3, 2] };
+      var srcCorners = [];
+      var insCorners = [];
+      for (var i = 0; i < 4; i++) {
+         srcCorners.push(GeometryUtils.rectPerimeterPoint(sourceRect.x0 + srcIn, sourceRect.y0 + srcIn,
+            sourceRect.x1 - 1 - srcIn, sourceRect.y1 - 1 - srcIn, edges.source[i]));
+         insCorners.push(GeometryUtils.rectPerimeterPoint(insetRect.x0 + insIn, insetRect.y0 + insIn,
+            insetRect.x1 - 1 - insIn, insetRect.y1 - 1 - insIn, edges.inset[i]));
+      }
+      
+      // Rotated source regions attach at their turned corners
+      if (shapeOptions && shapeOptions.sourceAngle) {
+         srcCorners = GeometryUtils.rotatePath(srcCorners, (sourceRect.x0 + sourceRect.x1 - 1) / 2,
+                                               (sourceRect.y0 + sourceRect.y1 - 1) / 2, shapeOptions.sourceAngle);
+      }
+      
+      // Outer mode keeps the silhouette lines of the hull of both rectangles
+      // (all four lines when one rectangle contains the other)
+      var lines = (sourceAnchors && sourceAnchors.outerOnly) ?
+         GeometryUtils.hullBridges(srcCorners, insCorners) : [];
+      if (lines.length === 0) {
+         for (var i = 0; i < 4; i++) {
+            lines.push({ x0: srcCorners[i].x, y0: srcCorners[i].y, x1: insCorners[i].x, y1: insCorners[i].y });
+         }
+      }
+      
+      for (var i = 0; i < lines.length; i++) {
+         this.drawStyledLine(image, lines[i].x0, lines[i].y0, lines[i].x1, lines[i].y1, color, lineWidth, dash, bend);
+      }
+   }
+};
+
+/**
+ * Draw a callout connector: a single line from the inset outline to the source
+ * region outline, ending in an arrowhead or a dot on the region.
+ * @param {Image} image - Target image
+ * @param {Rect} sourceRect - Original source region
+ * @param {Rect} insetRect - Inset position and size
+ * @param {String} shape - Region shape (see Shape Masks)
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ * @param {Number} thickness - Line thickness in pixels
+ * @param {String} style - "Arrow" or "Dot"
+ * @param {Number} headSize - Arrowhead length or dot diameter in pixels
+ * @param {Number} grow - Optional extra width on each side (outline strokes drawn under the main stroke)
+ * @param {Array} dash - Optional dash pattern of the line (the head stays solid)
+ * @param {Object} bend - Optional midpoint offset {x, y} for a curved line (null = straight)
+ */
+InsetEngine.prototype.drawCallout = function(image, sourceRect, insetRect, shape, shapeOptions, color, thickness, style, headSize, grow, dash, bend) {
+   grow = grow || 0;
+   var path = GeometryUtils.calloutPath(
+      GeometryUtils.sourceOutline(shape, sourceRect.x0, sourceRect.y0, sourceRect.x1, sourceRect.y1,
+                                  GeometryUtils.sourceShapeOptions(shapeOptions)),
+      GeometryUtils.shapeOutline(shape, insetRect.x0, insetRect.y0, insetRect.x1, insetRect.y1, shapeOptions, 0),
+      bend);
+   if (!path) return;
+   
+   // The head sits on the region outline, the line stops where the head starts
+   var tip = path[path.length - 1];
+   var headAt, shaft;
+   if (style === "Arrow") {
+      var triangle = GeometryUtils.arrowHead(path, headSize);
+      headAt = function(px, py) {
+         return GeometryUtils.polygonSignedDistance(px, py, triangle) - grow;
+      };
+      shaft = GeometryUtils.trimPathEnd(path, headSize);
+   } else {
+      var radius = headSize / 2;
+      headAt = function(px, py) {
+         return Math.sqrt((px - tip.x) * (px - tip.x) + (py - tip.y) * (py - tip.y)) - radius - grow;
+      };
+      shaft = GeometryUtils.trimPathEnd(path, radius);
+   }
+   
+   var lineWidth = thickness + 2 * grow;
+   if (shaft.length > 1) {
+      if (dash) {
+         this.drawDashedPath(image, shaft, false, color, lineWidth, dash);
+      } else {
+         this.drawPolyline(image, shaft, color, lineWidth);
+      }
+   }
+   
+   var reach = headSize + grow + 1;
+   this.fillDistanceShape(image, tip.x - reach, tip.y - reach, tip.x + reach, tip.y + reach, headAt, color);
+};
+
+/**
+ * Fill an anti-aliased shape given by a signed distance function.
+ * @param {Image} image - Target image
+ * @param {Number} x0, y0, x1, y1 - Bounds of the shape
+ * @param {Function} distanceAt - function(px, py) returning the signed distance (negative inside)
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ */
+InsetEngine.prototype.fillDistanceShape = function(image, x0, y0, x1, y1, distanceAt, color) {
+   this.blendCoverage(image, x0, y0, x1, y1, function(x, y) {
+      return 0.5 - distanceAt(x + 0.5, y + 0.5);
+   }, color);
+};
+
+/**
+ * Blend a color into an area of the image with per-pixel coverage.
+ * @param {Image} image - Target image
+ * @param {Number} x0, y0, x1, y1 - Bounds of the area
+ * @param {Function} coverageAt - function(x, y) returning the coverage of pixel x, y (0 = none, 1 = full)
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ */
+InsetEngine.prototype.blendCoverage = function(image, x0, y0, x1, y1, coverageAt, color) {
+   x0 = Math.max(0, Math.floor(x0));
+   y0 = Math.max(0, Math.floor(y0));
+   x1 = Math.min(image.width, Math.ceil(x1));
+   y1 = Math.min(image.height, Math.ceil(y1));
+   var rowWidth = x1 - x0;
+   if (rowWidth <= 0 || y1 <= y0) return;
+   
+   var colors = [color.r, color.g, color.b];
+   var alpha = (color.a !== undefined) ? color.a : 1.0;
+   var channels = Math.min(3, image.numberOfChannels);
+   
+   for (var row = y0; row < y1; row++) {
+      var rowRect = new Rect(x0, row, x1, row + 1);
+      
+      var coverageRow = new Float32Array(rowWidth);
+      var hasCoverage = false;
+      for (var col = 0; col < rowWidth; col++) {
+         var coverage = coverageAt(x0 + col, row);
+         if (coverage <= 0) continue;
+         coverageRow[col] = coverage > 1 ? 1 : coverage;
+         hasCoverage = true;
+      }
+      if (!hasCoverage) continue;
+      
+      for (var c = 0; c < channels; c++) {
+         var buffer = new Float32Array(rowWidth);
+         image.getSamples(buffer, rowRect, c);
+         
+         var colorVal = colors[c];
+         for (var col = 0; col < rowWidth; col++) {
+            var coverage = coverageRow[col];
+            if (coverage > 0) {
+               var pixelAlpha = alpha * coverage;
+               buffer[col] = colorVal * pixelAlpha + buffer[col] * (1.0 - pixelAlpha);
+            }
+         }
+         image.setSamples(buffer, rowRect, c);
+      }
+   }
+};
+
+/**
+ * Draw a line, solid or with a dash pattern, straight or curved.
+ * @param {Image} image - Target image
+ * @param {Number} x0, y0 - Start point (the pattern starts here)
+ * @param {Number} x1, y1 - End point
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ * @param {Number} thickness - Line thickness in pixels
+ * @param {Array} dash - Optional dash pattern from GeometryUtils.dashPattern (null = solid)
+ * @param {Object} bend - Optional midpoint offset {x, y} of a curved line (see GeometryUtils.bentLine)
+ */
+InsetEngine.prototype.drawStyledLine = function(image, x0, y0, x1, y1, color, thickness, dash, bend) {
+   if (bend && (bend.x !== 0 || bend.y !== 0)) {
+      var curve = GeometryUtils.bentLine(x0, y0, x1, y1, bend);
+      if (dash) {
+         this.drawDashedPath(image, curve, false, color, thickness, dash);
+      } else {
+         this.drawPolyline(image, curve, color, thickness);
+      }
+   } else if (dash) {
+      this.drawDashedPath(image, [{ x: x0, y: y0 }, { x: x1, y: y1 }], false, color, thickness, dash);
+   } else {
+      this.bresenhamLine(image, x0, y0, x1, y1, color, thickness);
+   }
+};
+
+/**
+ * Draw a path with a dash pattern. Each dash is an anti-aliased line with round caps.
+ * @param {Image} image - Target image
+ * @param {Array} points - Path vertices {x, y}
+ * @param {Boolean} closed - Whether the path returns to its first vertex
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ * @param {Number} thickness - Line thickness in pixels
+ * @param {Array} dash - Dash pattern from GeometryUtils.dashPattern
+ */
+InsetEngine.prototype.drawDashedPath = function(image, points, closed, color, thickness, dash) {
+   var segments = GeometryUtils.dashPolyline(points, closed, dash);
+   for (var i = 0; i < segments.length; i++) {
+      this.bresenhamLine(image, segments[i].x0, segments[i].y0, segments[i].x1, segments[i].y1, color, thickness);
+   }
+};
+
+/**
+ * Anti-aliased open polyline with thickness, drawn in one pass so joints
+ * are not blended twice. Coverage uses the distance to the nearest segment.
+ * @param {Image} image - Target image
+ * @param {Array} points - Polyline vertices {x, y}
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ * @param {Number} thickness - Line thickness in pixels
+ */
+InsetEngine.prototype.drawPolyline = function(image, points, color, thickness) {
+   var alpha = (color.a !== undefined) ? color.a : 1.0;
+   var halfThick = thickness / 2;
+   var padding = halfThick + 1.5;
+   
+   // Segments with their padded bounding boxes
+   var segments = [];
+   var minX = image.width, minY = image.height, maxX = 0, maxY = 0;
+   for (var i = 0; i < points.length - 1; i++) {
+      var a = points[i];
+      var b = points[i + 1];
+      var dx = b.x - a.x;
+      var dy = b.y - a.y;
+      var length = Math.sqrt(dx * dx + dy * dy);
+      var seg = {
+         x: a.x, y: a.y,
+         ux: length > 1e-9 ? dx / length : 1, uy: length > 1e-9 ? dy / length : 0,
+         length: length,
+         x0: Math.max(0, Math.floor(Math.min(a.x, b.x) - padding)),
+         y0: Math.max(0, Math.floor(Math.min(a.y, b.y) - padding)),
+         x1: Math.min(image.width, Math.ceil(Math.max(a.x, b.x) + padding)),
+         y1: Math.min(image.height, Math.ceil(Math.max(a.y, b.y) + padding))
+      };
+      if (seg.x1 <= seg.x0 || seg.y1 <= seg.y0) continue;
+      segments.push(seg);
+      minX = Math.min(minX, seg.x0);
+      minY = Math.min(minY, seg.y0);
+      maxX = Math.max(maxX, seg.x1);
+      maxY = Math.max(maxY, seg.y1);
+   }
+   
+   var rowWidth = maxX - minX;
+   if (segments.length === 0 || rowWidth <= 0 || maxY <= minY) return;
+   
+   var colors = [color.r, color.g, color.b];
+   var channels = Math.min(3, image.numberOfChannels);
+   
+   for (var row = minY; row < maxY; row++) {
+      var rowRect = new Rect(minX, row, maxX, row + 1);
+      var py = row + 0.5;
+      
+      // Coverage of the nearest segment (maximum over the segments crossing this row)
+      var coverageRow = new Float32Array(rowWidth);
+      var hasCoverage = false;
+      
+      for (var i = 0; i < segments.length; i++) {
+         var seg = segments[i];
+         if (row < seg.y0 || row >= seg.y1) continue;
+         
+         for (var col = seg.x0; col < seg.x1; col++) {
+            var px = col + 0.5;
+            var t = (px - seg.x) * seg.ux + (py - seg.y) * seg.uy;
+            if (t < 0) t = 0;
+            else if (t > seg.length) t = seg.length;
+            var distX = px - (seg.x + t * seg.ux);
+            var distY = py - (seg.y + t * seg.uy);
+            var dist = Math.sqrt(distX * distX + distY * distY);
+            
+            var coverage = halfThick + 0.5 - dist;
+            if (coverage <= 0) continue;
+            if (coverage > 1) coverage = 1;
+            if (coverage > coverageRow[col - minX]) {
+               coverageRow[col - minX] = coverage;
+               hasCoverage = true;
+            }
+         }
+      }
       
-      // NW to NW
-      this.bresenhamLine(image, sourceRect.x0, sourceRect.y0, 
-                         insetRect.x0 + offset, insetRect.y0 + offset, color, thickness);
-      // NE to NE
-      this.bresenhamLine(image, sourceRect.x1 - 1, sourceRect.y0, 
-                         insetRect.x1 - 1 - offset, insetRect.y0 + offset, color, thickness);
-      // SW to SW
-      this.bresenhamLine(image, sourceRect.x0, sourceRect.y1 - 1, 
-                         insetRect.x0 + offset, insetRect.y1 - 1 - offset, color, thickness);
-      // SE to SE
-      this.bresenhamLine(image, sourceRect.x1 - 1, sourceRect.y1 - 1, 
-                         insetRect.x1 - 1 - offset, insetRect.y1 - 1 - offset, color, thickness);
+      if (!hasCoverage) continue;
+      
+      // Process each channel with buffered read/write
+      for (var c = 0; c < channels; c++) {
+         var buffer = new Float32Array(rowWidth);
+         image.getSamples(buffer, rowRect, c);
+         
+         var colorVal = colors[c];
+         for (var col = 0; col < rowWidth; col++) {
+            var coverage = coverageRow[col];
+            if (coverage > 0) {
+               var pixelAlpha = alpha * coverage;
+               buffer[col] = colorVal * pixelAlpha + buffer[col] * (1.0 - pixelAlpha);
+            }
+         }
+         image.setSamples(buffer, rowRect, c);
+      }
    }
 };
 
@@ -792,97 +1595,35 @@ InsetEngine.prototype.bresenhamLine = function(image, x0, y0, x1, y1, color, thi
 /**
  * Draw a border around the original source region (optimized).
  * @param {Image} image - Target image
- * @param {Rect} sourceRect - Source region rectangle
+ * @param {Rect} sourceRect - Source region rectangle (before shapeOptions.sourceAngle turns it)
  * @param {Object} color - {r, g, b} normalized 0-1
  * @param {Number} thickness - Border thickness
- * @param {String} shape - "Rectangular" or "Circular"
+ * @param {String} shape - "Rectangular", "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Number} grow - Optional extra width on each side (outline strokes drawn under the main stroke)
+ * @param {Array} dash - Optional dash pattern from GeometryUtils.dashPattern (null = solid)
  */
-InsetEngine.prototype.drawSourceIndicator = function(image, sourceRect, color, thickness, shape) {
+InsetEngine.prototype.drawSourceIndicator = function(image, sourceRect, color, thickness, shape, shapeOptions, grow, dash) {
    shape = shape || "Rectangular";
+   grow = grow || 0;
    var halfThick = Math.floor(thickness / 2);
    
-   if (shape === "Circular") {
-      // Draw circular indicator with row-based buffer operations (optimization)
+   if (dash) {
+      // Dashes follow the shape outline, centered on it like the solid stroke
+      var outline = GeometryUtils.sourceOutline(shape, sourceRect.x0, sourceRect.y0, sourceRect.x1, sourceRect.y1,
+                                                shapeOptions);
+      this.drawDashedPath(image, outline, true, color, thickness + 2 * grow, dash);
+   } else if (shapeOptions && shapeOptions.sourceAngle) {
+      // Rotated rectangle: one closed polyline through the turned corners
+      var corners = GeometryUtils.sourceOutline(shape, sourceRect.x0, sourceRect.y0, sourceRect.x1, sourceRect.y1,
+                                                shapeOptions);
+      this.drawPolyline(image, corners.concat([corners[0]]), color, thickness + 2 * grow);
+   } else if (shape !== "Rectangular") {
+      // Ring centered on the shape outline
       var cx = (sourceRect.x0 + sourceRect.x1) / 2;
       var cy = (sourceRect.y0 + sourceRect.y1) / 2;
-      var radius = Math.min(sourceRect.width, sourceRect.height) / 2;
-      
-      // Determine bounds to iterate
-      var x0 = Math.max(0, Math.floor(cx - radius - thickness));
-      var y0 = Math.max(0, Math.floor(cy - radius - thickness));
-      var x1 = Math.min(image.width, Math.ceil(cx + radius + thickness));
-      var y1 = Math.min(image.height, Math.ceil(cy + radius + thickness));
-      
-      var rowWidth = x1 - x0;
-      if (rowWidth <= 0 || y1 <= y0) return;
-      
-      var innerR = radius - halfThick;
-      var outerR = radius + (thickness - halfThick);
-      
-      // Prepare colors
-      var colors = [color.r, color.g, color.b];
-      var alpha = (color.a !== undefined) ? color.a : 1.0;
-      
-      var channels = Math.min(3, image.numberOfChannels);
-      
-      // Process row by row with buffered operations (optimization: reduces API calls)
-      for (var row = y0; row < y1; row++) {
-         var rowRect = new Rect(x0, row, x1, row + 1);
-         var dy = row - cy + 0.5;
-         var dy2 = dy * dy;
-         
-         // Pre-calculate coverage for this row
-         var coverageRow = new Float32Array(rowWidth);
-         var hasCoverage = false;
-         
-         for (var col = 0; col < rowWidth; col++) {
-            var dx = (x0 + col) - cx + 0.5;
-            var dist = Math.sqrt(dx * dx + dy2);
-            
-            var coverage = 0;
-            if (dist >= innerR - 0.5 && dist <= outerR + 0.5) {
-               // Outer edge AA
-               var outerAlpha = outerR + 0.5 - dist;
-               if (outerAlpha < 0) outerAlpha = 0;
-               else if (outerAlpha > 1) outerAlpha = 1;
-               
-               // Inner edge AA
-               var innerAlpha = dist - (innerR - 0.5);
-               if (innerAlpha < 0) innerAlpha = 0;
-               else if (innerAlpha > 1) innerAlpha = 1;
-               
-               coverage = outerAlpha < innerAlpha ? outerAlpha : innerAlpha;
-            }
-            
-            coverageRow[col] = coverage;
-            if (coverage > 0) hasCoverage = true;
-         }
-         
-         // Skip rows with no coverage
-         if (!hasCoverage) continue;
-         
-         // Process each channel with buffered read/write
-         for (var c = 0; c < channels; c++) {
-            var buffer = new Float32Array(rowWidth);
-            image.getSamples(buffer, rowRect, c);
-            
-            var colorVal = colors[c];
-            var modified = false;
-            
-            for (var col = 0; col < rowWidth; col++) {
-               var coverage = coverageRow[col];
-               if (coverage > 0) {
-                  var pixelAlpha = alpha * coverage;
-                  buffer[col] = colorVal * pixelAlpha + buffer[col] * (1.0 - pixelAlpha);
-                  modified = true;
-               }
-            }
-            
-            if (modified) {
-               image.setSamples(buffer, rowRect, c);
-            }
-         }
-      }
+      this.drawShapeRing(image, cx, cy, sourceRect.width / 2, sourceRect.height / 2, shape, shapeOptions,
+                         -halfThick - grow, thickness - halfThick + grow, color);
       
    } else {
       // Rectangular path - use AA lines for smooth edges
@@ -891,14 +1632,16 @@ InsetEngine.prototype.drawSourceIndicator = function(image, sourceRect, color, t
       var x1 = sourceRect.x1;
       var y1 = sourceRect.y1;
       
+      var lineWidth = thickness + 2 * grow;
+      
       // Top edge
-      this.bresenhamLine(image, x0, y0, x1, y0, color, thickness);
+      this.bresenhamLine(image, x0, y0, x1, y0, color, lineWidth);
       // Bottom edge
-      this.bresenhamLine(image, x0, y1, x1, y1, color, thickness);
+      this.bresenhamLine(image, x0, y1, x1, y1, color, lineWidth);
       // Left edge
-      this.bresenhamLine(image, x0, y0, x0, y1, color, thickness);
+      this.bresenhamLine(image, x0, y0, x0, y1, color, lineWidth);
       // Right edge
-      this.bresenhamLine(image, x1, y0, x1, y1, color, thickness);
+      this.bresenhamLine(image, x1, y0, x1, y1, color, lineWidth);
    }
 };
 
@@ -909,107 +1652,217 @@ InsetEngine.prototype.drawSourceIndicator = function(image, sourceRect, color, t
  * @param {Rect} insetRect - Inset position and size
  * @param {Object} color - {r, g, b, a} normalized 0-1
  * @param {Number} thickness - Border thickness in pixels
- * @param {String} shape - "Rectangular" or "Circular"
+ * @param {String} shape - "Rectangular", "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Number} grow - Optional extra width on each side (outline strokes drawn under the main stroke)
+ * @param {Array} dash - Optional dash pattern from GeometryUtils.dashPattern (null = solid)
  */
-InsetEngine.prototype.drawInsetBorder = function(image, insetRect, color, thickness, shape) {
+InsetEngine.prototype.drawInsetBorder = function(image, insetRect, color, thickness, shape, shapeOptions, grow, dash) {
+   shape = shape || "Rectangular";
+   grow = grow || 0;
    // Border is drawn inset by half thickness to match preview behavior
    // where strokeCircle/strokeRect centers the stroke on the path
    var halfThick = thickness / 2;
    
-   if (shape === "Circular") {
-      // For circular inset, draw border ring
+   if (dash) {
+      // Dashes follow the outline moved inward by half the thickness, like the solid border
+      if (Math.min(insetRect.width, insetRect.height) / 2 - halfThick <= 0) return;
+      var outline = GeometryUtils.shapeOutline(shape, insetRect.x0, insetRect.y0, insetRect.x1, insetRect.y1,
+                                               shapeOptions, halfThick);
+      this.drawDashedPath(image, outline, true, color, thickness + 2 * grow, dash);
+   } else if (shape !== "Rectangular") {
+      // Ring lies fully inside the inset bounds
       var cx = (insetRect.x0 + insetRect.x1) / 2;
       var cy = (insetRect.y0 + insetRect.y1) / 2;
-      // Radius is adjusted inward so border is fully inside the inset bounds
-      var radius = Math.min(insetRect.width, insetRect.height) / 2 - halfThick;
+      if (Math.min(insetRect.width, insetRect.height) / 2 - halfThick <= 0) return;
+      this.drawShapeRing(image, cx, cy, insetRect.width / 2, insetRect.height / 2, shape, shapeOptions,
+                         -thickness - grow, grow, color);
+   } else {
+      // Rectangular border - use AA lines, drawn inward from rect edges
+      var x0 = insetRect.x0 + halfThick;
+      var y0 = insetRect.y0 + halfThick;
+      var x1 = insetRect.x1 - halfThick;
+      var y1 = insetRect.y1 - halfThick;
       
-      if (radius <= 0) return;
+      var lineWidth = thickness + 2 * grow;
       
-      // Use the same AA circle drawing as drawSourceIndicator
-      // Determine bounds to iterate
-      var x0 = Math.max(0, Math.floor(cx - radius - thickness));
-      var y0 = Math.max(0, Math.floor(cy - radius - thickness));
-      var x1 = Math.min(image.width, Math.ceil(cx + radius + thickness));
-      var y1 = Math.min(image.height, Math.ceil(cy + radius + thickness));
+      // Draw four edges with AA lines
+      this.bresenhamLine(image, x0, y0, x1, y0, color, lineWidth); // Top
+      this.bresenhamLine(image, x0, y1, x1, y1, color, lineWidth); // Bottom
+      this.bresenhamLine(image, x0, y0, x0, y1, color, lineWidth); // Left
+      this.bresenhamLine(image, x1, y0, x1, y1, color, lineWidth); // Right
+   }
+};
+
+/**
+ * Draw an anti-aliased ring following a shape outline.
+ * The ring covers pixels whose signed distance to the outline lies between
+ * innerOffset and outerOffset (negative = inside the shape).
+ * @param {Image} image - Target image
+ * @param {Number} cx, cy - Shape center
+ * @param {Number} halfW, halfH - Half size of the shape bounding box
+ * @param {String} shape - "Circular", "Elliptical", "Rounded", "Lasso" or "Polygon"
+ * @param {Object} shapeOptions - Optional shape settings (see Shape Masks)
+ * @param {Number} innerOffset - Inner edge distance from the outline
+ * @param {Number} outerOffset - Outer edge distance from the outline
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ */
+InsetEngine.prototype.drawShapeRing = function(image, cx, cy, halfW, halfH, shape, shapeOptions, innerOffset, outerOffset, color) {
+   var distanceAt = this.shapeDistanceFunction(shape, cx, cy, halfW, halfH, shapeOptions);
+   var pad = Math.max(Math.abs(innerOffset), Math.abs(outerOffset)) + 1;
+   
+   // Determine bounds to iterate
+   var x0 = Math.max(0, Math.floor(cx - halfW - pad));
+   var y0 = Math.max(0, Math.floor(cy - halfH - pad));
+   var x1 = Math.min(image.width, Math.ceil(cx + halfW + pad));
+   var y1 = Math.min(image.height, Math.ceil(cy + halfH + pad));
+   
+   var rowWidth = x1 - x0;
+   if (rowWidth <= 0 || y1 <= y0) return;
+   
+   var colors = [color.r, color.g, color.b];
+   var alpha = (color.a !== undefined) ? color.a : 1.0;
+   var channels = Math.min(3, image.numberOfChannels);
+   
+   // Process row by row with buffered operations (optimization: reduces API calls)
+   for (var row = y0; row < y1; row++) {
+      var rowRect = new Rect(x0, row, x1, row + 1);
+      var py = row + 0.5;
       
-      var rowWidth = x1 - x0;
-      if (rowWidth <= 0 || y1 <= y0) return;
+      // Pre-calculate coverage for this row
+      var coverageRow = new Float32Array(rowWidth);
+      var hasCoverage = false;
       
-      var innerR = radius - halfThick;
-      var outerR = radius + halfThick;
+      for (var col = 0; col < rowWidth; col++) {
+         var dist = distanceAt(x0 + col + 0.5, py);
+         
+         var coverage = 0;
+         if (dist >= innerOffset - 0.5 && dist <= outerOffset + 0.5) {
+            // Outer edge AA
+            var outerAlpha = outerOffset + 0.5 - dist;
+            if (outerAlpha < 0) outerAlpha = 0;
+            else if (outerAlpha > 1) outerAlpha = 1;
+            
+            // Inner edge AA
+            var innerAlpha = dist - (innerOffset - 0.5);
+            if (innerAlpha < 0) innerAlpha = 0;
+            else if (innerAlpha > 1) innerAlpha = 1;
+            
+            coverage = outerAlpha < innerAlpha ? outerAlpha : innerAlpha;
+         }
+         
+         coverageRow[col] = coverage;
+         if (coverage > 0) hasCoverage = true;
+      }
       
-      var colors = [color.r, color.g, color.b];
-      var alpha = (color.a !== undefined) ? color.a : 1.0;
-      var channels = Math.min(3, image.numberOfChannels);
+      // Skip rows with no coverage
+      if (!hasCoverage) continue;
       
-      // Process row by row with buffered operations
-      for (var row = y0; row < y1; row++) {
-         var rowRect = new Rect(x0, row, x1, row + 1);
-         var dy = row - cy + 0.5;
-         var dy2 = dy * dy;
+      // Process each channel with buffered read/write
+      for (var c = 0; c < channels; c++) {
+         var buffer = new Float32Array(rowWidth);
+         image.getSamples(buffer, rowRect, c);
          
-         // Pre-calculate coverage for this row
-         var coverageRow = new Float32Array(rowWidth);
-         var hasCoverage = false;
+         var colorVal = colors[c];
+         var modified = false;
          
          for (var col = 0; col < rowWidth; col++) {
-            var dx = (x0 + col) - cx + 0.5;
-            var dist = Math.sqrt(dx * dx + dy2);
-            
-            var coverage = 0;
-            if (dist >= innerR - 0.5 && dist <= outerR + 0.5) {
-               // Outer edge AA
-               var outerAlpha = outerR + 0.5 - dist;
-               if (outerAlpha < 0) outerAlpha = 0;
-               else if (outerAlpha > 1) outerAlpha = 1;
-               
-               // Inner edge AA
-               var innerAlpha = dist - (innerR - 0.5);
-               if (innerAlpha < 0) innerAlpha = 0;
-               else if (innerAlpha > 1) innerAlpha = 1;
-               
-               coverage = outerAlpha < innerAlpha ? outerAlpha : innerAlpha;
+            var coverage = coverageRow[col];
+            if (coverage > 0) {
+               var pixelAlpha = alpha * coverage;
+               buffer[col] = colorVal * pixelAlpha + buffer[col] * (1.0 - pixelAlpha);
+               modified = true;
             }
-            
-            coverageRow[col] = coverage;
-            if (coverage > 0) hasCoverage = true;
          }
          
-         if (!hasCoverage) continue;
-         
-         // Process each channel with buffered read/write
-         for (var c = 0; c < channels; c++) {
-            var buffer = new Float32Array(rowWidth);
-            image.getSamples(buffer, rowRect, c);
-            
-            var colorVal = colors[c];
-            var modified = false;
-            
-            for (var col = 0; col < rowWidth; col++) {
-               var coverage = coverageRow[col];
-               if (coverage > 0) {
-                  var pixelAlpha = alpha * coverage;
-                  buffer[col] = colorVal * pixelAlpha + buffer[col] * (1.0 - pixelAlpha);
-                  modified = true;
-               }
-            }
-            
-            if (modified) {
-               image.setSamples(buffer, rowRect, c);
-            }
+         if (modified) {
+            image.setSamples(buffer, rowRect, c);
          }
       }
-   } else {
-      // Rectangular border - use AA lines, drawn inward from rect edges
-      var x0 = insetRect.x0 + halfThick;
-      var y0 = insetRect.y0 + halfThick;
-      var x1 = insetRect.x1 - halfThick;
-      var y1 = insetRect.y1 - halfThick;
-      
-      // Draw four edges with AA lines
-      this.bresenhamLine(image, x0, y0, x1, y0, color, thickness); // Top
-      this.bresenhamLine(image, x0, y1, x1, y1, color, thickness); // Bottom
-      this.bresenhamLine(image, x0, y0, x0, y1, color, thickness); // Left
-      this.bresenhamLine(image, x1, y0, x1, y1, color, thickness); // Right
    }
 };
+
+// ----------------------------------------------------------------------------
+// Captions, Scale Bars and Compasses
+// ----------------------------------------------------------------------------
+
+/**
+ * Draw a caption: text on an optional background plate.
+ * @param {Image} image - Target image
+ * @param {Rect} rect - Caption box (the plate), in whole pixels
+ * @param {String} text - Caption text
+ * @param {Font} font - Caption font (pixel size in image pixels)
+ * @param {Object} baseline - Start of the text baseline {x, y}, relative to the box origin
+ * @param {Object} color - Text color {r, g, b, a} normalized 0-1
+ * @param {Object} plate - Optional plate color {r, g, b, a} normalized 0-1 (null = no plate)
+ */
+InsetEngine.prototype.drawCaption = function(image, rect, text, font, baseline, color, plate) {
+   if (plate) {
+      this.blendCoverage(image, rect.x0, rect.y0, rect.x1, rect.y1, function() {
+         return 1;
+      }, plate);
+   }
+   
+   // Text coverage is the alpha of white text rendered on a transparent bitmap
+   var bitmap = new Bitmap(rect.x1 - rect.x0, rect.y1 - rect.y0);
+   bitmap.fill(0x00000000);
+   var g = new VectorGraphics(bitmap);
+   g.antialiasing = true;
+   g.textAntialiasing = true;
+   g.font = font;
+   g.pen = new Pen(0xFFFFFFFF);
+   g.drawText(baseline.x, baseline.y, text);
+   g.end();
+   
+   this.blendCoverage(image, rect.x0, rect.y0, rect.x1, rect.y1, function(x, y) {
+      return (bitmap.pixel(x - rect.x0, y - rect.y0) >>> 24) / 255;
+   }, color);
+};
+
+/**
+ * Draw the bar of a scale bar (its label is drawn with drawCaption).
+ * @param {Image} image - Target image
+ * @param {Array} boxes - Bar and tick rectangles {x0, y0, x1, y1}, filled as one shape
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ */
+InsetEngine.prototype.drawScaleBar = function(image, boxes, color) {
+   var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+   for (var i = 0; i < boxes.length; i++) {
+      x0 = Math.min(x0, boxes[i].x0);
+      y0 = Math.min(y0, boxes[i].y0);
+      x1 = Math.max(x1, boxes[i].x1);
+      y1 = Math.max(y1, boxes[i].y1);
+   }
+   
+   this.fillDistanceShape(image, x0 - 1, y0 - 1, x1 + 1, y1 + 1, function(px, py) {
+      var distance = Infinity;
+      for (var i = 0; i < boxes.length; i++) {
+         var b = boxes[i];
+         distance = Math.min(distance, Math.max(b.x0 - px, px - b.x1, b.y0 - py, py - b.y1));
+      }
+      return distance;
+   }, color);
+};
+
+/**
+ * Draw a straight arrow with a filled head (compass arms).
+ * @param {Image} image - Target image
+ * @param {Number} x0, y0 - Arrow start
+ * @param {Number} x1, y1 - Arrow tip
+ * @param {Object} color - {r, g, b, a} normalized 0-1
+ * @param {Number} thickness - Line thickness in pixels
+ * @param {Number} headSize - Arrowhead length in pixels
+ */
+InsetEngine.prototype.drawArrow = function(image, x0, y0, x1, y1, color, thickness, headSize) {
+   var path = [{ x: x0, y: y0 }, { x: x1, y: y1 }];
+   var triangle = GeometryUtils.arrowHead(path, headSize);
+   var shaft = GeometryUtils.trimPathEnd(path, headSize);
+   if (shaft.length > 1) {
+      this.bresenhamLine(image, shaft[0].x, shaft[0].y, shaft[1].x, shaft[1].y, color, thickness);
+   }
+   
+   var reach = headSize + 1;
+   this.fillDistanceShape(image, x1 - reach, y1 - reach, x1 + reach, y1 + reach, function(px, py) {
+      return GeometryUtils.polygonSignedDistance(px, py, triangle);
+   }, color);
+};
@@ -7,6 +7,7 @@
 // - Bilinear (smooth, fast)
 // - Bicubic (smooth, balanced)
 // - Lanczos-3 (highest quality, slowest)
+// - Rotated resampling with any of the above kernels (inset content, rotated regions)
 //
 // Author: Giovanni Rocca (iGio90) and Antigravity
 //
@@ -173,5 +174,97 @@ var ScalingUtils = {
       if (Math.abs(x) >= a) return 0;
       var pix = Math.PI * x;
       return (a * Math.sin(pix) * Math.sin(pix / a)) / (pix * pix);
+   },
+   
+   /**
+    * Interpolate a buffer at one point with the selected kernel.
+    * Pixel centers are at integer coordinates; edges are extended.
+    */
+   sample: function(src, srcW, srcH, srcX, srcY, method) {
+      if (method === "nearest") {
+         var nx = Math.max(0, Math.min(srcW - 1, Math.round(srcX)));
+         var ny = Math.max(0, Math.min(srcH - 1, Math.round(srcY)));
+         return src[ny * srcW + nx];
+      }
+      
+      var x0 = Math.floor(srcX);
+      var y0 = Math.floor(srcY);
+      var xFrac = srcX - x0;
+      var yFrac = srcY - y0;
+      
+      if (method === "bilinear") {
+         var xa = Math.max(0, Math.min(srcW - 1, x0));
+         var xb = Math.max(0, Math.min(srcW - 1, x0 + 1));
+         var ya = Math.max(0, Math.min(srcH - 1, y0));
+         var yb = Math.max(0, Math.min(srcH - 1, y0 + 1));
+         var top = src[ya * srcW + xa] * (1 - xFrac) + src[ya * srcW + xb] * xFrac;
+         var bottom = src[yb * srcW + xa] * (1 - xFrac) + src[yb * srcW + xb] * xFrac;
+         return top * (1 - yFrac) + bottom * yFrac;
+      }
+      
+      // Bicubic (4x4) or Lanczos-3 (6x6) kernel
+      var lanczos = method === "lanczos";
+      var first = lanczos ? -2 : -1;
+      var last = lanczos ? 3 : 2;
+      var sum = 0;
+      var weightSum = 0;
+      for (var j = first; j <= last; j++) {
+         var py = Math.max(0, Math.min(srcH - 1, y0 + j));
+         var wy = lanczos ? this.lanczosKernel(j - yFrac, 3) : this.cubicWeight(j - yFrac);
+         for (var i = first; i <= last; i++) {
+            var px = Math.max(0, Math.min(srcW - 1, x0 + i));
+            var weight = wy * (lanczos ? this.lanczosKernel(i - xFrac, 3) : this.cubicWeight(i - xFrac));
+            sum += src[py * srcW + px] * weight;
+            weightSum += weight;
+         }
+      }
+      return Math.max(0, Math.min(1, weightSum > 0 ? sum / weightSum : 0));
+   },
+   
+   /**
+    * Scale a buffer to the destination size and rotate it about the center.
+    * angle is in degrees clockwise; zoom magnifies beyond the plain scaling
+    * (so the rotated content can cover the destination corners).
+    */
+   rotateBuffer: function(src, srcW, srcH, dst, dstW, dstH, angle, zoom, method) {
+      var radians = angle * Math.PI / 180;
+      var cos = Math.cos(radians);
+      var sin = Math.sin(radians);
+      var xRatio = srcW / dstW / zoom;
+      var yRatio = srcH / dstH / zoom;
+      
+      for (var y = 0; y < dstH; y++) {
+         var dy = y + 0.5 - dstH / 2;
+         for (var x = 0; x < dstW; x++) {
+            var dx = x + 0.5 - dstW / 2;
+            // Inverse rotation takes the destination pixel back to the unrotated content
+            var u = cos * dx + sin * dy;
+            var v = -sin * dx + cos * dy;
+            dst[y * dstW + x] = this.sample(src, srcW, srcH,
+               srcW / 2 + u * xRatio - 0.5, srcH / 2 + v * yRatio - 0.5, method);
+         }
+      }
+   },
+   
+   /**
+    * Resample a rotated rectangle of a buffer to the destination size.
+    * The rectangle (regionW x regionH, centered on centerX, centerY) is turned
+    * by angle degrees clockwise; the destination follows its rotated axes.
+    */
+   resampleRotated: function(src, srcW, srcH, centerX, centerY, regionW, regionH, dst, dstW, dstH, angle, method) {
+      var radians = angle * Math.PI / 180;
+      var cos = Math.cos(radians);
+      var sin = Math.sin(radians);
+      var xRatio = regionW / dstW;
+      var yRatio = regionH / dstH;
+      
+      for (var y = 0; y < dstH; y++) {
+         var v = (y + 0.5 - dstH / 2) * yRatio;
+         for (var x = 0; x < dstW; x++) {
+            var u = (x + 0.5 - dstW / 2) * xRatio;
+            dst[y * dstW + x] = this.sample(src, srcW, srcH,
+               centerX + cos * u - sin * v - 0.5, centerY + sin * u + cos * v - 0.5, method);
+         }
+      }
    }
 };
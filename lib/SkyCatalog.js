@@ -0,0 +1,164 @@
+// ----------------------------------------------------------------------------
+// SkyCatalog.js - Bundled offline catalog of deep-sky objects for pInset
+// ----------------------------------------------------------------------------
+//
+// Contains the offline catalog for plate-solved images:
+// - Messier, NGC and IC objects and PGC galaxies to magnitude 15, J2000
+//   coordinates, read from SkyCatalog.txt next to this script
+// - Apparent sizes (major x minor axis, arcminutes)
+// - Lookup by designation (M 51, NGC 5194) or common name (Whirlpool)
+// - Objects inside an area of a plate-solved image (for inset labels)
+//
+// Author: Giovanni Rocca (iGio90) and Antigravity
+//
+// ----------------------------------------------------------------------------
+
+var SkyCatalog = {
+   // Catalog file in the directory of this script (its header lists the columns and sources)
+   FILE_NAME: "SkyCatalog.txt",
+
+   // Parsed objects, read on first use
+   objects: null,
+
+   /**
+    * Path of the catalog file.
+    * @returns {String} Full path
+    */
+   filePath: function() {
+      return File.extractDrive(#__FILE__) + File.extractDirectory(#__FILE__) + "/" + this.FILE_NAME;
+   },
+
+   /**
+    * Catalog objects, read from the catalog file on first call (empty if it is missing).
+    * @returns {Array} Objects {name, alias, common, ra, dec, major, minor, direction} with coordinates
+    *    in degrees and the unit vector [x, y, z] toward the object
+    */
+   list: function() {
+      if (!this.objects) {
+         this.objects = [];
+         var path = this.filePath();
+         if (!File.exists(path)) {
+            console.writeln("pInset: Catalog file not found: " + path);
+            return this.objects;
+         }
+         
+         // Tab-separated rows; lines starting with # are comments
+         var lines = File.readLines(path);
+         for (var i = 0; i < lines.length; i++) {
+            if (lines[i].length === 0 || lines[i].charAt(0) === "#") continue;
+            var row = lines[i].split("\t");
+            if (row.length < 7) continue;
+            var ra = parseFloat(row[3]);
+            var dec = parseFloat(row[4]);
+            this.objects.push({
+               name: row[0],
+               alias: row[1],
+               common: row[2],
+               ra: ra,
+               dec: dec,
+               major: parseFloat(row[5]),
+               minor: parseFloat(row[6]),
+               direction: this.direction(ra, dec)
+            });
+         }
+         console.writeln("pInset: Loaded " + this.objects.length + " catalog objects");
+      }
+      return this.objects;
+   },
+
+   /**
+    * Unit vector toward a sky position.
+    * @param {Number} ra - Right ascension in degrees
+    * @param {Number} dec - Declination in degrees
+    * @returns {Array} [x, y, z]
+    */
+   direction: function(ra, dec) {
+      var toRad = Math.PI / 180;
+      return [
+         Math.cos(dec * toRad) * Math.cos(ra * toRad),
+         Math.cos(dec * toRad) * Math.sin(ra * toRad),
+         Math.sin(dec * toRad)
+      ];
+   },
+
+   /**
+    * Find the catalog objects whose centers fall inside an area of a plate-solved image.
+    * @param {Object} solution - Solution from WcsUtils.readSolution, with crval and crpix
+    * @param {Number} height - Image height in pixels
+    * @param {Number} x0, y0, x1, y1 - Area in image coordinates
+    * @returns {Array} {object, x, y} with the object's position in image coordinates
+    */
+   objectsInside: function(solution, height, x0, y0, x1, y1) {
+      var found = [];
+      var objects = this.list();
+      if (!solution.crval || !solution.crpix) return found;
+      
+      // Objects farther from the reference point than the farthest corner of the area
+      // cannot project into it; their direction cosine rules them out without projecting
+      var reach = 0;
+      var corners = [[x0, y0], [x1, y0], [x0, y1], [x1, y1]];
+      for (var i = 0; i < corners.length; i++) {
+         var u = corners[i][0] - solution.crpix.x + 0.5;
+         var v = height - corners[i][1] + 0.5 - solution.crpix.y;
+         reach = Math.max(reach, Math.sqrt(u * u + v * v));
+      }
+      var cd = solution.cd;
+      var squares = cd[0] * cd[0] + cd[1] * cd[1] + cd[2] * cd[2] + cd[3] * cd[3];
+      var det = cd[0] * cd[3] - cd[1] * cd[2];
+      // Largest scale of the CD matrix (degrees per pixel in any direction)
+      var scale = Math.sqrt((squares + Math.sqrt(Math.max(0, squares * squares - 4 * det * det))) / 2);
+      var minCosine = Math.cos(Math.min(Math.PI / 2, Math.atan(reach * scale * Math.PI / 180))) - 1e-9;
+      var center = this.direction(solution.crval.ra, solution.crval.dec);
+      
+      for (var i = 0; i < objects.length; i++) {
+         var d = objects[i].direction;
+         if (d[0] * center[0] + d[1] * center[1] + d[2] * center[2] < minCosine) continue;
+         var p = WcsUtils.skyToImage(solution, objects[i].ra, objects[i].dec, height);
+         if (p && p.x >= x0 && p.x < x1 && p.y >= y0 && p.y < y1) {
+            found.push({ object: objects[i], x: p.x, y: p.y });
+         }
+      }
+      return found;
+   },
+
+   /**
+    * Reduce a name to upper-case letters and digits ("Messier 51" and "m51" both give "M51").
+    * @param {String} name - Object name
+    * @returns {String} Normalized name
+    */
+   normalize: function(name) {
+      return String(name).toUpperCase().replace(/^MESSIER/, "M").replace(/[^A-Z0-9]/g, "");
+   },
+
+   /**
+    * Find an object by designation, cross-identification or common name.
+    * Designations must match exactly; common names may be partial ("whirlpool").
+    * @param {String} name - Name to look up
+    * @returns {Object} Catalog object, or null if not found
+    */
+   lookup: function(name) {
+      var key = this.normalize(name);
+      if (key.length === 0) return null;
+      
+      var objects = this.list();
+      for (var i = 0; i < objects.length; i++) {
+         if (this.normalize(objects[i].name) === key ||
+             (objects[i].alias && this.normalize(objects[i].alias) === key)) {
+            return objects[i];
+         }
+      }
+      if (key.length < 4) return null;
+      
+      // Names that start with the text win over names that contain it ("Horsehead" before "Blue Horsehead")
+      var best = null;
+      var bestAt = Infinity;
+      for (var i = 0; i < objects.length && bestAt > 0; i++) {
+         var at = objects[i].common ? this.normalize(objects[i].common).indexOf(key) : -1;
+         if (at !== -1 && at < bestAt) {
+            best = objects[i];
+            bestAt = at;
+         }
+      }
+      return best;
+   }
+};
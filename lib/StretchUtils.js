@@ -0,0 +1,176 @@
+// ----------------------------------------------------------------------------
+// StretchUtils.js - Preview screen stretch helpers for pInset
+// ----------------------------------------------------------------------------
+//
+// Contains helpers for displaying linear images:
+// - Midtones transfer function
+// - Automatic stretch from image statistics (like STF AutoStretch),
+//   linked or per RGB channel
+// - Stretched rendering of views for the preview bitmaps, cached per owner
+//
+// Only the previews are stretched: extracted and generated images keep their pixels.
+//
+// Author: Giovanni Rocca (iGio90) and Antigravity
+//
+// ----------------------------------------------------------------------------
+
+var StretchUtils = {
+   // STF AutoStretch defaults: shadows clipping point in normalized MAD units
+   // below the median, and the value the median (background) is stretched to
+   SHADOWS_CLIPPING: -2.8,
+   TARGET_BACKGROUND: 0.25,
+
+   /**
+    * Midtones transfer function.
+    * @param {Number} m - Midtones balance (0.5 = identity)
+    * @param {Number} x - Value 0-1
+    * @returns {Number} Transferred value 0-1
+    */
+   mtf: function(m, x) {
+      if (x <= 0) return 0;
+      if (x >= 1) return 1;
+      if (m === 0.5) return x;
+      return (m - 1) * x / ((2 * m - 1) * x - m);
+   },
+
+   /**
+    * Compute an automatic stretch from the median and the normalized MAD of
+    * each nominal channel. Linked stretches use the channel averages, so colors
+    * keep their balance; unlinked ones also neutralize the background.
+    * Black and saturated samples are left out of the statistics: extracted
+    * shapes are black outside their outline, which would otherwise pull the
+    * median of a small shape down to zero.
+    * @param {Image} image - Image to measure
+    * @param {Boolean} linked - Same stretch for all RGB channels
+    * @returns {Array} Stretch {shadows, midtones} for each nominal channel
+    */
+   computeStretch: function(image, linked) {
+      var channels = image.isColor ? 3 : 1;
+      var medians = [];
+      var deviations = [];
+      image.rangeClippingEnabled = true;
+      image.rangeClipLow = 0;
+      image.rangeClipHigh = 1;
+      for (var c = 0; c < channels; c++) {
+         image.selectedChannel = c;
+         medians.push(image.median());
+         // 1.4826 makes the MAD consistent with the standard deviation of a normal distribution
+         deviations.push(image.MAD() * 1.4826);
+      }
+      image.resetSelections();
+      
+      var self = this;
+      var stretchOf = function(median, shadows) {
+         shadows = Math.max(0, Math.min(1, shadows));
+         if (median - shadows <= 0) {
+            // No background above the shadows (e.g. a black image): leave it unstretched
+            return { shadows: 0, midtones: 0.5 };
+         }
+         return { shadows: shadows, midtones: self.mtf(self.TARGET_BACKGROUND, median - shadows) };
+      };
+      
+      var stretches = [];
+      if (linked) {
+         var shadows = 0;
+         var median = 0;
+         for (var c = 0; c < channels; c++) {
+            // Constant channels have no noise to clip against
+            if (deviations[c] > 0) shadows += medians[c] + this.SHADOWS_CLIPPING * deviations[c];
+            median += medians[c];
+         }
+         var stretch = stretchOf(median / channels, shadows / channels);
+         for (var c = 0; c < channels; c++) stretches.push(stretch);
+      } else {
+         for (var c = 0; c < channels; c++) {
+            stretches.push(stretchOf(medians[c],
+               deviations[c] > 0 ? medians[c] + this.SHADOWS_CLIPPING * deviations[c] : 0));
+         }
+      }
+      return stretches;
+   },
+
+   /**
+    * Apply a stretch to a pixel value.
+    * @param {Number} value - Pixel value 0-1
+    * @param {Object} stretch - {shadows, midtones} from computeStretch
+    * @returns {Number} Stretched value 0-1
+    */
+   stretchValue: function(value, stretch) {
+      var x = (value - stretch.shadows) / Math.max(1e-6, 1 - stretch.shadows);
+      return this.mtf(stretch.midtones, x);
+   },
+
+   /**
+    * Stretch of a view for the previews, or null when the preview stretch is off.
+    * Statistics are measured once per view and linked setting and kept in
+    * owner.stretchCache (the dialog for the source image, or a composition inset).
+    * @param {Object} owner - Object holding the cache
+    * @param {View} view - Displayed view
+    * @param {Object} params - Parameters object (previewStretch, previewStretchLinked)
+    * @returns {Array} Stretches from computeStretch, or null
+    */
+   previewStretch: function(owner, view, params) {
+      if (params.previewStretch !== true) return null;
+      return this.cacheEntry(owner, view, params.previewStretchLinked !== false).stretches;
+   },
+
+   /**
+    * Render a view for the previews, screen-stretched when enabled.
+    * The stretched rendering is cached with the statistics (see previewStretch),
+    * so preview bitmaps can be rebuilt while dragging.
+    * @param {Object} owner - Object holding the cache
+    * @param {View} view - Displayed view
+    * @param {Object} params - Parameters object (previewStretch, previewStretchLinked)
+    * @returns {Bitmap} Full-size rendering of the view's image
+    */
+   renderPreview: function(owner, view, params) {
+      if (params.previewStretch !== true) return view.image.render();
+      
+      var entry = this.cacheEntry(owner, view, params.previewStretchLinked !== false);
+      if (!entry.bitmap) entry.bitmap = this.renderStretched(view.image, entry.stretches);
+      return entry.bitmap;
+   },
+
+   /**
+    * Get (or measure) the cached stretch of a view.
+    * @param {Object} owner - Object holding the cache
+    * @param {View} view - Displayed view
+    * @param {Boolean} linked - Same stretch for all RGB channels
+    * @returns {Object} Cache entry {viewId, linked, stretches, bitmap}
+    */
+   cacheEntry: function(owner, view, linked) {
+      var entry = owner.stretchCache;
+      if (!entry || entry.viewId !== view.id || entry.linked !== linked) {
+         entry = {
+            viewId: view.id,
+            linked: linked,
+            stretches: this.computeStretch(view.image, linked),
+            bitmap: null
+         };
+         owner.stretchCache = entry;
+      }
+      return entry;
+   },
+
+   /**
+    * Render a stretched copy of an image (extra channels such as alpha are kept).
+    * @param {Image} image - Image to render
+    * @param {Array} stretches - Stretches from computeStretch
+    * @returns {Bitmap} Rendered bitmap
+    */
+   renderStretched: function(image, stretches) {
+      var copy = new Image(image);
+      var rect = new Rect(0, 0, image.width, image.height);
+      var buffer = new Float32Array(image.width * image.height);
+      for (var c = 0; c < stretches.length; c++) {
+         copy.getSamples(buffer, rect, c);
+         for (var i = 0; i < buffer.length; i++) {
+            buffer[i] = this.stretchValue(buffer[i], stretches[c]);
+         }
+         copy.setSamples(buffer, rect, c);
+      }
+      var bitmap = copy.render();
+      copy.free();
+      return bitmap;
+   }
+};
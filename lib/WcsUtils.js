@@ -0,0 +1,271 @@
+// ----------------------------------------------------------------------------
+// WcsUtils.js - Astrometric solution helpers for pInset
+// ----------------------------------------------------------------------------
+//
+// Contains helpers for plate-solved images:
+// - Reading the astrometric solution from FITS keywords or XISF properties
+// - Pixel scale (for scale bars)
+// - Sky to image coordinates (gnomonic projection, for regions by RA/Dec)
+// - Parsing of sexagesimal and decimal RA/Dec
+// - North and east directions on the image (for compasses)
+// - Round angles and their notation in degrees, arcminutes and arcseconds
+//
+// Author: Giovanni Rocca (iGio90) and Antigravity
+//
+// ----------------------------------------------------------------------------
+
+var WcsUtils = {
+   /**
+    * Read the astrometric solution of an image window. FITS WCS keywords
+    * (CD matrix, or CDELT with CROTA2) come first, then the properties
+    * written by ImageSolver.
+    * @param {ImageWindow} window - Image window of the plate-solved image
+    * @returns {Object} Solution {cd, crval, crpix} where cd = [cd11, cd12, cd21, cd22] in degrees per pixel,
+    *    crval = {ra, dec} in degrees and crpix = {x, y} in FITS pixels (crval and crpix may be null), or null if not solved
+    */
+   readSolution: function(window) {
+      if (!window) return null;
+      
+      var values = {};
+      var keywords = window.keywords;
+      for (var i = 0; i < keywords.length; i++) {
+         var value = parseFloat(keywords[i].value);
+         if (!isNaN(value)) values[keywords[i].name] = value;
+      }
+      
+      var cd = null;
+      var crval = null;
+      var crpix = null;
+      if (values.CRVAL1 !== undefined && values.CRVAL2 !== undefined &&
+          values.CRPIX1 !== undefined && values.CRPIX2 !== undefined) {
+         crval = { ra: values.CRVAL1, dec: values.CRVAL2 };
+         crpix = { x: values.CRPIX1, y: values.CRPIX2 };
+      }
+      if (values.CD1_1 !== undefined && values.CD2_2 !== undefined) {
+         cd = [values.CD1_1, values.CD1_2 || 0, values.CD2_1 || 0, values.CD2_2];
+      } else if (values.CDELT1 !== undefined && values.CDELT2 !== undefined) {
+         var rotation = (values.CROTA2 || 0) * Math.PI / 180;
+         cd = [values.CDELT1 * Math.cos(rotation), -values.CDELT2 * Math.sin(rotation),
+               values.CDELT1 * Math.sin(rotation), values.CDELT2 * Math.cos(rotation)];
+      } else {
+         // ImageSolver stores the linear transformation (degrees per pixel) as a view property
+         var view = window.mainView;
+         var id = "PCL:AstrometricSolution:LinearTransformationMatrix";
+         if (view && view.hasProperty && view.hasProperty(id)) {
+            var matrix = view.propertyValue(id);
+            cd = [matrix.at(0, 0), matrix.at(0, 1), matrix.at(1, 0), matrix.at(1, 1)];
+            
+            // Reference point in image coordinates (y down), converted to FITS pixels
+            var celestialId = "PCL:AstrometricSolution:ReferenceCelestialCoordinates";
+            var imageId = "PCL:AstrometricSolution:ReferenceImageCoordinates";
+            if (view.hasProperty(celestialId) && view.hasProperty(imageId)) {
+               var celestial = view.propertyValue(celestialId);
+               var reference = view.propertyValue(imageId);
+               crval = { ra: celestial.at(0), dec: celestial.at(1) };
+               crpix = { x: reference.at(0) + 0.5, y: view.image.height - reference.at(1) + 0.5 };
+            }
+         }
+      }
+      
+      if (!cd || cd[0] * cd[3] - cd[1] * cd[2] === 0) return null;
+      return { cd: cd, crval: crval, crpix: crpix };
+   },
+
+   /**
+    * Pixel scale of an astrometric solution.
+    * @param {Object} solution - Solution from readSolution
+    * @returns {Number} Arcseconds per pixel
+    */
+   pixelScale: function(solution) {
+      var cd = solution.cd;
+      return Math.sqrt(Math.abs(cd[0] * cd[3] - cd[1] * cd[2])) * 3600;
+   },
+
+   /**
+    * Directions of north and east on the image. FITS pixel rows run upward,
+    * image rows downward, so the vertical components are flipped.
+    * @param {Object} solution - Solution from readSolution
+    * @returns {Object} {north, east} unit vectors {x, y} in image coordinates
+    */
+   skyDirections: function(solution) {
+      var cd = solution.cd;
+      var det = cd[0] * cd[3] - cd[1] * cd[2];
+      // Pixel offsets that move one degree north (eta) or east (xi): the inverse CD matrix columns
+      var unit = function(u, v) {
+         var length = Math.sqrt(u * u + v * v);
+         return { x: u / length, y: -v / length };
+      };
+      return {
+         north: unit(-cd[1] / det, cd[0] / det),
+         east: unit(cd[3] / det, -cd[2] / det)
+      };
+   },
+
+   /**
+    * Largest round angle not above a target, for scale bars
+    * (1, 2, 5, 10, 15, 20, 30 arcseconds, the same steps in arcminutes, then degrees).
+    * @param {Number} arcsec - Target angle in arcseconds
+    * @returns {Number} Round angle in arcseconds
+    */
+   niceAngle: function(arcsec) {
+      if (arcsec < 1) {
+         // Below one arcsecond: 1, 2, 5 times a power of ten
+         var power = Math.pow(10, Math.floor(Math.log(arcsec) / Math.LN10));
+         var mantissa = arcsec / power;
+         return (mantissa >= 5 ? 5 : (mantissa >= 2 ? 2 : 1)) * power;
+      }
+      var steps = [1, 2, 5, 10, 15, 20, 30,
+                   60, 120, 300, 600, 900, 1200, 1800,
+                   3600, 7200, 18000, 36000];
+      var angle = steps[0];
+      for (var i = 1; i < steps.length && steps[i] <= arcsec; i++) {
+         angle = steps[i];
+      }
+      return angle;
+   },
+
+   /**
+    * Format an angle with the largest unit that keeps it at least 1 (e.g. 30", 5', 1 degree).
+    * @param {Number} arcsec - Angle in arcseconds
+    * @returns {String} Angle with its unit symbol
+    */
+   formatAngle: function(arcsec) {
+      var value = arcsec;
+      var unit = "\u2033";
+      if (arcsec >= 3600) {
+         value = arcsec / 3600;
+         unit = "\u00B0";
+      } else if (arcsec >= 60) {
+         value = arcsec / 60;
+         unit = "\u2032";
+      }
+      return parseFloat(value.toPrecision(3)) + unit;
+   },
+
+   /**
+    * Project sky coordinates onto the image (gnomonic/TAN projection around
+    * the reference point, distortion terms are ignored).
+    * @param {Object} solution - Solution from readSolution, with crval and crpix
+    * @param {Number} ra - Right ascension in degrees
+    * @param {Number} dec - Declination in degrees
+    * @param {Number} height - Image height in pixels (FITS rows run upward)
+    * @returns {Object} {x, y} in image coordinates, or null if the point is 90 degrees or more from the reference
+    */
+   skyToImage: function(solution, ra, dec, height) {
+      if (!solution.crval || !solution.crpix) return null;
+      
+      var toRad = Math.PI / 180;
+      var dec0 = solution.crval.dec * toRad;
+      var delta = dec * toRad;
+      var dra = (ra - solution.crval.ra) * toRad;
+      var cosc = Math.sin(dec0) * Math.sin(delta) + Math.cos(dec0) * Math.cos(delta) * Math.cos(dra);
+      if (cosc <= 0) return null;
+      
+      // Standard coordinates in degrees
+      var xi = Math.cos(delta) * Math.sin(dra) / cosc / toRad;
+      var eta = (Math.cos(dec0) * Math.sin(delta) - Math.sin(dec0) * Math.cos(delta) * Math.cos(dra)) / cosc / toRad;
+      
+      // Inverse CD matrix gives the offset from the reference pixel
+      var cd = solution.cd;
+      var det = cd[0] * cd[3] - cd[1] * cd[2];
+      var u = (cd[3] * xi - cd[1] * eta) / det;
+      var v = (-cd[2] * xi + cd[0] * eta) / det;
+      
+      // FITS pixel centers are integers from 1; image pixel centers are at half-integers from 0
+      return {
+         x: solution.crpix.x + u - 0.5,
+         y: height - (solution.crpix.y + v) + 0.5
+      };
+   },
+
+   /**
+    * Parse a sexagesimal ("13 29 52.7", "13h29m52.7s", "13:29:52.7") or decimal angle.
+    * @param {String} text - Angle text
+    * @returns {Object} {value, fields, unit} with the absolute value summed in the first field's unit,
+    *    the number of fields and the unit marker ("h" for hours, "d" for degrees, "" for none,
+    *    "?" for minutes or seconds only), or null if the text is not an angle
+    */
+   parseSexagesimal: function(text) {
+      text = String(text);
+      // The unit marker has to be found before the markers are stripped
+      var unit = /h/i.test(text) ? "h" : /[d\u00B0]/i.test(text) ? "d" : /[ms'"\u2032\u2033]/i.test(text) ? "?" : "";
+      var clean = text.replace(/[hdms:'"\u00B0\u2032\u2033]/gi, " ").trim();
+      if (clean.length === 0) return null;
+      
+      var negative = clean.charAt(0) === "-";
+      var fields = clean.replace(/^[+-]/, "").trim().split(/\s+/);
+      if (fields.length > 3) return null;
+      
+      var value = 0;
+      for (var i = 0; i < fields.length; i++) {
+         var field = parseFloat(fields[i]);
+         if (isNaN(field) || !/^[0-9.]+$/.test(fields[i])) return null;
+         value += field / Math.pow(60, i);
+      }
+      return { value: negative ? -value : value, fields: fields.length, unit: unit };
+   },
+
+   /**
+    * Parse a right ascension. Values marked in hours ("13h", "13.5h") and sexagesimal
+    * values are hours; a single number is degrees when it has no unit or a degree mark.
+    * @param {String} text - Right ascension text
+    * @returns {Number} Right ascension in degrees, or NaN if invalid
+    */
+   parseRA: function(text) {
+      var angle = this.parseSexagesimal(text);
+      if (!angle) return NaN;
+      
+      var hours;
+      if (angle.unit === "h") hours = true;
+      else if (angle.unit === "d") hours = false;
+      else if (angle.fields > 1) hours = true;
+      else if (angle.unit === "") hours = false;
+      else return NaN;
+      
+      var degrees = hours ? angle.value * 15 : angle.value;
+      return (degrees >= 0 && degrees < 360) ? degrees : NaN;
+   },
+
+   /**
+    * Parse a declination, sexagesimal or decimal degrees.
+    * @param {String} text - Declination text
+    * @returns {Number} Declination in degrees, or NaN if invalid
+    */
+   parseDec: function(text) {
+      var angle = this.parseSexagesimal(text);
+      if (!angle || angle.unit === "h") return NaN;
+      return Math.abs(angle.value) <= 90 ? angle.value : NaN;
+   },
+
+   /**
+    * Format a right ascension as hours, minutes and seconds.
+    * @param {Number} degrees - Right ascension in degrees
+    * @returns {String} e.g. "13 29 52.7"
+    */
+   formatRA: function(degrees) {
+      var tenths = Math.round(degrees / 15 * 36000) % 864000;
+      return this.pad(Math.floor(tenths / 36000)) + " " +
+         this.pad(Math.floor(tenths / 600) % 60) + " " +
+         this.pad(Math.floor(tenths / 10) % 60) + "." + (tenths % 10);
+   },
+
+   /**
+    * Format a declination as signed degrees, arcminutes and arcseconds.
+    * @param {Number} degrees - Declination in degrees
+    * @returns {String} e.g. "+47 11 43"
+    */
+   formatDec: function(degrees) {
+      var seconds = Math.round(Math.abs(degrees) * 3600);
+      return (degrees < 0 ? "-" : "+") + this.pad(Math.floor(seconds / 3600)) + " " +
+         this.pad(Math.floor(seconds / 60) % 60) + " " + this.pad(seconds % 60);
+   },
+
+   /**
+    * Two-digit zero padding for sexagesimal fields.
+    * @param {Number} value - Integer from 0 to 99
+    * @returns {String} Padded value
+    */
+   pad: function(value) {
+      return (value < 10 ? "0" : "") + value;
+   }
+};
@@ -98,6 +98,9 @@ function executeInset(dialog) {
             params.regionY + params.regionHeight / 2
          );
          extractedData = engine.extractCircularRegion(image, center, params.regionWidth);
+      } else if (params.insetShape !== "Rectangular") {
+         extractedData = engine.extractShapedRegion(image, sourceRect, params.insetShape,
+            { cornerRadius: params.cornerRadius / 100, points: extractPolygonPoints(params) });
       } else {
          extractedData = engine.extractRegion(image, sourceRect);
       }
@@ -109,14 +112,20 @@ function executeInset(dialog) {
       var scaledData = engine.scalePixels(extractedData, scaledWidth, scaledHeight);
       console.writeln("Scaled to: " + scaledData.width + "x" + scaledData.height);
       
-      // Step 5: Add border
-      var borderColor = {
-         r: params.borderColorR / 255.0,
-         g: params.borderColorG / 255.0,
-         b: params.borderColorB / 255.0
-      };
-      var borderedData = engine.addBorder(scaledData, params.borderWidth, borderColor);
-      console.writeln("With border: " + borderedData.width + "x" + borderedData.height);
+      // Step 5: Add border (or fade the edges in feathered mode)
+      var borderedData;
+      if (params.featherInsets) {
+         borderedData = engine.applyFeather(scaledData, params.featherWidth);
+         console.writeln("Feathered edges: " + params.featherWidth + " px");
+      } else {
+         var borderColor = {
+            r: params.borderColorR / 255.0,
+            g: params.borderColorG / 255.0,
+            b: params.borderColorB / 255.0
+         };
+         borderedData = engine.addBorder(scaledData, params.borderWidth, borderColor);
+         console.writeln("With border: " + borderedData.width + "x" + borderedData.height);
+      }
       
       // Step 6: Calculate position
       var customPos = {x: params.customX, y: params.customY};